@@ -1,6 +1,7 @@
 import AppKit
 import SwiftUI
 import Combine
+import UniformTypeIdentifiers
 
 /// Main coordinator that manages the application state and components
 class AppCoordinator: ObservableObject {
@@ -18,6 +19,7 @@ class AppCoordinator: ObservableObject {
 
     private let persistenceManager: PersistenceManager
     private var cancellables = Set<AnyCancellable>()
+    private var taskBadgeUpdate: DispatchWorkItem?
 
     // MARK: - Initialization
 
@@ -54,11 +56,13 @@ class AppCoordinator: ObservableObject {
         }
         // User explicitly closed — delete the note
         noteManager.deleteNote(noteId)
+        refreshTaskBadge()
     }
 
     /// Handle note content changes from the editor
     func handleContentChange(noteId: UUID, content: String) {
         noteManager.updateNoteContent(noteId, content: content)
+        refreshTaskBadge()
     }
 
     /// Handle window state changes
@@ -107,6 +111,67 @@ class AppCoordinator: ObservableObject {
         return windowManager.noteId(for: keyWindow)
     }
 
+    /// Bring the note targeted by a [[wiki link]] to front (by ID, else by title)
+    func openLinkedNote(id: UUID?, title: String?) {
+        let note = id.flatMap { noteManager.getNote($0) }
+            ?? title.flatMap { noteManager.findNote(titled: $0) }
+        guard let note = note else {
+            print("[AppCoordinator] No note found for link: \(title ?? "")")
+            return
+        }
+        windowManager.openWindow(for: note, coordinator: self)
+        windowManager.bringToFront(note.id)
+    }
+
+    /// Copy the focused note to the pasteboard as HTML (plus markdown as plain text)
+    func copyFocusedNoteAsHTML() {
+        guard let noteId = focusedNoteId(),
+              let note = noteManager.getNote(noteId) else { return }
+        SharedWebViewManager.shared.exportHTML(standalone: false, inlineCSS: true) { html in
+            guard let html = html else { return }
+            let pasteboard = NSPasteboard.general
+            pasteboard.clearContents()
+            pasteboard.setString(html, forType: .html)
+            pasteboard.setString(note.content, forType: .string)
+        }
+    }
+
+    /// Save the focused note as a standalone HTML file
+    func exportFocusedNoteAsHTML() {
+        guard let noteId = focusedNoteId(),
+              let note = noteManager.getNote(noteId) else { return }
+        SharedWebViewManager.shared.exportHTML(standalone: true, inlineCSS: true) { html in
+            guard let html = html else { return }
+            let panel = NSSavePanel()
+            panel.allowedContentTypes = [.html]
+            panel.nameFieldStringValue = (note.title.isEmpty ? "Note" : note.title) + ".html"
+            guard panel.runModal() == .OK, let url = panel.url else { return }
+            do {
+                try html.write(to: url, atomically: true, encoding: .utf8)
+            } catch {
+                print("[AppCoordinator] Error exporting HTML: \(error)")
+            }
+        }
+    }
+
+    /// Pop up the focused note's heading outline; choosing an entry jumps to it
+    func showOutlineMenu() {
+        guard focusedNoteId() != nil,
+              let contentView = NSApp.keyWindow?.contentView else { return }
+        SharedWebViewManager.shared.getOutline { outline in
+            let menu = NSMenu()
+            let target = OutlineMenuTarget()
+            target.addItems(outline, to: menu, level: 0)
+            if menu.items.isEmpty {
+                menu.addItem(withTitle: "No Headings", action: nil, keyEquivalent: "")
+            }
+            // Below the titlebar, at the left edge of the note
+            let origin = NSPoint(x: 12, y: contentView.bounds.height - 28)
+            menu.popUp(positioning: nil, at: origin, in: contentView)
+            withExtendedLifetime(target) {}
+        }
+    }
+
     /// Cycle focus to the next note window (Cmd+`)
     func cycleToNextWindow() {
         let allIds = windowManager.getAllWindowIds()
@@ -122,6 +187,22 @@ class AppCoordinator: ObservableObject {
         }
     }
 
+    // MARK: - Task Badge
+
+    /// Show the number of overdue tasks across all notes on the Dock icon.
+    /// Coalesced, since content changes arrive every few hundred ms while typing.
+    func refreshTaskBadge() {
+        taskBadgeUpdate?.cancel()
+        let update = DispatchWorkItem {
+            SharedWebViewManager.shared.getAllTasks { tasksByNote in
+                let overdue = tasksByNote.values.joined().filter { $0["overdue"] as? Bool == true }.count
+                NSApp.dockTile.badgeLabel = overdue > 0 ? String(overdue) : nil
+            }
+        }
+        taskBadgeUpdate = update
+        DispatchQueue.main.asyncAfter(deadline: .now() + 1, execute: update)
+    }
+
     // MARK: - Last Active Note Persistence
 
     private static let lastActiveNoteKey = "lastActiveNoteId"
@@ -164,6 +245,14 @@ class AppCoordinator: ObservableObject {
                 self?.syncWindowsWithNotes(notes)
             }
             .store(in: &cancellables)
+
+        // Tasks due yesterday are overdue from today
+        NotificationCenter.default.publisher(for: .NSCalendarDayChanged)
+            .receive(on: DispatchQueue.main)
+            .sink { [weak self] _ in
+                self?.refreshTaskBadge()
+            }
+            .store(in: &cancellables)
     }
 
     /// Open windows for all persisted notes
@@ -207,3 +296,28 @@ class AppCoordinator: ObservableObject {
         }
     }
 }
+
+// MARK: - Outline Menu
+
+/// Builds the heading menu and routes selections to the editor
+private final class OutlineMenuTarget: NSObject {
+    func addItems(_ entries: [[String: Any]], to menu: NSMenu, level: Int) {
+        for entry in entries {
+            guard let text = entry["text"] as? String,
+                  let pos = entry["pos"] as? Int else { continue }
+            let item = NSMenuItem(title: text.isEmpty ? "Untitled" : text, action: #selector(jump(_:)), keyEquivalent: "")
+            item.target = self
+            item.representedObject = pos
+            item.indentationLevel = min(level, 15)
+            menu.addItem(item)
+            if let children = entry["children"] as? [[String: Any]] {
+                addItems(children, to: menu, level: level + 1)
+            }
+        }
+    }
+
+    @objc func jump(_ sender: NSMenuItem) {
+        guard let pos = sender.representedObject as? Int else { return }
+        SharedWebViewManager.shared.jumpToHeading(at: pos)
+    }
+}
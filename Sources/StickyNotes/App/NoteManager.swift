@@ -170,6 +170,14 @@ class NoteManager: ObservableObject {
         notes.first { $0.id == noteId }
     }
 
+    /// Find a note by its display title (case-insensitive)
+    /// - Parameter title: The title used in a [[wiki link]]
+    /// - Returns: The first matching note, if any
+    func findNote(titled title: String) -> Note? {
+        let wanted = title.trimmingCharacters(in: .whitespaces).lowercased()
+        return notes.first { $0.title.lowercased() == wanted }
+    }
+
     // MARK: - Private Methods
 
     /// Create a default welcome note
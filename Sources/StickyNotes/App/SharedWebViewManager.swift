@@ -17,9 +17,17 @@ class SharedWebViewManager {
     /// Currently active note ID (the note being edited)
     private(set) var activeNoteId: UUID?
 
-    /// Cached serialized EditorState per note (JSON string from serializeState)
+    /// Cached serialized EditorState per note (JSON string from serializeState).
+    /// JS keeps the live EditorState (undo history, folds) keyed by the same note ID.
     private var stateCache: [UUID: String] = [:]
 
+    /// Last content revision applied per note (see ContentDelta); reset to 0
+    /// whenever the editor is loaded with the note's text from scratch
+    private var syncedRevisions: [UUID: Int] = [:]
+
+    /// Notes waiting for a contentSnapshot; deltas for them are ignored meanwhile
+    private var resyncingNotes: Set<UUID> = []
+
     /// Whether the editor JS has finished loading
     private(set) var isReady = false
 
@@ -43,6 +51,7 @@ class SharedWebViewManager {
                 console.log = function() {
                     var message = Array.prototype.slice.call(arguments).join(' ');
                     window.webkit.messageHandlers.bridge.postMessage({
+                        kind: 'event',
                         action: 'log',
                         message: message
                     });
@@ -52,7 +61,9 @@ class SharedWebViewManager {
                 console.error = function() {
                     var message = Array.prototype.slice.call(arguments).join(' ');
                     window.webkit.messageHandlers.bridge.postMessage({
+                        kind: 'event',
                         action: 'error',
+                        code: 'script_error',
                         message: 'ERROR: ' + message
                     });
                     originalError.apply(console, arguments);
@@ -69,6 +80,12 @@ class SharedWebViewManager {
         userContentController.add(bridge, name: "bridge")
         self.bridge = bridge
 
+        // Attachments are the only local files the page can load
+        configuration.setURLSchemeHandler(
+            AttachmentSchemeHandler(directory: Self.attachmentsDirectory),
+            forURLScheme: AttachmentSchemeHandler.scheme
+        )
+
         // Create the single WKWebView
         let wv = WKWebView(frame: .zero, configuration: configuration)
         wv.setValue(false, forKey: "drawsBackground")
@@ -89,8 +106,9 @@ class SharedWebViewManager {
             return
         }
 
-        let resourcesDir = bundleURL.appendingPathComponent("Contents/Resources")
-        webView.loadFileURL(htmlURL, allowingReadAccessTo: resourcesDir)
+        // Read access to the editor's own resources only; images come through
+        // AttachmentSchemeHandler
+        webView.loadFileURL(htmlURL, allowingReadAccessTo: htmlURL.deletingLastPathComponent())
         print("[SharedWebViewManager] Loading editor from: \(htmlURL.path)")
     }
 
@@ -101,6 +119,12 @@ class SharedWebViewManager {
     func markReady() {
         isReady = true
         print("[SharedWebViewManager] Editor is ready")
+        // A reloaded page (or restarted content process) counts revisions
+        // from 0 again, so forget ours
+        syncedRevisions.removeAll()
+        resyncingNotes.removeAll()
+        applyKeybindingMode()
+        coordinator?.refreshTaskBadge()
 
         // Pre-render inactive notes while WebView is still hidden (alpha=0)
         preRenderInactiveNotes { [weak self] in
@@ -153,11 +177,11 @@ class SharedWebViewManager {
         let note = notes[index]
 
         // Set content + enter snapshot mode in one JS call (single transaction, single DOM update).
-        // suppressContentChange in JS prevents the contentChanged debounce from firing
-        // and corrupting the active note's content in NoteManager.
+        // JS swaps in a fresh EditorState (no transaction), so the contentChanged
+        // debounce never fires and can't corrupt the active note's content in NoteManager.
         webView.callAsyncJavaScript(
             """
-            window.setContentForSnapshot(content);
+            window.editorAPI.setContentForSnapshot(content);
             await new Promise(r => requestAnimationFrame(() => requestAnimationFrame(r)));
             """,
             arguments: ["content": note.content],
@@ -170,7 +194,7 @@ class SharedWebViewManager {
             self.webView.takeSnapshot(with: WKSnapshotConfiguration()) { [weak self] image, _ in
                 guard let self = self else { return }
 
-                self.webView.evaluateJavaScript("window.endSnapshotMode()")
+                self.webView.evaluateJavaScript("window.editorAPI.endSnapshotMode()")
 
                 if let image = image {
                     self.coordinator?.windowManager.getWindowController(for: note.id)?.showSnapshot(image)
@@ -198,7 +222,7 @@ class SharedWebViewManager {
         //    JS evaluations are queued in order, so serializeState() executes
         //    BEFORE setContent/restoreState below, capturing the OLD content.
         if let currentId = activeNoteId {
-            webView.evaluateJavaScript("window.serializeState()") { [weak self] result, _ in
+            webView.evaluateJavaScript("window.editorAPI.serializeState()") { [weak self] result, _ in
                 guard let self = self, let json = result as? String else { return }
                 self.cacheSerializedState(json, for: currentId)
             }
@@ -213,13 +237,17 @@ class SharedWebViewManager {
     private func loadNoteContent(_ noteId: UUID, note: Note) {
         // Set noteId in JS
         let idString = noteId.uuidString
-        webView.evaluateJavaScript("window.setCurrentNoteId('\(idString)')")
+        webView.evaluateJavaScript("window.editorAPI.setCurrentNoteId('\(idString)')")
+
+        // A resync that found no editor state for this note ends here; the
+        // next delta either fits or triggers a fresh one
+        resyncingNotes.remove(noteId)
 
         // Restore cached state or load fresh content
         if let cached = stateCache[noteId] {
             // Use callAsyncJavaScript to pass JSON directly — avoids fragile string escaping
             webView.callAsyncJavaScript(
-                "window.restoreState(state)",
+                "window.editorAPI.restoreState(state)",
                 arguments: ["state": cached],
                 in: nil,
                 in: .page,
@@ -227,8 +255,9 @@ class SharedWebViewManager {
             )
         } else {
             // First time — load from Note model via callAsyncJavaScript
+            syncedRevisions[noteId] = 0
             webView.callAsyncJavaScript(
-                "window.setContent(content)",
+                "window.editorAPI.setContent(content)",
                 arguments: ["content": note.content],
                 in: nil,
                 in: .page,
@@ -237,23 +266,39 @@ class SharedWebViewManager {
 
             // Restore cursor position
             if note.cursorPosition > 0 {
-                webView.evaluateJavaScript("window.setCursorPosition(\(note.cursorPosition))")
+                webView.evaluateJavaScript("window.editorAPI.setCursorPosition(\(note.cursorPosition))")
             }
 
             // Restore scroll position
             if note.scrollTop > 0 {
                 DispatchQueue.main.asyncAfter(deadline: .now() + 0.05) { [weak self] in
-                    self?.webView.evaluateJavaScript("window.setScrollTop(\(note.scrollTop))")
+                    self?.webView.evaluateJavaScript("window.editorAPI.setScrollTop(\(note.scrollTop))")
                 }
             }
         }
 
+        // Refresh the [[wiki link]] note list (titles may have changed)
+        pushNoteIndex()
+
         // Initialize note controls (titlebar mask color)
-        webView.evaluateJavaScript("window.initNoteControls('\(note.colorTheme)', \(note.opacity), \(note.alwaysOnTop))")
+        webView.evaluateJavaScript("window.editorAPI.initNoteControls('\(note.colorTheme)', \(note.opacity), \(note.alwaysOnTop))")
 
         print("[SharedWebViewManager] Loaded note: \(noteId)")
     }
 
+    /// Send the list of linkable notes ({ id, title }) to JS for [[wiki link]] autocomplete
+    func pushNoteIndex() {
+        guard isReady, let notes = coordinator?.noteManager.notes else { return }
+        let index = notes.map { ["id": $0.id.uuidString, "title": $0.title] }
+        webView.callAsyncJavaScript(
+            "window.editorAPI.setNoteIndex(list)",
+            arguments: ["list": index],
+            in: nil,
+            in: .page,
+            completionHandler: nil
+        )
+    }
+
     /// Cache a serialized editor state for a note (called from attachWebView before cursor reset).
     /// Extracts doc, cursor position, and scroll top to persist in NoteManager.
     func cacheSerializedState(_ json: String, for noteId: UUID) {
@@ -288,21 +333,21 @@ class SharedWebViewManager {
 
         var pending = 3
 
-        webView.evaluateJavaScript("window.getContent()") { [weak self] result, _ in
+        webView.evaluateJavaScript("window.editorAPI.getContent()") { [weak self] result, _ in
             if let content = result as? String {
                 self?.coordinator?.noteManager.updateNoteContent(currentId, content: content)
             }
             pending -= 1
         }
 
-        webView.evaluateJavaScript("window.getCursorPosition()") { [weak self] result, _ in
+        webView.evaluateJavaScript("window.editorAPI.getCursorPosition()") { [weak self] result, _ in
             if let position = result as? Int {
                 self?.coordinator?.noteManager.updateNoteCursorPosition(currentId, cursorPosition: position)
             }
             pending -= 1
         }
 
-        webView.evaluateJavaScript("window.getScrollTop()") { [weak self] result, _ in
+        webView.evaluateJavaScript("window.editorAPI.getScrollTop()") { [weak self] result, _ in
             if let scrollTop = result as? Double {
                 self?.coordinator?.noteManager.updateNoteScrollTop(currentId, scrollTop: scrollTop)
             }
@@ -316,9 +361,235 @@ class SharedWebViewManager {
         }
     }
 
+    // MARK: - Export
+
+    /// Render the active note to HTML via window.editorAPI.exportHTML (see editor.js for options)
+    func exportHTML(standalone: Bool, inlineCSS: Bool, completion: @escaping (String?) -> Void) {
+        guard isReady else {
+            completion(nil)
+            return
+        }
+        webView.callAsyncJavaScript(
+            "return window.editorAPI.exportHTML({ standalone, inlineCSS })",
+            arguments: ["standalone": standalone, "inlineCSS": inlineCSS],
+            in: nil,
+            in: .page
+        ) { result in
+            switch result {
+            case .success(let value):
+                completion(value as? String)
+            case .failure(let error):
+                print("[SharedWebViewManager] exportHTML error: \(error)")
+                completion(nil)
+            }
+        }
+    }
+
+    // MARK: - Outline
+
+    /// Heading tree of the active note from window.editorAPI.getOutline()
+    /// (each entry: level, text, pos, line, children)
+    func getOutline(completion: @escaping ([[String: Any]]) -> Void) {
+        guard isReady else {
+            completion([])
+            return
+        }
+        webView.callAsyncJavaScript("return window.editorAPI.getOutline()", arguments: [:], in: nil, in: .page) { result in
+            if case .success(let value) = result, let outline = value as? [[String: Any]] {
+                completion(outline)
+            } else {
+                completion([])
+            }
+        }
+    }
+
+    /// Scroll the editor to a heading returned by getOutline()
+    func jumpToHeading(at pos: Int) {
+        webView.evaluateJavaScript("window.editorAPI.jumpToHeading(\(pos))")
+    }
+
+    // MARK: - Tasks
+
+    /// Tasks of every note, keyed by note ID, from window.editorAPI.getTasks().
+    /// JS reads the notes it holds an editor state for and parses the rest from
+    /// their saved content (each entry: line, from, text, state "open"/"done",
+    /// due, priority, people, overdue)
+    func getAllTasks(completion: @escaping ([UUID: [[String: Any]]]) -> Void) {
+        guard isReady, let notes = coordinator?.noteManager.notes else {
+            completion([:])
+            return
+        }
+        let list = notes.map { ["id": $0.id.uuidString, "content": $0.content] }
+        webView.callAsyncJavaScript(
+            "return notes.map((n) => window.editorAPI.getTasks(n.id, n.content))",
+            arguments: ["notes": list],
+            in: nil,
+            in: .page
+        ) { result in
+            if case .success(let value) = result, let lists = value as? [[[String: Any]]], lists.count == notes.count {
+                completion(Dictionary(uniqueKeysWithValues: zip(notes.map { $0.id }, lists)))
+            } else {
+                completion([:])
+            }
+        }
+    }
+
+    // MARK: - Keybindings
+
+    private static let keybindingModeKey = "keybindingMode"
+
+    /// Editor keybindings: "default", "vim" or "emacs" (window.editorAPI.setKeybindingMode)
+    var keybindingMode: String {
+        UserDefaults.standard.string(forKey: Self.keybindingModeKey) ?? "default"
+    }
+
+    /// Persist the keybinding mode and apply it to the editor
+    func setKeybindingMode(_ mode: String) {
+        UserDefaults.standard.set(mode, forKey: Self.keybindingModeKey)
+        applyKeybindingMode()
+    }
+
+    private func applyKeybindingMode() {
+        guard isReady else { return }
+        webView.evaluateJavaScript("window.editorAPI.setKeybindingMode('\(keybindingMode)')")
+    }
+
+    // MARK: - Preview mode
+
+    /// Switch the editor between editing and the read-only rendered preview.
+    /// JS owns the mode (a double-click in preview returns to editing), so ask it.
+    func togglePreviewMode() {
+        guard isReady else { return }
+        webView.evaluateJavaScript(
+            "window.editorAPI.setMode(window.editorAPI.getMode() === 'preview' ? 'edit' : 'preview')"
+        )
+    }
+
+    // MARK: - Content sync
+
+    /// Apply an edit delta from the editor, or ask for the full text when it
+    /// doesn't follow the revision we have (or its checksum fails)
+    func applyContentDelta(_ delta: ContentDelta, to noteId: UUID) {
+        if resyncingNotes.contains(noteId) { return }
+        let synced = syncedRevisions[noteId] ?? 0
+        let content = coordinator?.noteManager.getNote(noteId)?.content
+
+        // A repeat of the revision we have is harmless; any other old
+        // revision means the editor's counter restarted under us
+        if delta.revision <= synced {
+            if delta.revision == synced, let content = content,
+               ContentDelta.checksum(content) == delta.checksum {
+                return
+            }
+            print("[SharedWebViewManager] Note \(noteId) sent r\(delta.revision) behind r\(synced); resyncing")
+            requestResync(noteId)
+            return
+        }
+
+        guard delta.baseRevision == synced,
+              let content = content,
+              let updated = delta.apply(to: content) else {
+            print("[SharedWebViewManager] Note \(noteId) out of sync (have r\(synced), got r\(delta.baseRevision)→r\(delta.revision)); resyncing")
+            requestResync(noteId)
+            return
+        }
+        syncedRevisions[noteId] = delta.revision
+        coordinator?.handleContentChange(noteId: noteId, content: updated)
+    }
+
+    /// Ask the editor for a note's full text (answered with contentSnapshot)
+    func requestResync(_ noteId: UUID) {
+        resyncingNotes.insert(noteId)
+        webView.callAsyncJavaScript(
+            "window.editorAPI.resync(id)",
+            arguments: ["id": noteId.uuidString],
+            in: nil,
+            in: .page,
+            completionHandler: nil
+        )
+    }
+
+    func applyContentSnapshot(_ content: String, revision: Int, checksum: String?, to noteId: UUID) {
+        resyncingNotes.remove(noteId)
+        if let checksum = checksum, ContentDelta.checksum(content) != checksum {
+            print("[SharedWebViewManager] Snapshot checksum mismatch for \(noteId); ignoring")
+            return
+        }
+        syncedRevisions[noteId] = revision
+        coordinator?.handleContentChange(noteId: noteId, content: content)
+    }
+
+    // MARK: - Bridge responses
+
+    /// Resolve a request from the editor (window.editorAPI.respond, see bridge.js)
+    func respond(to requestId: String, result: Any) {
+        sendResponse(requestId, ["result": result])
+    }
+
+    /// Reject a request from the editor with a structured error
+    func respond(to requestId: String, error code: BridgeErrorCode, message: String) {
+        sendResponse(requestId, ["error": ["code": code.rawValue, "message": message]])
+    }
+
+    private func sendResponse(_ requestId: String, _ response: [String: Any]) {
+        webView.callAsyncJavaScript(
+            "window.editorAPI.respond(id, response)",
+            arguments: ["id": requestId, "response": response],
+            in: nil,
+            in: .page,
+            completionHandler: nil
+        )
+    }
+
+    // MARK: - Attachments
+
+    /// Directory for pasted/dropped images (~/Library/Application Support/StickyNotes/Attachments)
+    private static let attachmentsDirectory: URL = {
+        let support = FileManager.default.urls(for: .applicationSupportDirectory, in: .userDomainMask)[0]
+        return support.appendingPathComponent("StickyNotes/Attachments", isDirectory: true)
+    }()
+
+    /// Write a base64 image from JS to the attachments directory, then answer
+    /// the saveAttachment request with the path to insert or an error.
+    func saveAttachment(requestId: String, base64: String, filename: String, mimeType: String) {
+        let ext = Self.fileExtension(for: mimeType, filename: filename)
+        let url = Self.attachmentsDirectory.appendingPathComponent("\(UUID().uuidString).\(ext)")
+
+        do {
+            guard let data = Data(base64Encoded: base64) else {
+                throw CocoaError(.fileReadCorruptFile)
+            }
+            try FileManager.default.createDirectory(at: Self.attachmentsDirectory, withIntermediateDirectories: true)
+            try data.write(to: url, options: .atomic)
+            print("[SharedWebViewManager] Saved attachment: \(url.path)")
+            respond(to: requestId, result: ["path": url.path, "alt": (filename as NSString).deletingPathExtension])
+        } catch {
+            print("[SharedWebViewManager] Error saving attachment: \(error)")
+            respond(to: requestId, error: .attachmentFailed, message: error.localizedDescription)
+        }
+    }
+
+    private static func fileExtension(for mimeType: String, filename: String) -> String {
+        switch mimeType {
+        case "image/png": return "png"
+        case "image/jpeg": return "jpg"
+        case "image/gif": return "gif"
+        case "image/webp": return "webp"
+        case "image/svg+xml": return "svg"
+        case "image/tiff": return "tiff"
+        case "image/heic": return "heic"
+        default:
+            let ext = (filename as NSString).pathExtension
+            return ext.isEmpty ? "png" : ext.lowercased()
+        }
+    }
+
     /// Remove cached state for a deleted note
     func removeCachedState(for noteId: UUID) {
         stateCache.removeValue(forKey: noteId)
+        syncedRevisions.removeValue(forKey: noteId)
+        resyncingNotes.remove(noteId)
+        webView.evaluateJavaScript("window.editorAPI.discardNoteState('\(noteId.uuidString)')")
         if activeNoteId == noteId {
             activeNoteId = nil
         }
@@ -0,0 +1,46 @@
+import Foundation
+import UniformTypeIdentifiers
+import WebKit
+
+/// Serves image attachments to the editor as `attachment:///<absolute path>`
+/// (resolveImageSrc in editor.js). Only files inside the attachments
+/// directory are answered, so the editor page — which renders untrusted
+/// markdown — never gets general file-system access.
+final class AttachmentSchemeHandler: NSObject, WKURLSchemeHandler {
+    static let scheme = "attachment"
+
+    private let directory: URL
+
+    init(directory: URL) {
+        self.directory = directory.standardizedFileURL.resolvingSymlinksInPath()
+    }
+
+    func webView(_ webView: WKWebView, start urlSchemeTask: WKURLSchemeTask) {
+        guard let url = urlSchemeTask.request.url,
+              let fileURL = fileURL(for: url),
+              let data = try? Data(contentsOf: fileURL) else {
+            urlSchemeTask.didFailWithError(CocoaError(.fileReadNoSuchFile))
+            return
+        }
+        let mimeType = UTType(filenameExtension: fileURL.pathExtension)?.preferredMIMEType ?? "application/octet-stream"
+        urlSchemeTask.didReceive(URLResponse(
+            url: url,
+            mimeType: mimeType,
+            expectedContentLength: data.count,
+            textEncodingName: nil
+        ))
+        urlSchemeTask.didReceive(data)
+        urlSchemeTask.didFinish()
+    }
+
+    func webView(_ webView: WKWebView, stop urlSchemeTask: WKURLSchemeTask) {}
+
+    /// The file an attachment URL names, or nil when it resolves (after
+    /// `..` and symlinks) to anything outside the attachments directory
+    private func fileURL(for url: URL) -> URL? {
+        let path = url.path
+        guard path.hasPrefix("/") else { return nil }
+        let file = URL(fileURLWithPath: path).standardizedFileURL.resolvingSymlinksInPath()
+        return file.path.hasPrefix(directory.path + "/") ? file : nil
+    }
+}
@@ -0,0 +1,51 @@
+import Foundation
+
+/// Swift side of the editor bridge protocol (editor-web/src/bridge.js).
+/// Keep the version, actions and error codes in step with messageSchema there.
+enum BridgeProtocol {
+    /// PROTOCOL_VERSION in bridge.js, announced by the editor's ready message
+    static let version = 2
+}
+
+/// Actions the editor posts
+enum BridgeAction: String {
+    case ready, log, error, contentChanged, contentSnapshot, requestSave, openURL, openNote
+    case saveAttachment, readClipboard
+}
+
+/// Error codes shared with bridge.js `ErrorCode`
+enum BridgeErrorCode: String {
+    case unknownAction = "unknown_action"
+    case invalidPayload = "invalid_payload"
+    case unavailable
+    case timeout
+    case attachmentFailed = "attachment_failed"
+    case scriptError = "script_error"
+    case unknownNote = "unknown_note"
+    case `internal`
+}
+
+/// One message from the editor: `{ v, kind, action, noteId, requestId?, ...payload }`.
+/// Messages without `v` / `kind` (the console interceptor, older bundles) read as version-0 events.
+struct BridgeMessage {
+    let action: String
+    let version: Int
+    let isRequest: Bool
+    let noteId: UUID?
+    let requestId: String?
+    let body: [String: Any]
+
+    init?(body: [String: Any]) {
+        guard let action = body["action"] as? String else { return nil }
+        self.action = action
+        self.version = body["v"] as? Int ?? 0
+        self.isRequest = body["kind"] as? String == "request"
+        self.noteId = (body["noteId"] as? String).flatMap(UUID.init(uuidString:))
+        self.requestId = body["requestId"] as? String
+        self.body = body
+    }
+
+    func string(_ key: String) -> String? {
+        body[key] as? String
+    }
+}
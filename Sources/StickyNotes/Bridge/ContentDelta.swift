@@ -0,0 +1,61 @@
+import Foundation
+
+/// A contentChanged message: the edits since `baseRevision` in CodeMirror's
+/// ChangeSet JSON form. Each part is either a number (keep that many UTF-16
+/// units) or `[deleted, line, line, …]` (delete, then insert the lines joined
+/// by "\n"). See "Content sync" in editor.js.
+struct ContentDelta {
+    let baseRevision: Int
+    let revision: Int
+    let changes: [Any]
+    let length: Int
+    let checksum: String
+
+    init?(message: BridgeMessage) {
+        guard let base = message.body["baseRevision"] as? Int,
+              let revision = message.body["revision"] as? Int,
+              let changes = message.body["changes"] as? [Any],
+              let length = message.body["length"] as? Int,
+              let checksum = message.string("checksum") else { return nil }
+        self.baseRevision = base
+        self.revision = revision
+        self.changes = changes
+        self.length = length
+        self.checksum = checksum
+    }
+
+    /// The text after applying the delta, or nil if it doesn't fit `content`
+    /// or the result fails the checksum
+    func apply(to content: String) -> String? {
+        let old = content as NSString
+        let result = NSMutableString()
+        var pos = 0
+        for part in changes {
+            if let keep = part as? Int {
+                guard keep >= 0, pos + keep <= old.length else { return nil }
+                result.append(old.substring(with: NSRange(location: pos, length: keep)))
+                pos += keep
+            } else if let replace = part as? [Any], let deleted = replace.first as? Int {
+                let lines = replace.dropFirst().compactMap { $0 as? String }
+                guard deleted >= 0, pos + deleted <= old.length, lines.count == replace.count - 1 else { return nil }
+                result.append(lines.joined(separator: "\n"))
+                pos += deleted
+            } else {
+                return nil
+            }
+        }
+        let updated = result as String
+        guard pos == old.length, result.length == length, Self.checksum(updated) == checksum else { return nil }
+        return updated
+    }
+
+    /// FNV-1a over the UTF-16 code units, matching contentChecksum() in editor.js
+    static func checksum(_ text: String) -> String {
+        var hash: UInt32 = 0x811c9dc5
+        for unit in text.utf16 {
+            hash ^= UInt32(unit)
+            hash = hash &* 0x01000193
+        }
+        return String(format: "%08x", hash)
+    }
+}
@@ -2,7 +2,8 @@ import Foundation
 import WebKit
 
 /// Bridge between Swift and the shared JavaScript editor.
-/// Routes messages by noteId to the appropriate handler.
+/// Routes messages by noteId to the appropriate handler; requests are
+/// answered through SharedWebViewManager.respond (see BridgeProtocol).
 class SharedEditorBridge: NSObject, WKScriptMessageHandler {
 
     // MARK: - WKScriptMessageHandler
@@ -12,61 +13,100 @@ class SharedEditorBridge: NSObject, WKScriptMessageHandler {
         didReceive message: WKScriptMessage
     ) {
         guard let body = message.body as? [String: Any],
-              let action = body["action"] as? String else {
+              let bridgeMessage = BridgeMessage(body: body) else {
             print("[SharedEditorBridge] Invalid message format")
             return
         }
 
-        handleAction(action, body: body)
+        handleAction(bridgeMessage)
     }
 
     // MARK: - Action Handling
 
-    private func handleAction(_ action: String, body: [String: Any]) {
+    private func handleAction(_ message: BridgeMessage) {
         let manager = SharedWebViewManager.shared
 
+        guard let action = BridgeAction(rawValue: message.action) else {
+            print("[SharedEditorBridge] Unknown action: \(message.action)")
+            if message.isRequest, let requestId = message.requestId {
+                manager.respond(to: requestId, error: .unknownAction, message: "Unknown action: \(message.action)")
+            }
+            return
+        }
+
         switch action {
-        case "ready":
+        case .ready:
+            let version = message.body["protocolVersion"] as? Int ?? 0
+            if version != BridgeProtocol.version {
+                print("[SharedEditorBridge] Editor speaks protocol v\(version), app expects v\(BridgeProtocol.version)")
+            }
             // markReady() handles loading any queued note internally
             manager.markReady()
 
-        case "contentChanged":
-            // Route to the correct note via noteId
-            guard let content = body["content"] as? String else { return }
-            let noteId: UUID
-            if let idString = body["noteId"] as? String, let id = UUID(uuidString: idString) {
-                noteId = id
-            } else if let activeId = manager.activeNoteId {
-                noteId = activeId
-            } else {
+        case .contentChanged:
+            // Edit delta — routed by the noteId it was typed in
+            guard let noteId = message.noteId ?? manager.activeNoteId else { return }
+            guard let delta = ContentDelta(message: message) else {
+                print("[SharedEditorBridge] Malformed contentChanged; resyncing \(noteId)")
+                manager.requestResync(noteId)
                 return
             }
-            manager.coordinator?.handleContentChange(noteId: noteId, content: content)
+            manager.applyContentDelta(delta, to: noteId)
+
+        case .contentSnapshot:
+            // Full text after a resync request
+            guard let noteId = message.noteId,
+                  let content = message.string("content"),
+                  let revision = message.body["revision"] as? Int else { return }
+            manager.applyContentSnapshot(content, revision: revision, checksum: message.string("checksum"), to: noteId)
 
-        case "requestSave":
+        case .requestSave:
             if let noteId = manager.activeNoteId,
                let note = manager.coordinator?.noteManager.getNote(noteId) {
                 manager.coordinator?.noteManager.saveNoteImmediately(note)
             }
 
-        case "openURL":
-            if let urlString = body["url"] as? String,
+        case .openURL:
+            if let urlString = message.string("url"),
                let url = URL(string: urlString) {
                 NSWorkspace.shared.open(url)
             }
 
-        case "log":
-            if let msg = body["message"] as? String {
-                print("[SharedEditorBridge][JS] \(msg)")
+        case .openNote:
+            // [[wiki link]] Cmd+click — prefer the resolved ID, fall back to title
+            let targetId = message.string("targetId").flatMap(UUID.init(uuidString:))
+            manager.coordinator?.openLinkedNote(id: targetId, title: message.string("title"))
+
+        case .saveAttachment:
+            // Pasted/dropped image — write to disk and reply with the path
+            guard let requestId = message.requestId else { return }
+            guard let base64 = message.string("data") else {
+                manager.respond(to: requestId, error: .invalidPayload, message: "saveAttachment needs data")
+                return
             }
+            manager.saveAttachment(
+                requestId: requestId,
+                base64: base64,
+                filename: message.string("filename") ?? "image",
+                mimeType: message.string("mimeType") ?? ""
+            )
 
-        case "error":
-            if let msg = body["message"] as? String {
-                print("[SharedEditorBridge][JS Error] \(msg)")
+        case .readClipboard:
+            // Cmd+K — JS fills the link target if the clipboard holds a URL
+            guard let requestId = message.requestId else { return }
+            let text = NSPasteboard.general.string(forType: .string) ?? ""
+            manager.respond(to: requestId, result: text)
+
+        case .log:
+            if let msg = message.string("message") {
+                print("[SharedEditorBridge][JS] \(msg)")
             }
 
-        default:
-            print("[SharedEditorBridge] Unknown action: \(action)")
+        case .error:
+            if let msg = message.string("message") {
+                let code = message.string("code").flatMap(BridgeErrorCode.init(rawValue:))
+                print("[SharedEditorBridge][JS Error\(code.map { " \($0.rawValue)" } ?? "")] \(msg)")
+            }
         }
     }
 }
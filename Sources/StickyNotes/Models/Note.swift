@@ -72,6 +72,18 @@ struct Note: Identifiable, Codable, Equatable {
     mutating func updateModificationDate() {
         self.modifiedAt = Date()
     }
+
+    /// Display title: first non-empty line with heading marks stripped.
+    /// Used as the target name for [[wiki links]] between notes.
+    var title: String {
+        let firstLine = content
+            .split(separator: "\n", omittingEmptySubsequences: true)
+            .map { $0.trimmingCharacters(in: .whitespaces) }
+            .first { !$0.isEmpty } ?? ""
+        return firstLine
+            .drop { $0 == "#" }
+            .trimmingCharacters(in: .whitespaces)
+    }
 }
 
 // MARK: - Codable Conformance
@@ -71,23 +71,64 @@ struct MenuBarCommands: Scene {
                 Button("Show All Notes") {
                     coordinator.showAllNotes()
                 }
+
+                Divider()
+
+                Button("Copy as HTML") {
+                    coordinator.copyFocusedNoteAsHTML()
+                }
+                .keyboardShortcut("c", modifiers: [.command, .option])
+
+                Button("Export as HTML...") {
+                    coordinator.exportFocusedNoteAsHTML()
+                }
+                .keyboardShortcut("e", modifiers: [.command, .shift])
             }
 
             // Edit menu — Find in note (Cmd+F → shared WKWebView)
             CommandGroup(replacing: .textEditing) {
                 Button("Find...") {
                     if coordinator.focusedNoteId() != nil {
-                        SharedWebViewManager.shared.webView.evaluateJavaScript("window.openSearch()")
+                        SharedWebViewManager.shared.webView.evaluateJavaScript("window.editorAPI.openSearch()")
                     }
                 }
                 .keyboardShortcut("f", modifiers: .command)
 
                 Button("Find and Replace...") {
                     if coordinator.focusedNoteId() != nil {
-                        SharedWebViewManager.shared.webView.evaluateJavaScript("window.openSearchWithReplace()")
+                        SharedWebViewManager.shared.webView.evaluateJavaScript("window.editorAPI.openSearchWithReplace()")
                     }
                 }
                 .keyboardShortcut("f", modifiers: [.command, .shift])
+
+                Divider()
+
+                Button("Go to Heading...") {
+                    coordinator.showOutlineMenu()
+                }
+                .keyboardShortcut("o", modifiers: [.command, .shift])
+
+                Button("Toggle Preview") {
+                    if coordinator.focusedNoteId() != nil {
+                        SharedWebViewManager.shared.togglePreviewMode()
+                    }
+                }
+                .keyboardShortcut("p", modifiers: [.command, .option])
+
+                // No key equivalent: the editor binds Cmd+Option+T itself
+                Button("Move Completed Tasks Down") {
+                    if coordinator.focusedNoteId() != nil {
+                        SharedWebViewManager.shared.webView.evaluateJavaScript("window.editorAPI.moveCompletedTasksDown()")
+                    }
+                }
+
+                Divider()
+
+                Menu("Keybindings") {
+                    Button("Default") { SharedWebViewManager.shared.setKeybindingMode("default") }
+                    Button("Vim") { SharedWebViewManager.shared.setKeybindingMode("vim") }
+                    Button("Emacs") { SharedWebViewManager.shared.setKeybindingMode("emacs") }
+                }
             }
 
             // Window menu — Cmd+` to cycle between note windows
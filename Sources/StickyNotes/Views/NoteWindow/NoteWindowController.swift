@@ -161,7 +161,7 @@ class NoteWindowController: NSWindowController, NSWindowDelegate {
         // Update titlebar mask in JS (only if we have the webview)
         if hasWebView {
             SharedWebViewManager.shared.webView.evaluateJavaScript(
-                "window.setNoteColor('\(color.rawValue)')", completionHandler: nil
+                "window.editorAPI.setNoteColor('\(color.rawValue)')", completionHandler: nil
             )
         }
     }
@@ -233,7 +233,7 @@ class NoteWindowController: NSWindowController, NSWindowDelegate {
                 // A. Serialize state first (preserves cursor position before we reset it)
                 var serializedState: String?
                 var serializeDone = false
-                wv.evaluateJavaScript("window.serializeState()") { result, _ in
+                wv.evaluateJavaScript("window.editorAPI.serializeState()") { result, _ in
                     serializedState = result as? String
                     serializeDone = true
                 }
@@ -247,7 +247,7 @@ class NoteWindowController: NSWindowController, NSWindowDelegate {
 
                 // B. Collapse all cursor unfolds, disable transitions, and blur
                 var prepareDone = false
-                wv.evaluateJavaScript("window.prepareForSnapshot()") { _, _ in
+                wv.evaluateJavaScript("window.editorAPI.prepareForSnapshot()") { _, _ in
                     prepareDone = true
                 }
                 let prepareDeadline = Date().addingTimeInterval(0.1)
@@ -274,7 +274,7 @@ class NoteWindowController: NSWindowController, NSWindowDelegate {
                 }
 
                 // E. Re-enable transitions
-                wv.evaluateJavaScript("window.endSnapshotMode()")
+                wv.evaluateJavaScript("window.editorAPI.endSnapshotMode()")
 
                 if let image = snapshot {
                     oldWC?.showSnapshot(image)
@@ -314,7 +314,7 @@ class NoteWindowController: NSWindowController, NSWindowDelegate {
         wv.alphaValue = 1
         removeNonWebViewSubviews()
         wv.window?.makeFirstResponder(wv)
-        wv.evaluateJavaScript("window.focusEditor()")
+        wv.evaluateJavaScript("window.editorAPI.focusEditor()")
     }
 
     /// Show a snapshot of the last rendered editor state (preserves markdown rendering)
@@ -0,0 +1,296 @@
+// The single-layer markdownDecoPlugin as it was before the static/cursor
+// split (editor.js at the first commit), kept as the benchmark baseline:
+// every selection change, edit or scroll rebuilds all decorations in the
+// visible ranges. Widgets come from the current editor; only the builder and
+// the update policy are the old ones. Returns the plugin's class, for the
+// benchmark to drive directly.
+
+import { Decoration } from '@codemirror/view';
+import { syntaxTree } from '@codemirror/language';
+
+export function baselineDecorations({ InlineCodeWidget, HROverlayWidget, TaskCheckboxWidget, BulletMarkerWidget, OrderedMarkerWidget }) {
+  const snapshotMode = false;
+
+  function buildMarkdownDecos(view) {
+    const builder = [];
+    const lineDecoSet = new Set();
+    // Cursor position — skip Decoration.replace() when cursor is inside the range
+    const { from: curFrom, to: curTo } = view.state.selection.main;
+
+    function cursorInside(from, to) {
+      if (snapshotMode) return false;
+      return curFrom >= from && curTo <= to;
+    }
+
+    function addLineDeco(pos, cls) {
+      const lineStart = view.state.doc.lineAt(pos).from;
+      const key = `${lineStart}:${cls}`;
+      if (lineDecoSet.has(key)) return;
+      lineDecoSet.add(key);
+      builder.push(Decoration.line({ class: cls }).range(lineStart));
+    }
+
+    // Check if position is on the same line as cursor
+    const cursorLine = view.state.doc.lineAt(curFrom).number;
+    function cursorOnLine(pos) {
+      if (snapshotMode) return false;
+      return view.state.doc.lineAt(pos).number === cursorLine;
+    }
+
+    // Add cursor line decoration for marker visibility (skip in snapshot mode)
+    if (!snapshotMode) {
+      addLineDeco(view.state.doc.line(cursorLine).from, 'cm-cursor-line');
+    }
+
+    for (const { from, to } of view.visibleRanges) {
+      syntaxTree(view.state).iterate({
+        from,
+        to,
+        enter(node) {
+          switch (node.name) {
+            // ── Headings ──────────────────────────────────────
+            case 'ATXHeading1':
+              addLineDeco(node.from, 'cm-heading-1');
+              break;
+            case 'ATXHeading2':
+              addLineDeco(node.from, 'cm-heading-2');
+              break;
+            case 'ATXHeading3':
+              addLineDeco(node.from, 'cm-heading-3');
+              break;
+            case 'ATXHeading4':
+              addLineDeco(node.from, 'cm-heading-4');
+              break;
+            case 'ATXHeading5':
+              addLineDeco(node.from, 'cm-heading-5');
+              break;
+            case 'ATXHeading6':
+              addLineDeco(node.from, 'cm-heading-6');
+              break;
+
+            // ── Markers (hidden when cursor not on line) ──────
+            case 'HeaderMark': {
+              const hLine = view.state.doc.lineAt(node.from);
+              if (node.from === hLine.from) {
+                // Opening # marks — hide when cursor not on line
+                builder.push(
+                  Decoration.mark({ class: 'cm-md-marker' }).range(node.from, node.to)
+                );
+              } else {
+                // Trailing # marks — inherit heading text color
+                builder.push(
+                  Decoration.mark({ class: 'cm-md-marker-trailing' }).range(node.from, node.to)
+                );
+              }
+              break;
+            }
+            case 'EmphasisMark':
+            case 'QuoteMark':
+            case 'CodeMark':  // ``` fenced code markers
+            case 'CodeInfo':  // language name after ```
+              builder.push(
+                Decoration.mark({ class: 'cm-md-marker' }).range(node.from, node.to)
+              );
+              break;
+
+            // ── Bold ──────────────────────────────────────────
+            case 'StrongEmphasis':
+              builder.push(
+                Decoration.mark({ class: 'cm-md-bold' }).range(node.from, node.to)
+              );
+              break;
+
+            // ── Italic ────────────────────────────────────────
+            case 'Emphasis':
+              builder.push(
+                Decoration.mark({ class: 'cm-md-italic' }).range(node.from, node.to)
+              );
+              break;
+
+            // ── Inline Code → widget (unfold when cursor inside) ─
+            case 'InlineCode': {
+              if (cursorInside(node.from, node.to)) break; // show raw source
+              const text = view.state.sliceDoc(node.from, node.to);
+              const backtickMatch = text.match(/^(`+)([\s\S]*?)\1$/);
+              if (backtickMatch) {
+                const inner = backtickMatch[2].trim();
+                builder.push(
+                  Decoration.replace({
+                    widget: new InlineCodeWidget(inner),
+                  }).range(node.from, node.to)
+                );
+              }
+              break;
+            }
+
+            // ── Link ──────────────────────────────────────────
+            case 'Link': {
+              // Style the whole link node, then let LinkMark/URL children
+              // be styled separately (markers dim, URL dim)
+              builder.push(
+                Decoration.mark({ class: 'cm-md-link' }).range(node.from, node.to)
+              );
+              break;
+            }
+
+            // ── Link sub-parts: dim brackets and URL ──────────
+            case 'LinkMark':
+              builder.push(
+                Decoration.mark({ class: 'cm-md-marker' }).range(node.from, node.to)
+              );
+              break;
+            case 'URL':
+              builder.push(
+                Decoration.mark({ class: 'cm-md-url' }).range(node.from, node.to)
+              );
+              break;
+
+            // ── Blockquote (line decoration per line) ─────────
+            case 'Blockquote': {
+              const startLine = view.state.doc.lineAt(node.from).number;
+              const endLine = view.state.doc.lineAt(node.to).number;
+              for (let i = startLine; i <= endLine; i++) {
+                addLineDeco(view.state.doc.line(i).from, 'cm-md-blockquote');
+              }
+              break;
+            }
+
+            // ── Fenced Code Block (line decoration per line) ──
+            case 'FencedCode': {
+              const startLine = view.state.doc.lineAt(node.from).number;
+              const endLine = view.state.doc.lineAt(node.to).number;
+              for (let i = startLine; i <= endLine; i++) {
+                let classes = 'cm-md-fenced-code';
+                if (i === startLine) classes += ' cm-md-fenced-code-first';
+                if (i === endLine) classes += ' cm-md-fenced-code-last';
+                addLineDeco(view.state.doc.line(i).from, classes);
+              }
+              break;
+            }
+
+            // ── Horizontal Rule (overlay with animation) ───
+            case 'HorizontalRule': {
+              const lineStart = view.state.doc.lineAt(node.from).from;
+              const isEditing = cursorInside(node.from, node.to);
+              const hrClass = isEditing ? 'cm-hr-source-line cm-hr-editing' : 'cm-hr-source-line';
+              // Source line: fixed height, toggle editing class
+              builder.push(
+                Decoration.line({
+                  attributes: {
+                    class: hrClass,
+                    style: 'height:16px;line-height:16px;',
+                  },
+                }).range(lineStart)
+              );
+              // Overlay widget: positioned absolute, visual HR
+              builder.push(
+                Decoration.widget({
+                  widget: new HROverlayWidget(),
+                  side: -1,
+                }).range(lineStart)
+              );
+              break;
+            }
+
+            // ── Strikethrough ───────────────────────────────────
+            case 'Strikethrough':
+              builder.push(
+                Decoration.mark({ class: 'cm-md-strikethrough' }).range(node.from, node.to)
+              );
+              break;
+            case 'StrikethroughMark':
+              builder.push(
+                Decoration.mark({ class: 'cm-md-marker' }).range(node.from, node.to)
+              );
+              break;
+
+            // ── Lists ───────────────────────────────────────────
+            case 'ListMark': {
+              // Task list dashes are handled by TaskMarker case (match " [ ]" or " [x]" only)
+              if (/^ \[[ xX]\]/.test(view.state.sliceDoc(node.to, node.to + 4))) break;
+
+              // Don't replace when cursor is on this line (allow editing)
+              if (cursorOnLine(node.from)) {
+                builder.push(
+                  Decoration.mark({ class: 'cm-md-list-mark' }).range(node.from, node.to)
+                );
+                break;
+              }
+
+              const markerText = view.state.sliceDoc(node.from, node.to).trim();
+              // Check if ordered (number) or unordered (-, *, +)
+              if (/^\d+\.$/.test(markerText)) {
+                // Ordered list: extract number
+                const num = parseInt(markerText, 10);
+                builder.push(
+                  Decoration.replace({
+                    widget: new OrderedMarkerWidget(num),
+                  }).range(node.from, node.to)
+                );
+              } else {
+                // Unordered list: -, *, +
+                builder.push(
+                  Decoration.replace({
+                    widget: new BulletMarkerWidget(),
+                  }).range(node.from, node.to)
+                );
+              }
+              break;
+            }
+
+            // ── Task List ───────────────────────────────────────
+            // Replace "- [x]" or "- [ ]" as a single unit with a checkbox widget
+            case 'TaskMarker': {
+              // Find the ListMark before this TaskMarker: "- " precedes "[x]"
+              const listMarkFrom = node.from - 2; // "- " is 2 chars before TaskMarker
+              const fullFrom = listMarkFrom >= 0 &&
+                view.state.sliceDoc(listMarkFrom, node.from) === '- '
+                ? listMarkFrom : node.from;
+              if (cursorInside(fullFrom, node.to)) break;
+              const markerText = view.state.sliceDoc(node.from, node.to);
+              const checked = markerText.includes('x') || markerText.includes('X');
+              builder.push(
+                Decoration.replace({
+                  widget: new TaskCheckboxWidget(checked, node.from),
+                }).range(fullFrom, node.to)
+              );
+              break;
+            }
+
+            // ── Table ───────────────────────────────────────────
+            case 'Table': {
+              const startLine = view.state.doc.lineAt(node.from).number;
+              const endLine = view.state.doc.lineAt(node.to).number;
+              for (let i = startLine; i <= endLine; i++) {
+                addLineDeco(view.state.doc.line(i).from, 'cm-md-table');
+              }
+              break;
+            }
+            case 'TableHeader':
+              addLineDeco(node.from, 'cm-md-table-header');
+              break;
+            case 'TableDelimiter':
+              addLineDeco(node.from, 'cm-md-table-delimiter');
+              break;
+
+          }
+        },
+      });
+    }
+
+    // Sort by position (required by Decoration.set)
+    return Decoration.set(builder, true);
+  }
+
+  // The plugin class (ViewPlugin.fromClass wrapped it, with decorations: (v) => v.decorations)
+  return class {
+    constructor(view) {
+      this.decorations = buildMarkdownDecos(view);
+    }
+    update(update) {
+      if (update.docChanged || update.viewportChanged || update.selectionSet) {
+        this.decorations = buildMarkdownDecos(update.view);
+      }
+    }
+  };
+}
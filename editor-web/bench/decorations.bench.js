@@ -0,0 +1,125 @@
+// Decoration update cost on a large note: the layered markdownDecoPlugin
+// (static layer mapped through edits, fold layer refreshed per cursor line)
+// against the single-layer plugin it replaced (baseline-decorations.js),
+// which rebuilt everything visible on every cursor move and keystroke.
+//
+//   npm run bench
+
+import { bench, describe, beforeAll } from 'vitest';
+import { EditorSelection } from '@codemirror/state';
+import { forceParsing } from '@codemirror/language';
+import { baselineDecorations } from './baseline-decorations.js';
+
+let editor;
+
+// ~6000 lines mixing every construct the plugin decorates
+function largeNote(sections = 400) {
+  const out = [];
+  for (let i = 0; i < sections; i++) {
+    out.push(
+      `## Section ${i}`,
+      '',
+      `Some **bold**, *italic*, \`code\` and a [link](https://example.com/${i}) here.`,
+      `- bullet ${i}`,
+      `- [ ] task ${i}`,
+      `1. numbered ${i}`,
+      '',
+      `> quoted line ${i}`,
+      '',
+      '```js',
+      `const value${i} = ${i};`,
+      '```',
+      '',
+      '---',
+      '',
+    );
+  }
+  return out.join('\n');
+}
+
+// Both plugins driven directly over the same viewport: ~100 lines around
+// line 3000, about what CodeMirror renders for a note window plus its margin
+const viewportLines = [2950, 3050];
+let layers;
+let baseline;
+
+function fakeView(s) {
+  const visibleRanges = [{ from: s.doc.line(viewportLines[0]).from, to: s.doc.line(viewportLines[1]).to }];
+  return { state: s, visibleRanges };
+}
+
+function viewUpdate(tr) {
+  return {
+    view: fakeView(tr.state),
+    state: tr.state,
+    startState: tr.startState,
+    transactions: [tr],
+    changes: tr.changes,
+    docChanged: tr.docChanged,
+    selectionSet: !!tr.selection,
+    viewportChanged: false,
+  };
+}
+
+function layeredUpdate(tr) {
+  layers.update(viewUpdate(tr));
+}
+
+function baselineUpdate(tr) {
+  baseline.update(viewUpdate(tr));
+}
+
+// Transactions are made up front, so only the plugins' update is timed
+// (creating one runs every state field and the parser, which dwarfs it).
+// Replaying them in a loop is safe: typing alternates inserting and
+// deleting a character, and the plugins keep nothing tied to a state.
+let moves;
+let keystrokes;
+
+function chain(state, specs) {
+  return specs.map((spec) => {
+    const tr = state.update(spec);
+    state = tr.state;
+    return tr;
+  });
+}
+
+function cycle(trs) {
+  let i = 0;
+  return () => trs[i++ % trs.length];
+}
+
+beforeAll(async () => {
+  editor = await import('../src/editor.js');
+  document.dispatchEvent(new Event('DOMContentLoaded'));
+  const view = editor.editorView;
+  const doc = largeNote();
+  window.setContent(doc);
+  forceParsing(view, doc.length, 10000);
+  const { state } = view;
+  const lines = [];
+  for (let n = viewportLines[0]; n <= viewportLines[1]; n++) lines.push(state.doc.line(n));
+  moves = cycle(chain(state, lines.map((line) => ({ selection: EditorSelection.cursor(line.to) }))));
+  const pos = state.doc.line(3000).to;
+  keystrokes = cycle(chain(state, [
+    { changes: { from: pos, insert: 'x' }, selection: EditorSelection.cursor(pos + 1) },
+    { changes: { from: pos, to: pos + 1 }, selection: EditorSelection.cursor(pos) },
+  ]));
+
+  const Layers = view.plugin(editor.markdownDecoPlugin).constructor;
+  layers = new Layers(fakeView(state));
+  const Baseline = baselineDecorations(editor);
+  baseline = new Baseline(fakeView(state));
+});
+
+const options = { time: 1000, warmupTime: 200 };
+
+describe(`cursor move (${largeNote().split('\n').length} lines)`, () => {
+  bench('layered (current)', () => layeredUpdate(moves()), options);
+  bench('single layer (baseline)', () => baselineUpdate(moves()), options);
+});
+
+describe('typing', () => {
+  bench('layered (current)', () => layeredUpdate(keystrokes()), options);
+  bench('single layer (baseline)', () => baselineUpdate(keystrokes()), options);
+});
@@ -0,0 +1,174 @@
+// JS ↔ Swift bridge protocol
+//
+// Messages to Swift are posted to window.webkit.messageHandlers.bridge as
+// flat objects:
+//
+//   { v, kind, action, noteId, ...payload }             kind: 'event'
+//   { v, kind, action, noteId, requestId, ...payload }  kind: 'request'
+//
+// Every action is declared in messageSchema and its payload is checked
+// before anything is posted, so a typo fails loudly here instead of landing
+// in SharedEditorBridge's "Unknown action" branch.
+//
+// Requests return a promise. Swift answers through the editor API with
+//
+//   window.editorAPI.respond(requestId, { result })
+//   window.editorAPI.respond(requestId, { error: { code, message } })
+//
+// Errors in either direction carry one of ErrorCode. Bump PROTOCOL_VERSION
+// whenever a message changes shape — it travels in the ready handshake so
+// Swift can tell when the bundled editor and the app disagree.
+
+export const PROTOCOL_VERSION = 2;
+
+export const ErrorCode = {
+  UNKNOWN_ACTION: 'unknown_action',
+  INVALID_PAYLOAD: 'invalid_payload',
+  UNAVAILABLE: 'unavailable', // no WebKit message handler (plain browser)
+  TIMEOUT: 'timeout',
+  ATTACHMENT_FAILED: 'attachment_failed',
+  SCRIPT_ERROR: 'script_error',
+  UNKNOWN_NOTE: 'unknown_note',
+  INTERNAL: 'internal',
+};
+
+export class BridgeError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'BridgeError';
+    this.code = code;
+  }
+}
+
+// Field types are 'string' | 'number' | 'boolean' | 'object' | 'array'; a
+// trailing "?" allows null / undefined. `result` describes what Swift sends
+// back for a request.
+export const messageSchema = {
+  ready: { kind: 'event', payload: { protocolVersion: 'number' } },
+  log: { kind: 'event', payload: { message: 'string' } },
+  error: { kind: 'event', payload: { code: 'string', message: 'string' } },
+  // Delta since baseRevision, see "Content sync" in editor.js
+  contentChanged: {
+    kind: 'event',
+    payload: { baseRevision: 'number', revision: 'number', changes: 'array', length: 'number', checksum: 'string' },
+  },
+  // Full text in reply to editorAPI.resync()
+  contentSnapshot: { kind: 'event', payload: { revision: 'number', content: 'string', checksum: 'string' } },
+  requestSave: { kind: 'event', payload: {} },
+  openURL: { kind: 'event', payload: { url: 'string' } },
+  openNote: { kind: 'event', payload: { title: 'string', targetId: 'string?' } },
+  saveAttachment: {
+    kind: 'request',
+    payload: { filename: 'string', mimeType: 'string', data: 'string' },
+    result: { path: 'string', alt: 'string?' },
+  },
+  readClipboard: { kind: 'request', payload: {}, result: 'string' },
+};
+
+function matchesType(value, type) {
+  if (type.endsWith('?')) return value == null || matchesType(value, type.slice(0, -1));
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+  return typeof value === type;
+}
+
+// What's wrong with `value` against a schema entry (a type name or a
+// { field: type } map), as messages; empty when it fits
+function shapeProblems(value, shape, where) {
+  if (typeof shape === 'string') {
+    return matchesType(value, shape) ? [] : [`${where} should be ${shape}`];
+  }
+  if (!matchesType(value, 'object')) return [`${where} should be an object`];
+  return Object.entries(shape)
+    .filter(([field, type]) => !matchesType(value[field], type))
+    .map(([field, type]) => `${where}.${field} should be ${type}`);
+}
+
+// Problems with an outgoing message, or [] when it matches messageSchema
+export function validateMessage(action, payload) {
+  const spec = messageSchema[action];
+  if (!spec) return [`unknown action "${action}"`];
+  return shapeProblems(payload, spec.payload, action);
+}
+
+// A bridge bound to a transport. `post(message)` hands a message to Swift
+// and returns false when there is nowhere to send it; `noteId()` stamps
+// each message with the note it concerns.
+export function createBridge({ post, noteId = () => null, timeout = 10000 }) {
+  const pending = new Map();
+  let requestCounter = 0;
+
+  function deliver(message) {
+    try {
+      return post(message) !== false;
+    } catch (e) {
+      console.error('Bridge error:', e);
+      return false;
+    }
+  }
+
+  function check(action, kind, payload) {
+    const problems = validateMessage(action, payload);
+    if (!problems.length && messageSchema[action].kind !== kind) {
+      problems.push(`${action} is a${kind === 'event' ? ' request' : 'n event'}`);
+    }
+    if (!problems.length) return null;
+    const code = messageSchema[action] ? ErrorCode.INVALID_PAYLOAD : ErrorCode.UNKNOWN_ACTION;
+    return new BridgeError(code, problems.join('; '));
+  }
+
+  // Fire-and-forget message; false if it was invalid or couldn't be posted
+  function send(action, payload = {}) {
+    const error = check(action, 'event', payload);
+    if (error) {
+      console.warn('[Bridge]', error.message);
+      return false;
+    }
+    return deliver({ v: PROTOCOL_VERSION, kind: 'event', action, noteId: noteId(), ...payload });
+  }
+
+  // Ask Swift for something; resolves with the response's result or
+  // rejects with a BridgeError. timeout: 0 waits indefinitely.
+  function request(action, payload = {}, options = {}) {
+    const error = check(action, 'request', payload);
+    if (error) return Promise.reject(error);
+
+    const requestId = String(++requestCounter);
+    return new Promise((resolve, reject) => {
+      const wait = options.timeout ?? timeout;
+      const timer = wait ? setTimeout(() => {
+        pending.delete(requestId);
+        reject(new BridgeError(ErrorCode.TIMEOUT, `${action} got no response in ${wait}ms`));
+      }, wait) : null;
+      pending.set(requestId, { action, resolve, reject, timer });
+
+      const message = { v: PROTOCOL_VERSION, kind: 'request', action, noteId: noteId(), requestId, ...payload };
+      if (!deliver(message)) {
+        clearTimeout(timer);
+        pending.delete(requestId);
+        reject(new BridgeError(ErrorCode.UNAVAILABLE, 'Swift bridge is not available'));
+      }
+    });
+  }
+
+  // Settle a request with Swift's { result } or { error: { code, message } }.
+  // Returns false for unknown (already settled or timed-out) request IDs.
+  function respond(requestId, response = {}) {
+    const entry = pending.get(String(requestId));
+    if (!entry) return false;
+    pending.delete(String(requestId));
+    clearTimeout(entry.timer);
+
+    if (response.error) {
+      const { code = ErrorCode.INTERNAL, message = 'Request failed' } = response.error;
+      entry.reject(new BridgeError(code, message));
+      return true;
+    }
+    const problems = shapeProblems(response.result, messageSchema[entry.action].result, `${entry.action} result`);
+    if (problems.length) entry.reject(new BridgeError(ErrorCode.INVALID_PAYLOAD, problems.join('; ')));
+    else entry.resolve(response.result);
+    return true;
+  }
+
+  return { send, request, respond };
+}
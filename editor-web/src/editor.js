@@ -2,14 +2,15 @@
 //
 // Architecture:
 //   ViewPlugin (markdownDecoPlugin) — syntax tree 순회, 라인/마크 decoration
+//   MathExtension (Lezer)           — $...$ / $$...$$ 구문 노드 (InlineMath/BlockMath)
 //   StateField (mathRenderField)    — 수식 렌더링 (멀티라인 replace 필요)
 //   HighlightStyle                  — 보조 토큰 색상
 //   EditorView.theme()              — CSS 클래스 정의
 
-import { EditorState, StateField, EditorSelection } from '@codemirror/state';
-import { EditorView, keymap, Decoration, WidgetType, ViewPlugin } from '@codemirror/view';
-import { defaultKeymap, history, historyKeymap } from '@codemirror/commands';
-import { markdown } from '@codemirror/lang-markdown';
+import { EditorState, StateField, StateEffect, EditorSelection, RangeSet, RangeValue, Compartment, Prec } from '@codemirror/state';
+import { EditorView, keymap, Decoration, WidgetType, ViewPlugin, drawSelection, hoverTooltip, showTooltip } from '@codemirror/view';
+import { defaultKeymap, history, historyKeymap, historyField } from '@codemirror/commands';
+import { markdown, insertNewlineContinueMarkup, deleteMarkupBackward } from '@codemirror/lang-markdown';
 import { javascript } from '@codemirror/lang-javascript';
 import { python } from '@codemirror/lang-python';
 import { html } from '@codemirror/lang-html';
@@ -80,27 +81,54 @@ function findLanguage(info) {
   console.log('[Syntax] Unknown language:', name);
   return null;
 }
-import { syntaxHighlighting, HighlightStyle, syntaxTree, defaultHighlightStyle } from '@codemirror/language';
-import { tags as t } from '@lezer/highlight';
-import { GFM } from '@lezer/markdown';
-import { search, searchKeymap, highlightSelectionMatches, openSearchPanel } from '@codemirror/search';
+import { syntaxHighlighting, HighlightStyle, syntaxTree, ensureSyntaxTree, codeFolding, foldState, foldGutter, foldKeymap, foldedRanges, foldEffect, unfoldEffect } from '@codemirror/language';
+import { tags as t, highlightCode, classHighlighter } from '@lezer/highlight';
+import { GFM, Superscript, Subscript } from '@lezer/markdown';
+import { search, searchKeymap, highlightSelectionMatches, openSearchPanel, SearchQuery, setSearchQuery, getSearchQuery } from '@codemirror/search';
+import { autocompletion, snippetCompletion, startCompletion } from '@codemirror/autocomplete';
+import { vim, Vim, getCM } from '@replit/codemirror-vim';
+import { emacs } from '@replit/codemirror-emacs';
 import katex from 'katex';
+import mermaid from 'mermaid';
+import MarkdownIt from 'markdown-it';
+import markdownItMark from 'markdown-it-mark';
 import 'katex/dist/katex.min.css';
+import { PROTOCOL_VERSION, ErrorCode, createBridge } from './bridge.js';
 
 // ─── Bridge ────────────────────────────────────────────────────────────────
 
 let currentNoteId = null;
 let snapshotMode = false; // When true, cursorInside() always returns false (no unfolds)
-let suppressContentChange = false; // When true, updateListener skips contentChanged bridge message
+let previewMode = false; // Read-only preview (setMode), rendered like snapshot mode
+
+// Everything rendered, nothing unfolded around the cursor
+function fullyRendered() {
+  return snapshotMode || previewMode;
+}
+
+// Dispatched when setMode flips previewMode (or the theme changes the
+// overlays' measurements, or the date rolls over), so the decoration layers
+// that only rebuild around the cursor redo the whole note
+const viewModeChanged = StateEffect.define();
+
+function changesViewMode(tr) {
+  return tr.effects.some((e) => e.is(viewModeChanged));
+}
+
+// Messages follow the schema in bridge.js; requests resolve when Swift
+// calls editorAPI.respond()
+const bridge = createBridge({
+  post(message) {
+    const handler = window.webkit?.messageHandlers?.bridge;
+    if (!handler) return false;
+    handler.postMessage(message);
+    return true;
+  },
+  noteId: () => currentNoteId,
+});
 
 function sendToBridge(action, data = {}) {
-  if (window.webkit?.messageHandlers?.bridge) {
-    try {
-      window.webkit.messageHandlers.bridge.postMessage({ action, noteId: currentNoteId, ...data });
-    } catch (e) {
-      console.error('Bridge error:', e);
-    }
-  }
+  bridge.send(action, data);
 }
 
 function log(message) {
@@ -108,20 +136,37 @@ function log(message) {
   sendToBridge('log', { message });
 }
 
+function reportError(code, message) {
+  sendToBridge('error', { code, message });
+}
+
+// Everything Swift calls into lives here, published as window.editorAPI
+// (the old window.* names are aliased in Bootstrap)
+const editorAPI = {
+  protocolVersion: PROTOCOL_VERSION,
+  respond: bridge.respond,
+};
+
 // ─── Widgets ───────────────────────────────────────────────────────────────
 
 // Cache for measured math widget heights (formula -> height in px)
 const mathHeightCache = new Map();
 
+// The math caches see every intermediate formula typed, so keep the most
+// recently used entries only
+const MATH_CACHE_LIMIT = 500;
+
+function cacheMath(cache, key, value) {
+  cache.delete(key);
+  cache.set(key, value);
+  if (cache.size > MATH_CACHE_LIMIT) cache.delete(cache.keys().next().value);
+}
+
 // Measure math height by rendering inside editor container (cached)
 // Uses editor container width for accurate measurement
 let measureContainer = null;
 
-function measureMathHeight(formula, isBlock) {
-  const cacheKey = `${isBlock ? 'block' : 'inline'}:${formula}`;
-  const cached = mathHeightCache.get(cacheKey);
-  if (cached !== undefined) return cached;
-
+function getMeasureContainer() {
   // Create hidden container inside editor for accurate width
   if (!measureContainer) {
     measureContainer = document.createElement('div');
@@ -133,7 +178,18 @@ function measureMathHeight(formula, isBlock) {
       document.body.appendChild(measureContainer);
     }
   }
+  return measureContainer;
+}
+
+function measureMathHeight(formula, isBlock) {
+  const cacheKey = `${isBlock ? 'block' : 'inline'}:${formula}`;
+  const cached = mathHeightCache.get(cacheKey);
+  if (cached !== undefined) {
+    cacheMath(mathHeightCache, cacheKey, cached);
+    return cached;
+  }
 
+  getMeasureContainer();
   const temp = document.createElement(isBlock ? 'div' : 'span');
   temp.className = isBlock ? 'cm-math-block' : 'cm-math-inline';
   // Apply same styles as theme (EditorView.theme styles don't apply outside .cm-editor)
@@ -155,10 +211,48 @@ function measureMathHeight(formula, isBlock) {
   const height = temp.offsetHeight;
   measureContainer.removeChild(temp);
 
-  mathHeightCache.set(cacheKey, height);
+  cacheMath(mathHeightCache, cacheKey, height);
   return height;
 }
 
+// Formula -> { html, error } from a strict KaTeX render
+const mathCheckCache = new Map();
+
+// Render a formula with throwOnError: true, as { html, error }: the markup
+// when it parses, else KaTeX's complaint as { message, position, length }
+// (offsets into the formula). Rendering elsewhere uses throwOnError: false,
+// so this is the only place errors surface.
+function checkMath(formula, displayMode) {
+  const cacheKey = `${displayMode ? 'display' : 'inline'}:${formula}`;
+  let result = mathCheckCache.get(cacheKey);
+  if (!result) {
+    result = { html: null, error: null };
+    try {
+      result.html = katex.renderToString(formula, { throwOnError: true, displayMode, strict: false });
+    } catch (e) {
+      result.error = {
+        message: e.rawMessage || e.message,
+        position: typeof e.position === 'number' ? e.position : null,
+        length: e.length || 0,
+      };
+    }
+  }
+  cacheMath(mathCheckCache, cacheKey, result);
+  return result;
+}
+
+function mathError(formula, displayMode) {
+  return checkMath(formula, displayMode).error;
+}
+
+// Flag a rendered formula that KaTeX could only partly parse
+function markMathError(wrap, formula, displayMode) {
+  const error = mathError(formula, displayMode);
+  if (!error) return;
+  wrap.classList.add('cm-math-error');
+  wrap.title = error.message;
+}
+
 class MathWidget extends WidgetType {
   constructor(formula, isBlock, height) {
     super();
@@ -184,6 +278,7 @@ class MathWidget extends WidgetType {
         displayMode: this.isBlock,
         strict: false,
       });
+      markMathError(wrap, this.formula, this.isBlock);
     } catch (e) {
       wrap.textContent = this.formula;
       wrap.className += ' cm-math-error';
@@ -203,7 +298,7 @@ class MathOverlayWidget extends WidgetType {
   }
 
   eq(other) {
-    return other.formula === this.formula;
+    return other.formula === this.formula && other._height === this._height;
   }
 
   toDOM() {
@@ -216,6 +311,7 @@ class MathOverlayWidget extends WidgetType {
         displayMode: true,
         strict: false,
       });
+      markMathError(wrap, this.formula, true);
     } catch (e) {
       console.warn('[KaTeX block error]', e.message, '\nFormula:', JSON.stringify(this.formula));
       wrap.textContent = this.formula;
@@ -227,6 +323,50 @@ class MathOverlayWidget extends WidgetType {
   ignoreEvent() { return false; }
 }
 
+// Overlay widget for ```mermaid blocks - same positioning as MathOverlayWidget
+class DiagramOverlayWidget extends WidgetType {
+  constructor(source, svg, height) {
+    super();
+    this.source = source;
+    this.svg = svg;
+    this._height = height;
+  }
+
+  eq(other) {
+    return other.svg === this.svg && other._height === this._height;
+  }
+
+  toDOM() {
+    const wrap = document.createElement('div');
+    wrap.className = 'cm-diagram-overlay';
+    wrap.style.height = this._height + 'px';
+    wrap.innerHTML = this.svg; // sanitized by mermaid (securityLevel: 'strict')
+    return wrap;
+  }
+
+  ignoreEvent() { return false; }
+}
+
+class DiagramErrorWidget extends WidgetType {
+  constructor(message) {
+    super();
+    this.message = message;
+  }
+
+  eq(other) {
+    return other.message === this.message;
+  }
+
+  toDOM() {
+    const el = document.createElement('div');
+    el.className = 'cm-diagram-error';
+    el.textContent = `Diagram error: ${this.message}`;
+    return el;
+  }
+
+  ignoreEvent() { return false; }
+}
+
 class InlineCodeWidget extends WidgetType {
   constructor(code) {
     super();
@@ -326,529 +466,3302 @@ class OrderedMarkerWidget extends WidgetType {
   ignoreEvent() { return false; }
 }
 
-// ─── ViewPlugin: Syntax-tree markdown decorations ──────────────────────────
+// Image widget — renders ![alt](src) inline (local paths, file:, data:, http)
+class ImageWidget extends WidgetType {
+  constructor(src, alt) {
+    super();
+    this.src = src;
+    this.alt = alt;
+  }
 
-function buildMarkdownDecos(view) {
-  const builder = [];
-  const lineDecoSet = new Set();
-  // Cursor position — skip Decoration.replace() when cursor is inside the range
-  const { from: curFrom, to: curTo } = view.state.selection.main;
+  eq(other) { return other.src === this.src && other.alt === this.alt; }
 
-  function cursorInside(from, to) {
-    if (snapshotMode) return false;
-    return curFrom >= from && curTo <= to;
+  toDOM(view) {
+    const wrap = document.createElement('span');
+    wrap.className = 'cm-image-widget';
+    const img = document.createElement('img');
+    img.src = resolveImageSrc(this.src);
+    img.alt = this.alt;
+    img.title = this.alt;
+    img.addEventListener('load', () => view.requestMeasure());
+    img.addEventListener('error', () => {
+      wrap.className += ' cm-image-broken';
+      wrap.textContent = this.alt || this.src;
+    });
+    wrap.appendChild(img);
+    return wrap;
   }
 
-  function addLineDeco(pos, cls) {
-    const lineStart = view.state.doc.lineAt(pos).from;
-    const key = `${lineStart}:${cls}`;
-    if (lineDecoSet.has(key)) return;
-    lineDecoSet.add(key);
-    builder.push(Decoration.line({ class: cls }).range(lineStart));
-  }
+  ignoreEvent() { return false; }
+}
 
-  // Check if position is on the same line as cursor
-  const cursorLine = view.state.doc.lineAt(curFrom).number;
-  function cursorOnLine(pos) {
-    if (snapshotMode) return false;
-    return view.state.doc.lineAt(pos).number === cursorLine;
-  }
+// ─── Images & attachments ──────────────────────────────────────────────────
+// Pasted or dropped image files are sent to Swift as a saveAttachment
+// request (base64). A placeholder link is inserted right away and swapped
+// for the saved path when the request resolves — in the note it was pasted
+// into, even if another note is showing by then.
+//
+// The page can't read the file system: Swift serves the attachments
+// directory under attachment:///<absolute path> (AttachmentSchemeHandler),
+// and local images anywhere else show as broken.
+
+function resolveImageSrc(src) {
+  if (/^(https?:|data:|blob:|attachment:)/i.test(src)) return src;
+  if (/^file:\/\//i.test(src)) return 'attachment://' + src.slice('file://'.length);
+  if (src.startsWith('/')) return 'attachment://' + encodeURI(src);
+  return src;
+}
 
-  // Add cursor line decoration for marker visibility (skip in snapshot mode)
-  if (!snapshotMode) {
-    addLineDeco(view.state.doc.line(cursorLine).from, 'cm-cursor-line');
-  }
+// Markdown link destinations can't contain spaces or parens unescaped
+function markdownPath(path) {
+  return /[\s()<>]/.test(path) ? `<${path}>` : path;
+}
 
-  for (const { from, to } of view.visibleRanges) {
-    syntaxTree(view.state).iterate({
-      from,
-      to,
-      enter(node) {
-        switch (node.name) {
-          // ── Headings ──────────────────────────────────────
-          case 'ATXHeading1':
-            addLineDeco(node.from, 'cm-heading-1');
-            break;
-          case 'ATXHeading2':
-            addLineDeco(node.from, 'cm-heading-2');
-            break;
-          case 'ATXHeading3':
-            addLineDeco(node.from, 'cm-heading-3');
-            break;
-          case 'ATXHeading4':
-            addLineDeco(node.from, 'cm-heading-4');
-            break;
-          case 'ATXHeading5':
-            addLineDeco(node.from, 'cm-heading-5');
-            break;
-          case 'ATXHeading6':
-            addLineDeco(node.from, 'cm-heading-6');
-            break;
+// Image alt text from a filename: "]" would end the link text early
+function markdownAlt(alt) {
+  return alt.replace(/[\\[\]]/g, '\\$&');
+}
 
-          // ── Markers (hidden when cursor not on line) ──────
-          case 'HeaderMark': {
-            const hLine = view.state.doc.lineAt(node.from);
-            if (node.from === hLine.from) {
-              // Opening # marks — hide when cursor not on line
-              builder.push(
-                Decoration.mark({ class: 'cm-md-marker' }).range(node.from, node.to)
-              );
-            } else {
-              // Trailing # marks — inherit heading text color
-              builder.push(
-                Decoration.mark({ class: 'cm-md-marker-trailing' }).range(node.from, node.to)
-              );
-            }
-            break;
-          }
-          case 'EmphasisMark':
-          case 'QuoteMark':
-          case 'CodeMark':  // ``` fenced code markers
-          case 'CodeInfo':  // language name after ```
-            builder.push(
-              Decoration.mark({ class: 'cm-md-marker' }).range(node.from, node.to)
-            );
-            break;
+let attachmentCounter = 0;
+// Placeholder ID → note ID it was inserted into
+const pendingAttachments = new Map();
+// Notes whose cached EditorState was edited while another note was showing;
+// restoreState keeps that state over Swift's older serialized copy
+const notesEditedInBackground = new Set();
+// Note ID → [[placeholder ID, text]] for notes with no EditorState here yet,
+// applied when the note is loaded
+const deferredPlaceholders = new Map();
+
+function attachmentPlaceholder(id) {
+  return `![Saving image…](attachment-pending:${id})`;
+}
 
-          // ── Bold ──────────────────────────────────────────
-          case 'StrongEmphasis':
-            builder.push(
-              Decoration.mark({ class: 'cm-md-bold' }).range(node.from, node.to)
-            );
-            break;
+function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).replace(/^data:[^,]*,/, ''));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
 
-          // ── Italic ────────────────────────────────────────
-          case 'Emphasis':
-            builder.push(
-              Decoration.mark({ class: 'cm-md-italic' }).range(node.from, node.to)
-            );
-            break;
+// Insert placeholders at pos and send each image file to Swift
+function insertImageFiles(view, files, pos) {
+  const images = files.filter((f) => f.type.startsWith('image/'));
+  if (!images.length) return false;
+
+  const ids = images.map(() => `${Date.now().toString(36)}-${++attachmentCounter}`);
+  for (const id of ids) pendingAttachments.set(id, currentNoteId);
+  const insert = ids.map(attachmentPlaceholder).join('\n');
+  view.dispatch({
+    changes: { from: pos, insert },
+    selection: { anchor: pos + insert.length },
+    userEvent: 'input.paste',
+  });
 
-          // ── Inline Code → widget (unfold when cursor inside) ─
-          case 'InlineCode': {
-            if (cursorInside(node.from, node.to)) break; // show raw source
-            const text = view.state.sliceDoc(node.from, node.to);
-            const backtickMatch = text.match(/^(`+)([\s\S]*?)\1$/);
-            if (backtickMatch) {
-              const inner = backtickMatch[2].trim();
-              builder.push(
-                Decoration.replace({
-                  widget: new InlineCodeWidget(inner),
-                }).range(node.from, node.to)
-              );
-            }
-            break;
-          }
+  images.forEach((file, i) => {
+    readFileAsBase64(file)
+      .then((data) => bridge.request('saveAttachment', {
+        filename: file.name || 'image',
+        mimeType: file.type,
+        data,
+      }, { timeout: 0 }))
+      .then(({ path, alt }) => attachmentSaved(ids[i], path, alt || undefined))
+      .catch((e) => attachmentFailed(ids[i], e ? e.message : 'read error'));
+  });
+  return true;
+}
 
-          // ── Link ──────────────────────────────────────────
-          case 'Link': {
-            // Style the whole link node, then let LinkMark/URL children
-            // be styled separately (markers dim, URL dim)
-            builder.push(
-              Decoration.mark({ class: 'cm-md-link' }).range(node.from, node.to)
-            );
-            break;
-          }
+function filesOf(transfer) {
+  return transfer && transfer.files ? Array.from(transfer.files) : [];
+}
 
-          // ── Link sub-parts: dim brackets and URL ──────────
-          case 'LinkMark':
-            builder.push(
-              Decoration.mark({ class: 'cm-md-marker' }).range(node.from, node.to)
-            );
-            break;
-          case 'URL':
-            builder.push(
-              Decoration.mark({ class: 'cm-md-url' }).range(node.from, node.to)
-            );
-            break;
+const imageDropHandlers = EditorView.domEventHandlers({
+  paste(event, view) {
+    const files = filesOf(event.clipboardData);
+    if (!insertImageFiles(view, files, view.state.selection.main.from)) return false;
+    event.preventDefault();
+    return true;
+  },
+  drop(event, view) {
+    const files = filesOf(event.dataTransfer);
+    if (!files.length) return false;
+    const pos = view.posAtCoords({ x: event.clientX, y: event.clientY }) ?? view.state.selection.main.head;
+    if (!insertImageFiles(view, files, pos)) return false;
+    event.preventDefault();
+    return true;
+  },
+});
 
-          // ── Blockquote (line decoration per line) ─────────
-          case 'Blockquote': {
-            const startLine = view.state.doc.lineAt(node.from).number;
-            const endLine = view.state.doc.lineAt(node.to).number;
-            for (let i = startLine; i <= endLine; i++) {
-              addLineDeco(view.state.doc.line(i).from, 'cm-md-blockquote');
-            }
-            break;
-          }
+// Replace a pending placeholder with text in the note it was pasted into
+// (no-op if the user deleted it). A note that isn't showing is edited in
+// its cached EditorState and the change sent to Swift as usual, or, with
+// no state to edit, when it's loaded next.
+function replacePlaceholder(id, insert) {
+  if (!editorView) return false;
+  const noteId = pendingAttachments.has(id) ? pendingAttachments.get(id) : currentNoteId;
+  pendingAttachments.delete(id);
+  const live = noteId === currentNoteId;
+  const state = live ? editorView.state : noteStates.get(noteId);
+  if (!state) {
+    deferredPlaceholders.set(noteId, [...(deferredPlaceholders.get(noteId) || []), [id, insert]]);
+    return true;
+  }
 
-          // ── Fenced Code Block (line decoration per line) ──
-          case 'FencedCode': {
-            const startLine = view.state.doc.lineAt(node.from).number;
-            const endLine = view.state.doc.lineAt(node.to).number;
-            for (let i = startLine; i <= endLine; i++) {
-              let classes = 'cm-md-fenced-code';
-              if (i === startLine) classes += ' cm-md-fenced-code-first';
-              if (i === endLine) classes += ' cm-md-fenced-code-last';
-              addLineDeco(view.state.doc.line(i).from, classes);
-            }
-            break;
-          }
+  const placeholder = attachmentPlaceholder(id);
+  const from = state.doc.toString().indexOf(placeholder);
+  if (from < 0) return false;
+  const changes = { from, to: from + placeholder.length, insert };
+  if (live) {
+    editorView.dispatch({ changes });
+    return true;
+  }
 
-          // ── Horizontal Rule (overlay with animation) ───
-          case 'HorizontalRule': {
-            const lineStart = view.state.doc.lineAt(node.from).from;
-            const isEditing = cursorInside(node.from, node.to);
-            const hrClass = isEditing ? 'cm-hr-source-line cm-hr-editing' : 'cm-hr-source-line';
-            // Source line: fixed height, toggle editing class
-            builder.push(
-              Decoration.line({
-                attributes: {
-                  class: hrClass,
-                  style: 'height:16px;line-height:16px;',
-                },
-              }).range(lineStart)
-            );
-            // Overlay widget: positioned absolute, visual HR
-            builder.push(
-              Decoration.widget({
-                widget: new HROverlayWidget(),
-                side: -1,
-              }).range(lineStart)
-            );
-            break;
-          }
+  const tr = state.update({ changes });
+  noteStates.set(noteId, tr.state);
+  notesEditedInBackground.add(noteId);
+  editorAPI.flushPendingChanges();
+  pendingSync = { noteId, changes: tr.changes, doc: tr.state.doc };
+  sendPendingChanges();
+  return true;
+}
 
-          // ── Strikethrough ───────────────────────────────────
-          case 'Strikethrough':
-            builder.push(
-              Decoration.mark({ class: 'cm-md-strikethrough' }).range(node.from, node.to)
-            );
-            break;
-          case 'StrikethroughMark':
-            builder.push(
-              Decoration.mark({ class: 'cm-md-marker' }).range(node.from, node.to)
-            );
-            break;
+function attachmentSaved(id, path, alt = 'image') {
+  if (!replacePlaceholder(id, `![${markdownAlt(alt)}](${markdownPath(path)})`)) {
+    log('Attachment placeholder not found: ' + id);
+  }
+}
 
-          // ── Lists ───────────────────────────────────────────
-          case 'ListMark': {
-            // Task list dashes are handled by TaskMarker case (match " [ ]" or " [x]" only)
-            if (/^ \[[ xX]\]/.test(view.state.sliceDoc(node.to, node.to + 4))) break;
+// Placeholders that resolved while the just-loaded note had no state here
+function applyDeferredPlaceholders() {
+  const deferred = deferredPlaceholders.get(currentNoteId);
+  if (!deferred) return;
+  deferredPlaceholders.delete(currentNoteId);
+  for (const [id, insert] of deferred) replacePlaceholder(id, insert);
+}
 
-            // Don't replace when cursor is on this line (allow editing)
-            if (cursorOnLine(node.from)) {
-              builder.push(
-                Decoration.mark({ class: 'cm-md-list-mark' }).range(node.from, node.to)
-              );
-              break;
-            }
+// Saving (or reading the file) failed — drop the placeholder
+function attachmentFailed(id, message) {
+  replacePlaceholder(id, '');
+  reportError(ErrorCode.ATTACHMENT_FAILED, 'Attachment failed: ' + message);
+}
 
-            const markerText = view.state.sliceDoc(node.from, node.to).trim();
-            // Check if ordered (number) or unordered (-, *, +)
-            if (/^\d+\.$/.test(markerText)) {
-              // Ordered list: extract number
-              const num = parseInt(markerText, 10);
-              builder.push(
-                Decoration.replace({
-                  widget: new OrderedMarkerWidget(num),
-                }).range(node.from, node.to)
-              );
-            } else {
-              // Unordered list: -, *, +
-              builder.push(
-                Decoration.replace({
-                  widget: new BulletMarkerWidget(),
-                }).range(node.from, node.to)
-              );
-            }
-            break;
-          }
+// Pre-protocol replies to saveAttachment: settle the request, or act on a
+// placeholder ID directly
+editorAPI.attachmentSaved = function (id, path, alt = 'image') {
+  if (!bridge.respond(id, { result: { path, alt } })) attachmentSaved(id, path, alt);
+};
 
-          // ── Task List ───────────────────────────────────────
-          // Replace "- [x]" or "- [ ]" as a single unit with a checkbox widget
-          case 'TaskMarker': {
-            // Find the ListMark before this TaskMarker: "- " precedes "[x]"
-            const listMarkFrom = node.from - 2; // "- " is 2 chars before TaskMarker
-            const fullFrom = listMarkFrom >= 0 &&
-              view.state.sliceDoc(listMarkFrom, node.from) === '- '
-              ? listMarkFrom : node.from;
-            if (cursorInside(fullFrom, node.to)) break;
-            const markerText = view.state.sliceDoc(node.from, node.to);
-            const checked = markerText.includes('x') || markerText.includes('X');
-            builder.push(
-              Decoration.replace({
-                widget: new TaskCheckboxWidget(checked, node.from),
-              }).range(fullFrom, node.to)
-            );
+editorAPI.attachmentFailed = function (id, message) {
+  if (!bridge.respond(id, { error: { code: ErrorCode.ATTACHMENT_FAILED, message } })) attachmentFailed(id, message);
+};
+
+// ─── Wiki links ────────────────────────────────────────────────────────────
+// [[Note title]] links between notes. Parsed as a WikiLink inline node so
+// buildMarkdownDecos can style it; the note list comes from Swift via
+// editorAPI.setNoteIndex() and feeds autocomplete + Cmd+click resolution.
+
+// Note list pushed from Swift: [{ id, title }]
+let noteIndex = [];
+
+const wikiLinkRe = /^\[\[([^\[\]\n]+)\]\]/;
+
+const WikiLinkExtension = {
+  defineNodes: [
+    { name: 'WikiLink', style: t.link },
+    { name: 'WikiLinkMark', style: t.processingInstruction },
+  ],
+  parseInline: [{
+    name: 'WikiLink',
+    before: 'Link', // must claim "[[" before the regular link parser sees "["
+    parse(cx, next, pos) {
+      if (next !== 91 /* [ */ || cx.char(pos + 1) !== 91) return -1;
+      const m = wikiLinkRe.exec(cx.slice(pos, cx.end));
+      if (!m || !m[1].trim()) return -1;
+      const end = pos + m[0].length;
+      return cx.addElement(cx.elt('WikiLink', pos, end, [
+        cx.elt('WikiLinkMark', pos, pos + 2),
+        cx.elt('WikiLinkMark', end - 2, end),
+      ]));
+    },
+  }],
+};
+
+// Resolve a link title to a note from the index (case-insensitive)
+function findNoteByTitle(title) {
+  const wanted = title.trim().toLowerCase();
+  return noteIndex.find((n) => n.title.trim().toLowerCase() === wanted) || null;
+}
+
+// Autocomplete note titles after "[["
+function wikiLinkCompletions(context) {
+  const before = context.matchBefore(/\[\[[^\[\]\n]*/);
+  if (!before) return null;
+  const from = before.from + 2;
+  const closed = context.state.sliceDoc(context.pos, context.pos + 2) === ']]';
+  return {
+    from,
+    options: noteIndex
+      .filter((n) => n.id !== currentNoteId && n.title)
+      .map((n) => ({
+        label: n.title,
+        type: 'text',
+        apply: closed ? n.title : n.title + ']]',
+      })),
+    validFor: /^[^\[\]\n]*$/,
+  };
+}
+
+// ─── Highlight (==mark==) ──────────────────────────────────────────────────
+// Same delimiter rules as GFM's ~~strikethrough~~, so ==a== pairs up like
+// emphasis and "a == b" stays literal. Export renders it via markdown-it-mark.
+
+const HighlightDelim = { resolve: 'Highlight', mark: 'HighlightMark' };
+const punctuationRe = /[!-/:-@[-`{-~\u00A1-\u00BF\u2010-\u2027\u2030-\u205E]/;
+
+const HighlightExtension = {
+  defineNodes: [
+    { name: 'Highlight', style: t.special(t.content) },
+    { name: 'HighlightMark', style: t.processingInstruction },
+  ],
+  parseInline: [{
+    name: 'Highlight',
+    after: 'Emphasis',
+    parse(cx, next, pos) {
+      if (next !== 61 /* = */ || cx.char(pos + 1) !== 61 || cx.char(pos + 2) === 61) return -1;
+      const before = cx.slice(pos - 1, pos), after = cx.slice(pos + 2, pos + 3);
+      const sBefore = /\s|^$/.test(before), sAfter = /\s|^$/.test(after);
+      const pBefore = punctuationRe.test(before), pAfter = punctuationRe.test(after);
+      return cx.addDelimiter(HighlightDelim, pos, pos + 2,
+        !sAfter && (!pAfter || sBefore || pBefore),
+        !sBefore && (!pBefore || sAfter || pAfter));
+    },
+  }],
+};
+
+// Hue (0-359) of a #rrggbb colour
+function hueOf(hex) {
+  const [r, g, b] = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255);
+  const max = Math.max(r, g, b), min = Math.min(r, g, b), d = max - min;
+  let h = 0;
+  if (d) {
+    if (max === r) h = ((g - b) / d) % 6;
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+  }
+  return Math.round((h * 60 + 360) % 360);
+}
+
+// Highlighter colour for a note: the note's own hue (from noteColorHex),
+// saturated enough to stand out against its pale (or, in dark appearance,
+// deep) background
+function highlightColorFor(hex, appearance = 'light') {
+  const h = hueOf(hex);
+  return appearance === 'dark' ? `hsla(${h}, 70%, 42%, 0.55)` : `hsla(${h}, 95%, 58%, 0.45)`;
+}
+
+// ─── Emoji shortcodes ──────────────────────────────────────────────────────
+// GitHub-style :name: shortcodes. Only names in emojiShortcodes parse, so
+// "10:30:45" or "a:b:c" stay text. The Emoji node renders as its character
+// while the cursor is outside it; export swaps in the character too.
+
+const emojiShortcodes = {
+  smile: '😄', smiley: '😃', grin: '😁', laughing: '😆', joy: '😂', rofl: '🤣',
+  slightly_smiling_face: '🙂', wink: '😉', blush: '😊', innocent: '😇',
+  heart_eyes: '😍', kissing_heart: '😘', yum: '😋', stuck_out_tongue: '😛',
+  thinking: '🤔', neutral_face: '😐', expressionless: '😑', unamused: '😒',
+  roll_eyes: '🙄', grimacing: '😬', relieved: '😌', pensive: '😔', sleepy: '😪',
+  sleeping: '😴', mask: '😷', nerd_face: '🤓', sunglasses: '😎', confused: '😕',
+  worried: '😟', open_mouth: '😮', astonished: '😲', flushed: '😳', cry: '😢',
+  sob: '😭', scream: '😱', angry: '😠', rage: '😡', skull: '💀', poop: '💩',
+  clown_face: '🤡', ghost: '👻', robot: '🤖', see_no_evil: '🙈',
+  wave: '👋', ok_hand: '👌', v: '✌️', crossed_fingers: '🤞', point_right: '👉',
+  point_left: '👈', point_up: '☝️', point_down: '👇', '+1': '👍', thumbsup: '👍',
+  '-1': '👎', thumbsdown: '👎', clap: '👏', raised_hands: '🙌', pray: '🙏',
+  muscle: '💪', eyes: '👀', brain: '🧠', heart: '❤️', orange_heart: '🧡',
+  yellow_heart: '💛', green_heart: '💚', blue_heart: '💙', purple_heart: '💜',
+  broken_heart: '💔', sparkling_heart: '💖', '100': '💯', boom: '💥',
+  sparkles: '✨', star: '⭐', star2: '🌟', fire: '🔥', zap: '⚡', sunny: '☀️',
+  cloud: '☁️', umbrella: '☔', snowflake: '❄️', rainbow: '🌈', ocean: '🌊',
+  seedling: '🌱', evergreen_tree: '🌲', cactus: '🌵', four_leaf_clover: '🍀',
+  rose: '🌹', sunflower: '🌻', cherry_blossom: '🌸', apple: '🍎', lemon: '🍋',
+  pizza: '🍕', hamburger: '🍔', cake: '🍰', coffee: '☕', tea: '🍵', beer: '🍺',
+  wine_glass: '🍷', cat: '🐱', dog: '🐶', bug: '🐛', bee: '🐝', turtle: '🐢',
+  unicorn: '🦄', tada: '🎉', confetti_ball: '🎊', gift: '🎁', balloon: '🎈',
+  trophy: '🏆', medal_sports: '🏅', dart: '🎯', game_die: '🎲', art: '🎨',
+  musical_note: '🎵', headphones: '🎧', books: '📚', book: '📖', memo: '📝',
+  pencil2: '✏️', pushpin: '📌', paperclip: '📎', link: '🔗', calendar: '📆',
+  date: '📅', clock: '🕒', hourglass: '⌛', alarm_clock: '⏰', bell: '🔔',
+  email: '📧', inbox_tray: '📥', outbox_tray: '📤', package: '📦', key: '🔑',
+  lock: '🔒', unlock: '🔓', bulb: '💡', mag: '🔍', wrench: '🔧', hammer: '🔨',
+  gear: '⚙️', computer: '💻', iphone: '📱', chart_with_upwards_trend: '📈',
+  chart_with_downwards_trend: '📉', bar_chart: '📊', moneybag: '💰', rocket: '🚀',
+  airplane: '✈️', car: '🚗', house: '🏠', office: '🏢', globe_with_meridians: '🌐',
+  white_check_mark: '✅', heavy_check_mark: '✔️', ballot_box_with_check: '☑️',
+  x: '❌', negative_squared_cross_mark: '❎', warning: '⚠️', no_entry: '⛔',
+  stop_sign: '🛑', construction: '🚧', question: '❓', exclamation: '❗',
+  bangbang: '‼️', information_source: 'ℹ️', red_circle: '🔴', yellow_circle: '🟡',
+  green_circle: '🟢', large_blue_circle: '🔵', arrow_right: '➡️', arrow_left: '⬅️',
+  arrow_up: '⬆️', arrow_down: '⬇️', recycle: '♻️', new: '🆕', soon: '🔜',
+};
+
+const emojiShortcodeRe = /^:([a-z0-9_+-]+):/;
+
+const EmojiExtension = {
+  defineNodes: [{ name: 'Emoji', style: t.character }],
+  parseInline: [{
+    name: 'Emoji',
+    parse(cx, next, pos) {
+      if (next !== 58 /* : */ || /[\w:]/.test(cx.slice(pos - 1, pos))) return -1;
+      const m = emojiShortcodeRe.exec(cx.slice(pos, cx.end));
+      if (!m || !Object.prototype.hasOwnProperty.call(emojiShortcodes, m[1])) return -1;
+      return cx.addElement(cx.elt('Emoji', pos, pos + m[0].length));
+    },
+  }],
+};
+
+class EmojiWidget extends WidgetType {
+  constructor(name) {
+    super();
+    this.name = name;
+  }
+
+  eq(other) { return other.name === this.name; }
+
+  toDOM() {
+    const span = document.createElement('span');
+    span.className = 'cm-md-emoji';
+    span.title = `:${this.name}:`;
+    span.textContent = emojiShortcodes[this.name];
+    return span;
+  }
+
+  ignoreEvent() { return false; }
+}
+
+// ─── Footnotes & definition lists ──────────────────────────────────────────
+// Lezer extensions for [^label] references, "[^label]: text" definitions
+// (indented lines continue them) and "Term" / ": description" lists.
+// ^sup^ and ~sub~ come from @lezer/markdown's Superscript/Subscript.
+
+const footnoteRefRe = /^\[\^([^\]\s]+)\]/;
+const footnoteDefRe = /^\[\^([^\]\s]+)\]:/;
+
+const FootnoteExtension = {
+  defineNodes: [
+    { name: 'FootnoteReference', style: t.link },
+    { name: 'FootnoteDefinition', block: true },
+    { name: 'FootnoteLabel', style: t.labelName },
+    { name: 'FootnoteMark', style: t.processingInstruction },
+  ],
+  parseInline: [{
+    name: 'FootnoteReference',
+    before: 'Link',
+    parse(cx, next, pos) {
+      if (next !== 91 /* [ */ || cx.char(pos + 1) !== 94 /* ^ */) return -1;
+      const m = footnoteRefRe.exec(cx.slice(pos, cx.end));
+      if (!m) return -1;
+      const end = pos + m[0].length;
+      return cx.addElement(cx.elt('FootnoteReference', pos, end, [
+        cx.elt('FootnoteMark', pos, pos + 2),
+        cx.elt('FootnoteLabel', pos + 2, end - 1),
+        cx.elt('FootnoteMark', end - 1, end),
+      ]));
+    },
+  }],
+  parseBlock: [{
+    name: 'FootnoteDefinition',
+    before: 'LinkReference',
+    parse(cx, line) {
+      const m = footnoteDefRe.exec(line.text.slice(line.pos));
+      if (!m) return false;
+      const from = cx.lineStart + line.pos;
+      const labelEnd = from + m[0].length - 2;
+      const children = [
+        cx.elt('FootnoteMark', from, from + 2),
+        cx.elt('FootnoteLabel', from + 2, labelEnd),
+        cx.elt('FootnoteMark', labelEnd, labelEnd + 2),
+      ];
+      const textStart = line.skipSpace(line.pos + m[0].length);
+      children.push(...cx.parser.parseInline(line.text.slice(textStart), cx.lineStart + textStart));
+      while (cx.nextLine() && line.depth >= cx.stack.length &&
+             line.next !== -1 && line.indent >= line.baseIndent + 2) {
+        children.push(...line.markers);
+        children.push(...cx.parser.parseInline(line.text.slice(line.pos), cx.lineStart + line.pos));
+      }
+      cx.addElement(cx.elt('FootnoteDefinition', from, cx.prevLineEnd(), children));
+      return true;
+    },
+  }],
+};
+
+function isDefinitionLine(line) {
+  return line.next === 58 /* : */ && /^:[ \t]+\S/.test(line.text.slice(line.pos));
+}
+
+// Turns a one-line paragraph followed by ": ..." lines into a DefinitionList
+// (the same leaf-parser hook SetextHeading uses for its underline)
+class DefinitionListParser {
+  nextLine(cx, line, leaf) {
+    if (leaf.content.includes('\n') || line.depth < cx.stack.length || !isDefinitionLine(line)) return false;
+    const children = [
+      cx.elt('DefinitionTerm', leaf.start, leaf.start + leaf.content.length,
+        cx.parser.parseInline(leaf.content, leaf.start)),
+    ];
+    do {
+      const from = cx.lineStart + line.pos;
+      const textStart = line.skipSpace(line.pos + 1);
+      children.push(cx.elt('DefinitionDescription', from, cx.lineStart + line.text.length, [
+        cx.elt('DefinitionMark', from, from + 1),
+        ...cx.parser.parseInline(line.text.slice(textStart), cx.lineStart + textStart),
+      ]));
+    } while (cx.nextLine() && line.depth >= cx.stack.length && isDefinitionLine(line));
+    cx.addLeafElement(leaf, cx.elt('DefinitionList', leaf.start, cx.prevLineEnd(), children));
+    return true;
+  }
+
+  finish() {
+    return false;
+  }
+}
+
+const DefinitionListExtension = {
+  defineNodes: [
+    { name: 'DefinitionList', block: true },
+    { name: 'DefinitionTerm', style: t.strong },
+    { name: 'DefinitionDescription' },
+    { name: 'DefinitionMark', style: t.processingInstruction },
+  ],
+  parseBlock: [{
+    name: 'DefinitionList',
+    before: 'SetextHeading',
+    leaf: () => new DefinitionListParser(),
+  }],
+};
+
+// Footnote definitions and references in the document, by label
+function collectFootnotes(state) {
+  const definitions = new Map();
+  const references = new Map();
+  syntaxTree(state).iterate({
+    enter(node) {
+      if (node.name !== 'FootnoteDefinition' && node.name !== 'FootnoteReference') return;
+      const label = node.node.getChild('FootnoteLabel');
+      if (!label) return false;
+      const key = state.sliceDoc(label.from, label.to).toLowerCase();
+      if (node.name === 'FootnoteReference') {
+        if (!references.has(key)) references.set(key, node.from);
+        return false;
+      }
+      if (!definitions.has(key)) {
+        const raw = state.sliceDoc(label.to + 2, node.to); // past "]:"
+        definitions.set(key, {
+          from: node.from,
+          textFrom: label.to + 2 + (raw.length - raw.trimStart().length),
+          text: raw.replace(/\s*\n\s*/g, ' ').trim(),
+        });
+      }
+      return false;
+    },
+  });
+  return { definitions, references };
+}
+
+// The footnote node at pos: { kind: 'reference' | 'definition', label, from, to }.
+// Definitions only count on their "[^label]:" part.
+function footnoteAt(state, pos) {
+  for (let node = syntaxTree(state).resolveInner(pos, 1); node; node = node.parent) {
+    if (node.name === 'FootnoteReference' || node.name === 'FootnoteDefinition') {
+      const label = node.getChild('FootnoteLabel');
+      if (!label) return null;
+      const kind = node.name === 'FootnoteReference' ? 'reference' : 'definition';
+      if (kind === 'definition' && pos > label.to + 2) return null;
+      return { kind, label: state.sliceDoc(label.from, label.to).toLowerCase(), from: node.from, to: node.to };
+    }
+  }
+  return null;
+}
+
+// Cmd+click target: reference → its definition's text, definition → first reference
+function footnoteJumpTarget(state, pos) {
+  const footnote = footnoteAt(state, pos);
+  if (!footnote) return null;
+  const { definitions, references } = collectFootnotes(state);
+  if (footnote.kind === 'reference') {
+    const def = definitions.get(footnote.label);
+    return def ? def.textFrom : null;
+  }
+  return references.has(footnote.label) ? references.get(footnote.label) : null;
+}
+
+// Hover preview of a reference's footnote text
+function footnoteTooltip(view, pos, side) {
+  const footnote = footnoteAt(view.state, pos);
+  if (!footnote || footnote.kind !== 'reference') return null;
+  if ((pos === footnote.from && side < 0) || (pos === footnote.to && side > 0)) return null;
+  const def = collectFootnotes(view.state).definitions.get(footnote.label);
+  if (!def) return null;
+  return {
+    pos: footnote.from,
+    end: footnote.to,
+    above: true,
+    create() {
+      const dom = document.createElement('div');
+      dom.className = 'cm-footnote-tooltip';
+      dom.textContent = def.text || '(empty footnote)';
+      return { dom };
+    },
+  };
+}
+
+// ─── Callouts ──────────────────────────────────────────────────────────────
+// Obsidian-style "> [!type] Title" blockquotes. The header line folds into
+// an icon + title widget while the cursor is elsewhere; "[!type]-" and
+// "[!type]+" make the body collapsible ("-" starts collapsed). Collapsing
+// uses the blockquote's regular fold range, so the gutter agrees with it.
+
+const calloutTypes = {
+  note:     { icon: '✎', color: '#0969da', dark: '#4493f8' },
+  abstract: { icon: '☰', color: '#1b7c83', dark: '#39c5cf' },
+  info:     { icon: 'ℹ', color: '#0969da', dark: '#4493f8' },
+  todo:     { icon: '☑', color: '#0969da', dark: '#4493f8' },
+  tip:      { icon: '✦', color: '#1a7f64', dark: '#2fbf95' },
+  success:  { icon: '✓', color: '#1a7f37', dark: '#3fb950' },
+  question: { icon: '?', color: '#9a6700', dark: '#d29922' },
+  warning:  { icon: '⚠', color: '#bc4c00', dark: '#db6d28' },
+  failure:  { icon: '✗', color: '#cf222e', dark: '#f85149' },
+  danger:   { icon: '⚡', color: '#cf222e', dark: '#f85149' },
+  bug:      { icon: '✱', color: '#cf222e', dark: '#f85149' },
+  example:  { icon: '☷', color: '#8250df', dark: '#ab7df8' },
+  quote:    { icon: '❝', color: '#6e7781', dark: '#9198a1' },
+};
+
+const calloutAliases = {
+  summary: 'abstract', tldr: 'abstract', hint: 'tip', important: 'tip',
+  check: 'success', done: 'success', help: 'question', faq: 'question',
+  caution: 'warning', attention: 'warning', fail: 'failure', missing: 'failure',
+  error: 'danger', cite: 'quote',
+};
+
+const calloutHeaderRe = /^\[!([A-Za-z][\w-]*)\]([+-]?)[ \t]*(.*)$/;
+
+// Callout described by a Blockquote node, or null:
+// { type, collapsible, collapsed, title, from (its first ">"), header (Line), to }
+// Unknown types render as notes, like Obsidian.
+function calloutInfo(state, node) {
+  const mark = node.getChild('QuoteMark');
+  if (!mark) return null;
+  const header = state.doc.lineAt(mark.from);
+  const m = calloutHeaderRe.exec(state.sliceDoc(mark.to, header.to).trim());
+  if (!m) return null;
+  const name = m[1].toLowerCase();
+  const type = calloutTypes[name] ? name : calloutAliases[name] || 'note';
+  return {
+    type,
+    collapsible: m[2] !== '',
+    collapsed: m[2] === '-',
+    title: m[3].trim() || name.charAt(0).toUpperCase() + name.slice(1),
+    from: mark.from,
+    header,
+    to: node.to,
+  };
+}
+
+// The callout whose first ">" is at pos
+function calloutAt(state, pos) {
+  for (let node = syntaxTree(state).resolveInner(pos, 1); node; node = node.parent) {
+    if (node.name === 'Blockquote') return node.from === pos ? calloutInfo(state, node) : null;
+  }
+  return null;
+}
+
+// Whether the body under a callout header (ending at headerEnd) is folded
+function calloutFolded(state, headerEnd) {
+  let folded = false;
+  foldedRanges(state).between(headerEnd, headerEnd, (from) => {
+    if (from === headerEnd) folded = true;
+  });
+  return folded;
+}
+
+// Collapse or expand the callout starting at pos
+function toggleCallout(view, pos) {
+  const callout = calloutAt(view.state, pos);
+  if (!callout || callout.to <= callout.header.to) return false;
+  const range = { from: callout.header.to, to: callout.to };
+  const effect = calloutFolded(view.state, range.from) ? unfoldEffect : foldEffect;
+  view.dispatch({ effects: effect.of(range) });
+  return true;
+}
+
+// Fold effects for the "[!type]-" callouts (applied when a note is loaded).
+// A new state's tree only covers the start of a long note, so parse the
+// rest first when the note has a collapsed callout at all.
+function collapsedCalloutEffects(state) {
+  const effects = [];
+  if (!/^[ \t]*>[ \t>]*\[![A-Za-z][\w-]*\]-/m.test(state.doc.toString())) return effects;
+  const tree = ensureSyntaxTree(state, state.doc.length, 1000) || syntaxTree(state);
+  tree.iterate({
+    enter(node) {
+      if (node.name !== 'Blockquote') return;
+      const callout = calloutInfo(state, node.node);
+      if (callout?.collapsed && callout.to > callout.header.to) {
+        effects.push(foldEffect.of({ from: callout.header.to, to: callout.to }));
+      }
+    },
+  });
+  return effects;
+}
+
+// Header widget: icon, title, and a chevron that collapses collapsible callouts
+class CalloutHeaderWidget extends WidgetType {
+  constructor(type, title, collapsible, folded) {
+    super();
+    this.type = type;
+    this.title = title;
+    this.collapsible = collapsible;
+    this.folded = folded;
+  }
+
+  eq(other) {
+    return other.type === this.type && other.title === this.title &&
+      other.collapsible === this.collapsible && other.folded === this.folded;
+  }
+
+  toDOM(view) {
+    const wrap = document.createElement('span');
+    wrap.className = 'cm-callout-header';
+    const icon = document.createElement('span');
+    icon.className = 'cm-callout-icon';
+    icon.textContent = calloutTypes[this.type].icon;
+    const title = document.createElement('span');
+    title.className = 'cm-callout-title';
+    title.textContent = this.title;
+    wrap.append(icon, title);
+    if (this.collapsible) {
+      const chevron = document.createElement('span');
+      chevron.className = this.folded ? 'cm-callout-chevron cm-callout-folded' : 'cm-callout-chevron';
+      chevron.textContent = '▾';
+      chevron.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        toggleCallout(view, view.posAtDOM(wrap));
+      });
+      wrap.appendChild(chevron);
+    }
+    return wrap;
+  }
+
+  ignoreEvent() { return false; }
+}
+
+// ─── Tasks ─────────────────────────────────────────────────────────────────
+// Task items can carry metadata after the checkbox: a due date
+// (📅 2026-10-20), a priority (!high, !medium, !low) and people (@name).
+// Each shows as a chip while the cursor is outside it, and an open task past
+// its due date is highlighted as overdue. getTasks() lists the note's tasks
+// for Swift's counts and badges; Cmd+Opt+T moves completed items below the
+// open ones in their list.
+
+const taskMetaRe = /📅\u{FE0F}?[ \t]*(\d{4}-\d{2}-\d{2})|!(high|medium|low)\b|@(\w(?:[\w.-]*\w)?)/gu;
+
+// Task text that isn't metadata even if it looks like it
+const taskMetaOpaque = new Set(['InlineCode', 'Link', 'Autolink', 'URL', 'WikiLink', 'InlineMath']);
+
+// Metadata in `text` (starting at document position `offset`) as
+// { type: 'due' | 'priority' | 'person', value, from, to }
+function taskMetadata(text, offset = 0) {
+  const found = [];
+  for (const m of text.matchAll(taskMetaRe)) {
+    // !high and @name start a word: not "x!high" or "me@example.com"
+    if (!m[1] && /[\w!@]/.test(text[m.index - 1] || '')) continue;
+    found.push({
+      type: m[1] ? 'due' : m[2] ? 'priority' : 'person',
+      value: m[1] || m[2] || m[3],
+      from: offset + m.index,
+      to: offset + m.index + m[0].length,
+    });
+  }
+  return found;
+}
+
+// A Task node (GFM "[ ] text") with its state and metadata
+function readTask(state, task) {
+  const marker = task.getChild('TaskMarker');
+  const skip = [];
+  for (let child = task.firstChild; child; child = child.nextSibling) {
+    if (taskMetaOpaque.has(child.name)) skip.push(child);
+  }
+  const meta = taskMetadata(state.sliceDoc(marker.to, task.to), marker.to)
+    .filter((m) => !skip.some((n) => m.from < n.to && m.to > n.from));
+  const done = /x/i.test(state.sliceDoc(marker.from, marker.to));
+  const due = meta.find((m) => m.type === 'due')?.value || null;
+  return {
+    from: task.from,
+    to: task.to,
+    done,
+    meta,
+    due,
+    priority: meta.find((m) => m.type === 'priority')?.value || null,
+    people: meta.filter((m) => m.type === 'person').map((m) => m.value),
+    // Dates are YYYY-MM-DD, so they compare as strings
+    overdue: !done && due !== null && due < dateStamp(),
+  };
+}
+
+class TaskChipWidget extends WidgetType {
+  constructor(type, value, overdue) {
+    super();
+    this.type = type;
+    this.value = value;
+    this.overdue = overdue;
+  }
+
+  eq(other) {
+    return other.type === this.type && other.value === this.value && other.overdue === this.overdue;
+  }
+
+  toDOM() {
+    const span = document.createElement('span');
+    span.className = `cm-task-chip cm-task-chip-${this.type}`;
+    if (this.type === 'priority') span.classList.add(`cm-task-priority-${this.value}`);
+    if (this.overdue) {
+      span.classList.add('cm-task-chip-overdue');
+      span.title = 'Overdue';
+    }
+    span.textContent = this.type === 'due' ? `📅 ${this.value}`
+      : this.type === 'priority' ? `!${this.value}`
+      : `@${this.value}`;
+    return span;
+  }
+
+  ignoreEvent() { return false; }
+}
+
+// Every task in the note: { line, from, text, state: 'open' | 'done', due,
+// priority, people, overdue }. `text` is the task without its metadata.
+function collectTasks(state) {
+  const tasks = [];
+  // Background and throwaway states may be only partly parsed
+  const tree = ensureSyntaxTree(state, state.doc.length, 1000) || syntaxTree(state);
+  tree.iterate({
+    enter(node) {
+      if (node.name !== 'Task') return;
+      const task = readTask(state, node.node);
+      const marker = node.node.getChild('TaskMarker');
+      let text = '';
+      let pos = marker.to;
+      for (const m of task.meta) {
+        text += state.sliceDoc(pos, m.from);
+        pos = m.to;
+      }
+      text += state.sliceDoc(pos, task.to);
+      tasks.push({
+        line: state.doc.lineAt(task.from).number,
+        from: task.from,
+        text: text.replace(/\s+/g, ' ').trim(),
+        state: task.done ? 'done' : 'open',
+        due: task.due,
+        priority: task.priority,
+        people: task.people,
+        overdue: task.overdue,
+      });
+    },
+  });
+  return tasks;
+}
+
+// Tasks of a note (the open one by default). Notes without an editor state
+// in this session are parsed from `content`, Swift's copy of their text;
+// with neither, [].
+editorAPI.getTasks = function (noteId = currentNoteId, content) {
+  let state = editorView && noteId === currentNoteId ? editorView.state : noteStates.get(noteId);
+  if (!state && typeof content === 'string') {
+    state = EditorState.create({ doc: content, extensions: getMarkdownSupport() });
+  }
+  return state ? collectTasks(state) : [];
+};
+
+// "Overdue" depends on today's date, so redo the decorations after midnight
+let dateRolloverTimer = null;
+
+function scheduleDateRollover() {
+  clearTimeout(dateRolloverTimer);
+  const now = new Date();
+  const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  dateRolloverTimer = setTimeout(() => {
+    editorView?.dispatch({ effects: viewModeChanged.of(null) });
+    scheduleDateRollover();
+  }, midnight - now + 1000);
+}
+
+// A list's items, whole lines, with whether each is a completed task
+function listEntries(state, list) {
+  const entries = [];
+  for (let item = list.firstChild; item; item = item.nextSibling) {
+    if (item.name !== 'ListItem') continue;
+    const task = item.getChild('Task');
+    const marker = task && task.getChild('TaskMarker');
+    const mark = item.getChild('ListMark');
+    const from = state.doc.lineAt(item.from).from;
+    entries.push({
+      from,
+      to: state.doc.lineAt(item.to).to,
+      done: !!marker && /x/i.test(state.sliceDoc(marker.from, marker.to)),
+      // Ordered items: the number and where it sits in the item's text
+      number: mark && /^\d+/.exec(state.sliceDoc(mark.from, mark.to))?.[0],
+      numberAt: mark ? mark.from - from : 0,
+    });
+  }
+  return entries;
+}
+
+// The change that moves a list's completed items after its open ones (in
+// their existing order), or null when they're already there. Ordered items
+// take the number of the slot they move into; `head` follows its item.
+function sinkCompletedItems(state, list, head) {
+  const entries = listEntries(state, list);
+  const order = [...entries.filter((e) => !e.done), ...entries.filter((e) => e.done)];
+  if (order.every((entry, i) => entry === entries[i])) return null;
+
+  let insert = '';
+  let cursor = null;
+  order.forEach((entry, i) => {
+    const slot = entries[i];
+    if (i) insert += state.sliceDoc(entries[i - 1].to, slot.from);
+    let text = state.sliceDoc(entry.from, entry.to);
+    if (entry.number && slot.number) {
+      text = text.slice(0, entry.numberAt) + slot.number + text.slice(entry.numberAt + entry.number.length);
+    }
+    if (head >= entry.from && head <= entry.to) {
+      cursor = entries[0].from + insert.length + Math.min(head - entry.from, text.length);
+    }
+    insert += text;
+  });
+  return { from: entries[0].from, to: entries[entries.length - 1].to, insert, cursor };
+}
+
+function hasTaskItems(list) {
+  for (let item = list.firstChild; item; item = item.nextSibling) {
+    if (item.name === 'ListItem' && item.getChild('Task')) return true;
+  }
+  return false;
+}
+
+// Cmd+Opt+T: sink completed tasks in the list at the cursor, or in every
+// top-level list when the cursor isn't in one (nested items move with
+// their parent). False in read-only (preview) mode.
+function moveCompletedTasksDown(view) {
+  const { state } = view;
+  if (state.readOnly) return false;
+  const head = state.selection.main.head;
+  let lists = [];
+  for (let node = syntaxTree(state).resolveInner(head, -1); node; node = node.parent) {
+    if (/^(Bullet|Ordered)List$/.test(node.name) && hasTaskItems(node)) {
+      lists = [node];
+      break;
+    }
+  }
+  if (!lists.length) {
+    syntaxTree(state).iterate({
+      enter(node) {
+        if (!/^(Bullet|Ordered)List$/.test(node.name)) return;
+        if (hasTaskItems(node.node)) lists.push(node.node);
+        return false;
+      },
+    });
+  }
+
+  const changes = [];
+  let selection;
+  for (const list of lists) {
+    const change = sinkCompletedItems(state, list, head);
+    if (!change) continue;
+    changes.push({ from: change.from, to: change.to, insert: change.insert });
+    if (change.cursor !== null) selection = { anchor: change.cursor };
+  }
+  if (!changes.length) return true;
+  view.dispatch({ changes, selection, userEvent: 'move.tasks' });
+  return true;
+}
+
+editorAPI.moveCompletedTasksDown = function () {
+  if (!editorView) return false;
+  return moveCompletedTasksDown(editorView);
+};
+
+// The Edit menu item calls editorAPI.moveCompletedTasksDown and has no key
+// equivalent, so the shortcut lives here only
+const taskKeymap = [
+  { key: 'Mod-Alt-t', run: moveCompletedTasksDown },
+];
+
+// ─── ViewPlugin: Syntax-tree markdown decorations ──────────────────────────
+//
+// Two layers, so moving the cursor doesn't re-walk the syntax tree:
+//   static — heading/link/quote/code styling; mapped through edits and
+//            rebuilt only for the top-level blocks an edit touched
+//   folds  — markers that unfold under the cursor (list bullets, task boxes,
+//            inline code, images, HRs) plus cm-cursor-line; per selection
+//            change only the old and new cursor lines are refreshed
+// The static pass records each foldable marker as a Foldable in a RangeSet,
+// which the fold layer renders without touching the tree.
+
+// Extent of the top-level blocks overlapping [from, to]
+function topLevelExtent(tree, from, to) {
+  let start = from, end = to;
+  tree.iterate({
+    from,
+    to,
+    enter(node) {
+      if (node.type.isTop) return;
+      start = Math.min(start, node.from);
+      end = Math.max(end, node.to);
+      return false;
+    },
+  });
+  return [start, end];
+}
+
+// Range of the new document whose parse a transaction may have changed: the
+// top-level blocks around each edit (in the old and new tree) plus whatever
+// the background parser newly reached. null when the tree was replaced.
+function changedTreeExtent(startState, state, changes) {
+  const tree = syntaxTree(state);
+  const oldTree = syntaxTree(startState);
+  let dirtyFrom = Infinity, dirtyTo = -1;
+  const extend = (from, to) => {
+    dirtyFrom = Math.min(dirtyFrom, from);
+    dirtyTo = Math.max(dirtyTo, to);
+  };
+
+  changes.iterChangedRanges((fromA, toA, fromB, toB) => {
+    const [oldFrom, oldTo] = topLevelExtent(oldTree, fromA, toA);
+    extend(changes.mapPos(oldFrom, -1), changes.mapPos(oldTo, 1));
+    extend(...topLevelExtent(tree, fromB, toB));
+  });
+  const oldEnd = changes.mapPos(oldTree.length);
+  if (oldEnd !== tree.length) {
+    const edge = Math.min(oldEnd, tree.length);
+    extend(topLevelExtent(tree, edge, edge)[0], Math.max(oldEnd, tree.length));
+  }
+  return dirtyTo < 0 ? null : [dirtyFrom, dirtyTo];
+}
+
+// A marker that renders differently when the cursor is near it.
+//   near     — 'inside' (selection within the marker) or 'line' (cursor on its line)
+//   folded   — decoration while the cursor is away (null: none), or a
+//              function (state, from, to) => decoration for markers that
+//              also depend on the fold state (callout headers)
+//   unfolded — decoration while the cursor is near (null: none)
+//   line     — the decorations are line decorations, placed at the line start
+class Foldable extends RangeValue {
+  constructor(near, folded, unfolded, line = false) {
+    super();
+    this.near = near;
+    this.folded = folded;
+    this.unfolded = unfolded;
+    this.line = line;
+  }
+}
+
+const cursorLineDeco = Decoration.line({ class: 'cm-cursor-line' });
+
+// Static decorations and foldable markers for the tree inside `ranges`
+function buildMarkdownDecos(state, ranges) {
+  const builder = [];
+  const foldables = [];
+  const lineDecoSet = new Set();
+
+  function addLineDeco(pos, cls) {
+    const lineStart = state.doc.lineAt(pos).from;
+    const key = `${lineStart}:${cls}`;
+    if (lineDecoSet.has(key)) return;
+    lineDecoSet.add(key);
+    builder.push(Decoration.line({ class: cls }).range(lineStart));
+  }
+
+  function addFoldable(from, to, near, folded, unfolded = null, line = false) {
+    foldables.push(new Foldable(near, folded, unfolded, line).range(from, to));
+  }
+
+  for (const { from, to } of ranges) {
+    syntaxTree(state).iterate({
+      from,
+      to,
+      enter(node) {
+        switch (node.name) {
+          // ── Headings ──────────────────────────────────────
+          case 'ATXHeading1':
+            addLineDeco(node.from, 'cm-heading-1');
+            break;
+          case 'ATXHeading2':
+            addLineDeco(node.from, 'cm-heading-2');
+            break;
+          case 'ATXHeading3':
+            addLineDeco(node.from, 'cm-heading-3');
+            break;
+          case 'ATXHeading4':
+            addLineDeco(node.from, 'cm-heading-4');
+            break;
+          case 'ATXHeading5':
+            addLineDeco(node.from, 'cm-heading-5');
+            break;
+          case 'ATXHeading6':
+            addLineDeco(node.from, 'cm-heading-6');
             break;
-          }
 
-          // ── Table ───────────────────────────────────────────
-          case 'Table': {
-            const startLine = view.state.doc.lineAt(node.from).number;
-            const endLine = view.state.doc.lineAt(node.to).number;
-            for (let i = startLine; i <= endLine; i++) {
-              addLineDeco(view.state.doc.line(i).from, 'cm-md-table');
+          // ── Markers (hidden when cursor not on line) ──────
+          case 'HeaderMark': {
+            const hLine = state.doc.lineAt(node.from);
+            if (node.from === hLine.from) {
+              // Opening # marks — hide when cursor not on line
+              builder.push(
+                Decoration.mark({ class: 'cm-md-marker' }).range(node.from, node.to)
+              );
+            } else {
+              // Trailing # marks — inherit heading text color
+              builder.push(
+                Decoration.mark({ class: 'cm-md-marker-trailing' }).range(node.from, node.to)
+              );
             }
             break;
           }
-          case 'TableHeader':
-            addLineDeco(node.from, 'cm-md-table-header');
+          case 'EmphasisMark':
+          case 'HighlightMark':
+          case 'SuperscriptMark':
+          case 'SubscriptMark':
+          case 'FootnoteMark':
+          case 'DefinitionMark':
+          case 'QuoteMark':
+          case 'CodeMark':  // ``` fenced code markers
+          case 'CodeInfo':  // language name after ```
+            builder.push(
+              Decoration.mark({ class: 'cm-md-marker' }).range(node.from, node.to)
+            );
             break;
-          case 'TableDelimiter':
-            addLineDeco(node.from, 'cm-md-table-delimiter');
+
+          // ── Bold ──────────────────────────────────────────
+          case 'StrongEmphasis':
+            builder.push(
+              Decoration.mark({ class: 'cm-md-bold' }).range(node.from, node.to)
+            );
             break;
 
-        }
+          // ── Italic ────────────────────────────────────────
+          case 'Emphasis':
+            builder.push(
+              Decoration.mark({ class: 'cm-md-italic' }).range(node.from, node.to)
+            );
+            break;
+
+          // ── Highlight ==text== ────────────────────────────
+          case 'Highlight':
+            builder.push(
+              Decoration.mark({ class: 'cm-md-highlight' }).range(node.from, node.to)
+            );
+            break;
+
+          // ── Emoji shortcode → character (unfold when cursor inside)
+          case 'Emoji':
+            addFoldable(node.from, node.to, 'inside', Decoration.replace({
+              widget: new EmojiWidget(state.sliceDoc(node.from + 1, node.to - 1)),
+            }));
+            break;
+
+          // ── Superscript / subscript ───────────────────────
+          case 'Superscript':
+            builder.push(
+              Decoration.mark({ class: 'cm-md-sup' }).range(node.from, node.to)
+            );
+            break;
+          case 'Subscript':
+            builder.push(
+              Decoration.mark({ class: 'cm-md-sub' }).range(node.from, node.to)
+            );
+            break;
+
+          // ── Footnotes ─────────────────────────────────────
+          case 'FootnoteReference':
+            builder.push(
+              Decoration.mark({ class: 'cm-md-footnote-ref' }).range(node.from, node.to)
+            );
+            break;
+          case 'FootnoteDefinition': {
+            const startLine = state.doc.lineAt(node.from).number;
+            const endLine = state.doc.lineAt(node.to).number;
+            for (let i = startLine; i <= endLine; i++) {
+              addLineDeco(state.doc.line(i).from, 'cm-md-footnote-def');
+            }
+            break;
+          }
+          case 'FootnoteLabel':
+            if (node.node.parent?.name === 'FootnoteDefinition') {
+              builder.push(
+                Decoration.mark({ class: 'cm-md-footnote-label' }).range(node.from, node.to)
+              );
+            }
+            break;
+
+          // ── Definition lists ──────────────────────────────
+          case 'DefinitionTerm':
+            builder.push(
+              Decoration.mark({ class: 'cm-md-definition-term' }).range(node.from, node.to)
+            );
+            break;
+          case 'DefinitionDescription':
+            addLineDeco(node.from, 'cm-md-definition');
+            break;
+
+          // ── Inline Code → widget (unfold when cursor inside) ─
+          case 'InlineCode': {
+            const text = state.sliceDoc(node.from, node.to);
+            const backtickMatch = text.match(/^(`+)([\s\S]*?)\1$/);
+            if (backtickMatch) {
+              const inner = backtickMatch[2].trim();
+              addFoldable(node.from, node.to, 'inside', Decoration.replace({
+                widget: new InlineCodeWidget(inner),
+              }));
+            }
+            break;
+          }
+
+          // ── Image → widget (unfold when cursor on line) ───
+          case 'Image': {
+            const urlNode = node.node.getChild('URL');
+            if (!urlNode) break;
+            const src = state.sliceDoc(urlNode.from, urlNode.to).replace(/^<|>$/g, '');
+            if (src.startsWith('attachment-pending:')) break;
+            const text = state.sliceDoc(node.from, node.to);
+            const alt = (text.match(/^!\[([^\]]*)\]/) || [])[1] || '';
+            addFoldable(node.from, node.to, 'line', Decoration.replace({
+              widget: new ImageWidget(src, alt),
+            }));
+            break;
+          }
+
+          // ── Link ──────────────────────────────────────────
+          case 'Link': {
+            // Style the whole link node, then let LinkMark/URL children
+            // be styled separately (markers dim, URL dim)
+            builder.push(
+              Decoration.mark({ class: 'cm-md-link' }).range(node.from, node.to)
+            );
+            break;
+          }
+
+          // ── Wiki link [[Note title]] ──────────────────────
+          case 'WikiLink':
+            builder.push(
+              Decoration.mark({ class: 'cm-md-link cm-md-wikilink' }).range(node.from, node.to)
+            );
+            break;
+          case 'WikiLinkMark':
+            builder.push(
+              Decoration.mark({ class: 'cm-md-marker' }).range(node.from, node.to)
+            );
+            break;
+
+          // ── Link sub-parts: dim brackets and URL ──────────
+          case 'LinkMark':
+            builder.push(
+              Decoration.mark({ class: 'cm-md-marker' }).range(node.from, node.to)
+            );
+            break;
+          case 'URL':
+            builder.push(
+              Decoration.mark({ class: 'cm-md-url' }).range(node.from, node.to)
+            );
+            break;
+
+          // ── Blockquote (line decoration per line) ─────────
+          // Callouts add a per-type class and fold their header line
+          case 'Blockquote': {
+            const callout = calloutInfo(state, node.node);
+            const startLine = state.doc.lineAt(node.from).number;
+            const endLine = state.doc.lineAt(node.to).number;
+            const classes = callout
+              ? `cm-md-blockquote cm-md-callout cm-md-callout-${callout.type}`
+              : 'cm-md-blockquote';
+            for (let i = startLine; i <= endLine; i++) {
+              addLineDeco(state.doc.line(i).from, i === startLine && callout
+                ? `${classes} cm-md-callout-header-line` : classes);
+            }
+            if (callout) {
+              const { type, title, collapsible } = callout;
+              addFoldable(callout.from, callout.header.to, 'line', (state, from, to) => Decoration.replace({
+                widget: new CalloutHeaderWidget(type, title, collapsible, calloutFolded(state, to)),
+              }));
+            }
+            break;
+          }
+
+          // ── Fenced Code Block (line decoration per line) ──
+          case 'FencedCode': {
+            const startLine = state.doc.lineAt(node.from).number;
+            const endLine = state.doc.lineAt(node.to).number;
+            for (let i = startLine; i <= endLine; i++) {
+              let classes = 'cm-md-fenced-code';
+              if (i === startLine) classes += ' cm-md-fenced-code-first';
+              if (i === endLine) classes += ' cm-md-fenced-code-last';
+              addLineDeco(state.doc.line(i).from, classes);
+            }
+            break;
+          }
+
+          // ── Horizontal Rule (overlay with animation) ───
+          case 'HorizontalRule': {
+            const lineStart = state.doc.lineAt(node.from).from;
+            // Source line: fixed height, toggle editing class
+            const style = 'height:16px;line-height:16px;';
+            addFoldable(node.from, node.to, 'inside',
+              Decoration.line({ attributes: { class: 'cm-hr-source-line', style } }),
+              Decoration.line({ attributes: { class: 'cm-hr-source-line cm-hr-editing', style } }),
+              true);
+            // Overlay widget: positioned absolute, visual HR
+            builder.push(
+              Decoration.widget({
+                widget: new HROverlayWidget(),
+                side: -1,
+              }).range(lineStart)
+            );
+            break;
+          }
+
+          // ── Strikethrough ───────────────────────────────────
+          case 'Strikethrough':
+            builder.push(
+              Decoration.mark({ class: 'cm-md-strikethrough' }).range(node.from, node.to)
+            );
+            break;
+          case 'StrikethroughMark':
+            builder.push(
+              Decoration.mark({ class: 'cm-md-marker' }).range(node.from, node.to)
+            );
+            break;
+
+          // ── Lists ───────────────────────────────────────────
+          case 'ListMark': {
+            // Task list dashes are handled by TaskMarker case (match " [ ]" or " [x]" only)
+            if (/^ \[[ xX]\]/.test(state.sliceDoc(node.to, node.to + 4))) break;
+
+            // Unfolded (cursor on this line): plain marker, editable
+            const sourceMark = Decoration.mark({ class: 'cm-md-list-mark' });
+            const markerText = state.sliceDoc(node.from, node.to).trim();
+            // Check if ordered (number) or unordered (-, *, +)
+            const widget = /^\d+\.$/.test(markerText)
+              ? new OrderedMarkerWidget(parseInt(markerText, 10))
+              : new BulletMarkerWidget();
+            addFoldable(node.from, node.to, 'line', Decoration.replace({ widget }), sourceMark);
+            break;
+          }
+
+          // ── Task List ───────────────────────────────────────
+          // Replace "- [x]" or "- [ ]" as a single unit with a checkbox widget
+          case 'TaskMarker': {
+            // Find the ListMark before this TaskMarker: "- " precedes "[x]"
+            const listMarkFrom = node.from - 2; // "- " is 2 chars before TaskMarker
+            const fullFrom = listMarkFrom >= 0 &&
+              state.sliceDoc(listMarkFrom, node.from) === '- '
+              ? listMarkFrom : node.from;
+            const markerText = state.sliceDoc(node.from, node.to);
+            const checked = markerText.includes('x') || markerText.includes('X');
+            addFoldable(fullFrom, node.to, 'inside', Decoration.replace({
+              widget: new TaskCheckboxWidget(checked, node.from),
+            }));
+            break;
+          }
+          // Metadata chips (unfold when cursor inside); overdue line tint
+          case 'Task': {
+            const task = readTask(state, node.node);
+            if (task.overdue) addLineDeco(node.from, 'cm-task-overdue');
+            for (const meta of task.meta) {
+              addFoldable(meta.from, meta.to, 'inside', Decoration.replace({
+                widget: new TaskChipWidget(meta.type, meta.value, task.overdue && meta.type === 'due'),
+              }));
+            }
+            break;
+          }
+
+          // ── Table ───────────────────────────────────────────
+          case 'Table': {
+            const startLine = state.doc.lineAt(node.from).number;
+            const endLine = state.doc.lineAt(node.to).number;
+            for (let i = startLine; i <= endLine; i++) {
+              addLineDeco(state.doc.line(i).from, 'cm-md-table');
+            }
+            break;
+          }
+          case 'TableHeader':
+            addLineDeco(node.from, 'cm-md-table-header');
+            break;
+          case 'TableDelimiter':
+            addLineDeco(node.from, 'cm-md-table-delimiter');
+            break;
+
+        }
       },
     });
   }
 
   // Sort by position (required by Decoration.set)
-  return Decoration.set(builder, true);
+  return {
+    decorations: Decoration.set(builder, true),
+    foldables: RangeSet.of(foldables, true),
+  };
+}
+
+// Fold-layer decorations for the foldables touching [from, to]
+function buildFoldDecos(state, foldables, from, to) {
+  const out = [];
+  const { from: curFrom, to: curTo } = state.selection.main;
+  const cursorLine = state.doc.lineAt(curFrom);
+
+  foldables.between(from, to, (fFrom, fTo, foldable) => {
+    const near = !fullyRendered() && (foldable.near === 'line'
+      ? state.doc.lineAt(fFrom).number === cursorLine.number
+      : curFrom >= fFrom && curTo <= fTo);
+    let deco = near ? foldable.unfolded : foldable.folded;
+    if (typeof deco === 'function') deco = deco(state, fFrom, fTo);
+    if (!deco) return;
+    out.push(foldable.line ? deco.range(state.doc.lineAt(fFrom).from) : deco.range(fFrom, fTo));
+  });
+  // Cursor line decoration for marker visibility (skip in snapshot mode)
+  if (!fullyRendered() && cursorLine.from >= from && cursorLine.from <= to) {
+    out.push(cursorLineDeco.range(cursorLine.from));
+  }
+  return out;
+}
+
+// Whole lines covered by a selection range
+function selectionLines(doc, range) {
+  return [doc.lineAt(range.from).from, doc.lineAt(range.to).to];
+}
+
+const markdownDecoPlugin = ViewPlugin.fromClass(
+  class {
+    constructor(view) {
+      this.rebuild(view);
+    }
+
+    rebuild(view) {
+      const { state } = view;
+      const built = buildMarkdownDecos(state, view.visibleRanges);
+      this.decorations = built.decorations;
+      this.foldables = built.foldables;
+      this.folds = Decoration.set(buildFoldDecos(state, this.foldables, 0, state.doc.length), true);
+    }
+
+    update(update) {
+      const { state, startState, changes } = update;
+      const treeChanged = syntaxTree(state) !== syntaxTree(startState);
+      if (update.viewportChanged || update.transactions.some(changesViewMode)) {
+        this.rebuild(update.view);
+        return;
+      }
+
+      // Callout headers show whether their body is folded, so refresh
+      // the line each fold effect starts on
+      const windows = [];
+      for (const tr of update.transactions) {
+        for (const e of tr.effects) {
+          if (!e.is(foldEffect) && !e.is(unfoldEffect)) continue;
+          const line = state.doc.lineAt(Math.min(e.value.from, state.doc.length));
+          windows.push([line.from, line.to]);
+        }
+      }
+
+      if (update.docChanged || treeChanged) {
+        const extent = changedTreeExtent(startState, state, changes);
+        if (!extent) {
+          this.rebuild(update.view);
+          return;
+        }
+        const [from, to] = [state.doc.lineAt(extent[0]).from, state.doc.lineAt(extent[1]).to];
+        const visible = update.view.visibleRanges
+          .filter((r) => r.to >= from && r.from <= to)
+          .map((r) => ({ from: Math.max(r.from, from), to: Math.min(r.to, to) }));
+        const built = buildMarkdownDecos(state, visible);
+        const replace = { filterFrom: from, filterTo: to, filter: () => false };
+        this.decorations = this.decorations.map(changes)
+          .update({ ...replace, add: collectRanges(built.decorations) });
+        this.foldables = this.foldables.map(changes)
+          .update({ ...replace, add: collectRanges(built.foldables) });
+        this.folds = this.folds.map(changes);
+        windows.push([from, to]);
+      } else if (!update.selectionSet && !windows.length) {
+        return;
+      }
+
+      // The lines the cursor left and the lines it moved to
+      const oldSel = startState.selection.main;
+      const [oldFrom, oldTo] = [changes.mapPos(oldSel.from, -1), changes.mapPos(oldSel.to, 1)];
+      windows.push([state.doc.lineAt(oldFrom).from, state.doc.lineAt(oldTo).to]);
+      windows.push(selectionLines(state.doc, state.selection.main));
+
+      for (const [from, to] of mergeWindows(windows)) {
+        this.folds = this.folds.update({
+          filterFrom: from,
+          filterTo: to,
+          filter: () => false,
+          add: buildFoldDecos(state, this.foldables, from, to),
+          sort: true,
+        });
+      }
+    }
+  },
+  {
+    decorations: (v) => v.decorations,
+    provide: (plugin) => EditorView.decorations.of((view) => view.plugin(plugin)?.folds || Decoration.none),
+  }
+);
+
+// Ranges of a RangeSet as an array (for RangeSet.update's `add`)
+function collectRanges(set) {
+  const out = [];
+  for (const cursor = set.iter(); cursor.value; cursor.next()) {
+    out.push(cursor.value.range(cursor.from, cursor.to));
+  }
+  return out;
+}
+
+// Sort [from, to] windows and merge the overlapping ones
+function mergeWindows(windows) {
+  const merged = [];
+  for (const [from, to] of windows.sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && from <= last[1] + 1) last[1] = Math.max(last[1], to);
+    else merged.push([from, to]);
+  }
+  return merged;
+}
+
+// ─── StateField: Math rendering ────────────────────────────────────────────
+//
+// MathExtension teaches the Lezer markdown parser $...$ / $$...$$, so math
+// is parsed incrementally with the rest of the document and never inside
+// code. mathRangesField caches the formulas and rescans only the top-level
+// blocks a transaction touched; mathRenderField turns them into decorations
+// (StateField, not ViewPlugin, because block math needs multiline replace).
+
+// Where a $$ line's closing $$ ends, or -1 if the line doesn't close it
+function blockMathClose(text, start) {
+  const rest = text.slice(start).trimEnd();
+  return rest.length >= 2 && rest.endsWith('$$') ? start + rest.length : -1;
+}
+
+// A line opens block math when it starts with $$ and either closes on the
+// same line or has no other $$ (so "$$x$$ and more" stays inline)
+function opensBlockMath(line) {
+  if (line.next !== 36 /* $ */ || line.text.charCodeAt(line.pos + 1) !== 36) return false;
+  return blockMathClose(line.text, line.pos + 2) >= 0 || !line.text.includes('$$', line.pos + 2);
+}
+
+const MathExtension = {
+  defineNodes: [
+    { name: 'BlockMath', block: true },
+    { name: 'InlineMath' },
+    { name: 'MathMark', style: t.processingInstruction },
+  ],
+  parseBlock: [{
+    name: 'BlockMath',
+    parse(cx, line) {
+      if (!opensBlockMath(line)) return false;
+      const from = cx.lineStart + line.pos;
+      const marks = [cx.elt('MathMark', from, from + 2)];
+      let close = blockMathClose(line.text, line.pos + 2);
+      while (close < 0 && cx.nextLine() && line.depth >= cx.stack.length) {
+        marks.push(...line.markers);
+        close = blockMathClose(line.text, line.pos);
+      }
+      // Unclosed $$ runs to the end of its container, like an open fence
+      if (close >= 0) {
+        marks.push(cx.elt('MathMark', cx.lineStart + close - 2, cx.lineStart + close));
+        cx.nextLine();
+      }
+      cx.addElement(cx.elt('BlockMath', from, cx.prevLineEnd(), marks));
+      return true;
+    },
+    endLeaf(cx, line) {
+      return opensBlockMath(line);
+    },
+  }],
+  parseInline: [{
+    name: 'InlineMath',
+    before: 'Escape',
+    parse(cx, next, pos) {
+      if (next !== 36 /* $ */ || cx.char(pos - 1) === 36) return -1;
+      const display = cx.char(pos + 1) === 36;
+      const re = display ? /^\$\$([\s\S]+?)\$\$/ : /^\$([^$\n]+?)\$(?!\$)/;
+      const m = re.exec(cx.slice(pos, cx.end));
+      if (!m || !m[1].trim()) return -1;
+      const len = display ? 2 : 1;
+      const end = pos + m[0].length;
+      return cx.addElement(cx.elt('InlineMath', pos, end, [
+        cx.elt('MathMark', pos, pos + len),
+        cx.elt('MathMark', end - len, end),
+      ]));
+    },
+  }],
+};
+
+// Math nodes overlapping [from, to] as { from, to, formula, block, display }
+function scanMath(state, from, to) {
+  const found = [];
+  syntaxTree(state).iterate({
+    from,
+    to,
+    enter(node) {
+      if (node.name !== 'BlockMath' && node.name !== 'InlineMath') return;
+      const marks = node.node.getChildren('MathMark');
+      const open = marks[0], close = marks[marks.length - 1];
+      const block = node.name === 'BlockMath';
+      // Unclosed block math (while typing) stays source
+      if (block && marks.length < 2) return false;
+      const formula = state.sliceDoc(open.to, close.from).replace(/^[ \t]*>[ \t]?/gm, '').trim();
+      if (formula) {
+        found.push({ from: node.from, to: node.to, formula, block, display: open.to - open.from === 2 });
+      }
+      return false;
+    },
+  });
+  return found;
+}
+
+// Same formulas in the same order, `b` being `a` moved through `changes`
+// (or left in place without)
+function sameMathRanges(a, b, changes = null) {
+  const map = (pos, assoc) => (changes ? changes.mapPos(pos, assoc) : pos);
+  return a.length === b.length && a.every((r, i) =>
+    b[i].formula === r.formula && b[i].display === r.display && b[i].block === r.block &&
+    b[i].from === map(r.from, 1) && b[i].to === map(r.to, -1));
+}
+
+function updateMathRanges(ranges, tr) {
+  const tree = syntaxTree(tr.state);
+  const oldTree = syntaxTree(tr.startState);
+  if (!tr.docChanged && tree === oldTree) return ranges;
+
+  let [dirtyFrom, dirtyTo] = changedTreeExtent(tr.startState, tr.state, tr.changes) || [0, tr.state.doc.length];
+  const extend = (from, to) => {
+    dirtyFrom = Math.min(dirtyFrom, from);
+    dirtyTo = Math.max(dirtyTo, to);
+  };
+
+  const mapped = ranges.map((r) => ({ ...r, from: tr.changes.mapPos(r.from, 1), to: tr.changes.mapPos(r.to, -1) }));
+  let fresh;
+  // Grow the window until it covers every stale range and every rescanned node
+  for (;;) {
+    for (const r of mapped) {
+      if (r.to >= dirtyFrom && r.from <= dirtyTo) extend(r.from, r.to);
+    }
+    fresh = scanMath(tr.state, dirtyFrom, dirtyTo);
+    const from = fresh.length ? Math.min(dirtyFrom, fresh[0].from) : dirtyFrom;
+    const to = fresh.length ? Math.max(dirtyTo, fresh[fresh.length - 1].to) : dirtyTo;
+    if (from === dirtyFrom && to === dirtyTo) break;
+    extend(from, to);
+  }
+
+  const next = [
+    ...mapped.filter((r) => r.to < dirtyFrom),
+    ...fresh,
+    ...mapped.filter((r) => r.from > dirtyTo),
+  ];
+  // Nothing moved or changed: keep the array, so mathRenderField can tell
+  return sameMathRanges(ranges, next) ? ranges : next;
+}
+
+const mathRangesField = StateField.define({
+  create(state) {
+    return scanMath(state, 0, state.doc.length);
+  },
+  update: updateMathRanges,
+});
+
+// The formula the main selection sits in (shown as source), if any
+function editingMath(state) {
+  if (fullyRendered()) return null;
+  const { from, to } = state.selection.main;
+  return state.field(mathRangesField).find((r) => from >= r.from && to <= r.to) || null;
+}
+
+function buildMathDecorations(state) {
+  const widgets = [];
+  const editing = editingMath(state);
+
+  for (const math of state.field(mathRangesField)) {
+    // Show raw source, underlining whatever KaTeX choked on
+    if (math === editing) {
+      const error = mathErrorRange(state, math);
+      if (error) {
+        widgets.push(Decoration.mark({
+          class: 'cm-math-error-mark',
+          attributes: { title: error.message },
+        }).range(error.from, error.to));
+      }
+      continue;
+    }
+
+    // Block math: overlay over the source lines with adjusted line-height
+    if (math.block) {
+      const measuredHeight = measureMathHeight(math.formula, true);
+      const startLine = state.doc.lineAt(math.from);
+      const endLine = state.doc.lineAt(math.to);
+      const lineCount = endLine.number - startLine.number + 1;
+      const minLineHeight = 22;
+      const lineHeight = Math.max(Math.ceil(measuredHeight / lineCount), minLineHeight);
+      const totalHeight = lineHeight * lineCount;
+
+      for (let i = startLine.number; i <= endLine.number; i++) {
+        const line = state.doc.line(i);
+        widgets.push(
+          Decoration.line({
+            attributes: {
+              style: `line-height:${lineHeight}px;height:${lineHeight}px;`,
+              class: 'cm-math-source-line',
+            },
+          }).range(line.from)
+        );
+      }
+
+      widgets.push(
+        Decoration.widget({
+          widget: new MathOverlayWidget(math.formula, totalHeight),
+          side: -1,
+        }).range(startLine.from)
+      );
+      continue;
+    }
+
+    // Inline math ($$...$$ inside a paragraph renders in display style)
+    // Use Decoration.replace() - true crossfade not possible for inline elements
+    const height = measureMathHeight(math.formula, math.display);
+    widgets.push(
+      Decoration.replace({
+        widget: new MathWidget(math.formula, math.display, height),
+      }).range(math.from, math.to)
+    );
+  }
+
+  return Decoration.set(widgets, true);
+}
+
+const mathRenderField = StateField.define({
+  create(state) {
+    return buildMathDecorations(state);
+  },
+  update(decos, tr) {
+    // Rebuild when a formula changed, or the cursor entered/left one; edits
+    // elsewhere only move the existing widgets
+    const ranges = tr.state.field(mathRangesField);
+    const old = tr.startState.field(mathRangesField);
+    if ((ranges !== old && !sameMathRanges(old, ranges, tr.changes)) || changesViewMode(tr) ||
+        (tr.selection && editingMath(tr.state) !== editingMath(tr.startState))) {
+      return buildMathDecorations(tr.state);
+    }
+    return tr.docChanged ? decos.map(tr.changes) : decos;
+  },
+  provide(field) {
+    return EditorView.decorations.from(field);
+  },
+});
+
+// Document range of a formula's KaTeX error as { from, to, message }, or
+// null. scanMath trimmed the formula and stripped blockquote markers, so
+// walk the source the same way to map formula offsets back to positions.
+function mathErrorRange(state, math) {
+  const error = mathError(math.formula, math.display);
+  if (!error) return null;
+  const start = math.from + (math.display ? 2 : 1);
+  const source = state.sliceDoc(start, math.to);
+  const quoteRe = /[ \t]*>[ \t]?/y;
+  const positions = [];
+  let text = '';
+  for (let i = 0; i < source.length;) {
+    if (i === 0 || source[i - 1] === '\n') {
+      quoteRe.lastIndex = i;
+      const quote = quoteRe.exec(source);
+      if (quote && quote[0]) {
+        i += quote[0].length;
+        continue;
+      }
+    }
+    positions.push(start + i);
+    text += source[i++];
+  }
+  const lead = text.length - text.trimStart().length;
+  const last = lead + math.formula.length - 1;
+  const at = (offset) => positions[Math.min(lead + offset, last)];
+  const from = error.position === null ? at(0) : at(error.position);
+  const to = error.position === null
+    ? at(math.formula.length - 1) + 1
+    : at(error.position + Math.max(error.length, 1) - 1) + 1;
+  return { from, to, message: error.message };
+}
+
+// Every formula KaTeX can't parse, in document order
+function collectMathErrors(state) {
+  const errors = [];
+  for (const math of state.field(mathRangesField)) {
+    const error = mathErrorRange(state, math);
+    if (!error) continue;
+    const line = state.doc.lineAt(error.from);
+    errors.push({
+      from: error.from,
+      to: error.to,
+      line: line.number,
+      column: error.from - line.from + 1,
+      message: error.message,
+      formula: math.formula,
+    });
+  }
+  return errors;
+}
+
+// Live preview below the formula being edited, since its rendered widget
+// is swapped for source while the cursor is inside
+function mathPreviewTooltip(math) {
+  return {
+    pos: math.to,
+    above: false,
+    create() {
+      const dom = document.createElement('div');
+      dom.className = 'cm-math-preview';
+      // The error check already rendered a formula that parses
+      const { html, error } = checkMath(math.formula, math.display);
+      if (html !== null) {
+        dom.innerHTML = html;
+      } else {
+        try {
+          katex.render(math.formula, dom, { throwOnError: false, displayMode: math.display, strict: false });
+        } catch (e) {
+          dom.textContent = math.formula;
+        }
+      }
+      if (error) {
+        const message = document.createElement('div');
+        message.className = 'cm-math-preview-error';
+        message.textContent = error.message;
+        dom.appendChild(message);
+      }
+      return { dom };
+    },
+  };
+}
+
+const mathPreviewField = StateField.define({
+  create(state) {
+    const math = editingMath(state);
+    return math ? { math, tooltip: mathPreviewTooltip(math) } : null;
+  },
+  update(preview, tr) {
+    if (!tr.docChanged && !tr.selection && !changesViewMode(tr)) return preview;
+    const math = editingMath(tr.state);
+    if (!math) return null;
+    // Keep the tooltip (and its DOM) while the formula is unchanged
+    if (preview && preview.math.formula === math.formula && preview.math.to === math.to) return preview;
+    return { math, tooltip: mathPreviewTooltip(math) };
+  },
+  provide(field) {
+    return showTooltip.from(field, (preview) => preview && preview.tooltip);
+  },
+});
+
+editorAPI.getMathErrors = function () {
+  if (!editorView) return [];
+  return collectMathErrors(editorView.state);
+};
+
+// ─── Block math navigation ─────────────────────────────────────────────────
+// When a block math widget is rendered (cursor outside), arrow keys should
+// jump over it instead of getting stuck.
+
+// Block math that is currently rendered (cursor NOT inside)
+function getRenderedBlockMathRanges(state) {
+  const editing = editingMath(state);
+  return state.field(mathRangesField).filter((r) => r.block && r !== editing);
+}
+
+// Helper: find if a document position is inside any rendered block math
+// (or diagram) range
+function findBlockMathAt(state, pos) {
+  const ranges = getRenderedBlockMathRanges(state).concat(getRenderedDiagramRanges(state));
+  return ranges.find(r => pos >= r.from && pos <= r.to) || null;
+}
+
+const blockMathNavKeymap = [
+  {
+    key: 'ArrowDown',
+    run: (view) => {
+      const { head } = view.state.selection.main;
+      const line = view.state.doc.lineAt(head);
+      if (line.number >= view.state.doc.lines) return false;
+      const nextLine = view.state.doc.line(line.number + 1);
+      const r = findBlockMathAt(view.state, nextLine.from);
+      if (!r) return false;
+      // Jump past the block math
+      const afterPos = Math.min(r.to + 1, view.state.doc.length);
+      const target = afterPos >= view.state.doc.length
+        ? view.state.doc.length
+        : view.state.doc.lineAt(afterPos).from;
+      view.dispatch({
+        selection: { anchor: target },
+        scrollIntoView: true,
+      });
+      return true;
+    },
+  },
+  {
+    key: 'ArrowUp',
+    run: (view) => {
+      const { head } = view.state.selection.main;
+      const line = view.state.doc.lineAt(head);
+      if (line.number <= 1) return false;
+      const prevLine = view.state.doc.line(line.number - 1);
+      const r = findBlockMathAt(view.state, prevLine.from);
+      if (!r) return false;
+      // Jump before the block math
+      const target = r.from === 0
+        ? 0
+        : view.state.doc.lineAt(r.from).from > 0
+          ? view.state.doc.lineAt(r.from - 1).to
+          : 0;
+      view.dispatch({
+        selection: { anchor: target },
+        scrollIntoView: true,
+      });
+      return true;
+    },
+  },
+];
+
+// ─── StateField: Diagram previews ──────────────────────────────────────────
+//
+// ```mermaid fenced blocks render as an overlay over their source lines, the
+// same way block math does. Mermaid renders asynchronously, so the first
+// build leaves the source visible, kicks off a render, and rebuilds once the
+// SVG (or the parse error) lands in diagramCache.
+
+// source -> { svg, height } | { error }
+const diagramCache = new Map();
+const pendingDiagrams = new Set();
+const diagramRendered = StateEffect.define();
+const diagramLanguages = new Set(['mermaid']);
+
+let mermaidTheme = null;
+let diagramCounter = 0;
+// Bumped by rerenderMeasuredBlocks so renders started before it are dropped
+let diagramGeneration = 0;
+
+async function renderDiagram(source) {
+  const theme = currentAppearance() === 'dark' ? 'dark' : 'default';
+  if (theme !== mermaidTheme) {
+    mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', theme });
+    mermaidTheme = theme;
+  }
+  const generation = diagramGeneration;
+  const id = `cm-diagram-${++diagramCounter}`;
+  let result;
+  try {
+    const { svg } = await mermaid.render(id, source);
+    const container = getMeasureContainer();
+    const temp = document.createElement('div');
+    temp.className = 'cm-diagram-overlay';
+    temp.style.cssText = 'padding:8px;display:block;';
+    temp.innerHTML = svg;
+    container.appendChild(temp);
+    const height = temp.offsetHeight;
+    container.removeChild(temp);
+    result = { svg, height };
+  } catch (e) {
+    result = { error: String(e?.message || e).split('\n')[0] };
+  } finally {
+    // Mermaid leaves its scratch element behind when parsing fails
+    document.getElementById(`d${id}`)?.remove();
+  }
+  if (generation !== diagramGeneration) return;
+  diagramCache.set(source, result);
+  pendingDiagrams.delete(source);
+  editorView?.dispatch({ effects: diagramRendered.of(source) });
+}
+
+function requestDiagram(source) {
+  if (diagramCache.has(source) || pendingDiagrams.has(source)) return;
+  pendingDiagrams.add(source);
+  renderDiagram(source);
+}
+
+// Blocks that can't hold tables or fenced code. Walks looking for those
+// skip them rather than visiting every inline node in the note.
+const leafBlocks = new Set([
+  'Paragraph', 'ATXHeading1', 'ATXHeading2', 'ATXHeading3', 'ATXHeading4', 'ATXHeading5', 'ATXHeading6',
+  'SetextHeading1', 'SetextHeading2', 'CodeBlock', 'HTMLBlock', 'LinkReference', 'BlockMath', 'HorizontalRule',
+]);
+
+// Fenced blocks whose info string names a diagram language
+function collectDiagramBlocks(state) {
+  const blocks = [];
+  syntaxTree(state).iterate({
+    enter(node) {
+      if (leafBlocks.has(node.name) || node.name === 'Table') return false;
+      if (node.name !== 'FencedCode') return;
+      const info = node.node.getChild('CodeInfo');
+      const code = node.node.getChild('CodeText');
+      if (!info || !code) return false;
+      const lang = state.sliceDoc(info.from, info.to).trim().toLowerCase();
+      if (!diagramLanguages.has(lang)) return false;
+      const source = state.sliceDoc(code.from, code.to).trim();
+      if (source) blocks.push({ from: node.from, to: node.to, source });
+      return false;
+    },
+  });
+  return blocks;
+}
+
+function buildDiagramDecorations(state, blocks) {
+  const widgets = [];
+  const { from: curFrom, to: curTo } = state.selection.main;
+
+  for (const block of blocks) {
+    const startLine = state.doc.lineAt(block.from);
+    const endLine = state.doc.lineAt(block.to);
+    const result = diagramCache.get(block.source);
+    if (!result) {
+      requestDiagram(block.source);
+      continue;
+    }
+
+    // Parse errors: keep the source, explain below it
+    if (result.error) {
+      widgets.push(
+        Decoration.widget({
+          widget: new DiagramErrorWidget(result.error),
+          block: true,
+          side: 1,
+        }).range(endLine.to)
+      );
+      continue;
+    }
+
+    if (!fullyRendered() && curFrom >= block.from && curTo <= block.to) continue; // show raw source
+
+    const lineCount = endLine.number - startLine.number + 1;
+    const minLineHeight = 22;
+    const lineHeight = Math.max(Math.ceil(result.height / lineCount), minLineHeight);
+    for (let i = startLine.number; i <= endLine.number; i++) {
+      widgets.push(
+        Decoration.line({
+          attributes: {
+            style: `line-height:${lineHeight}px;height:${lineHeight}px;`,
+            class: 'cm-diagram-source-line',
+          },
+        }).range(state.doc.line(i).from)
+      );
+    }
+    widgets.push(
+      Decoration.widget({
+        widget: new DiagramOverlayWidget(block.source, result.svg, lineHeight * lineCount),
+        side: -1,
+      }).range(startLine.from)
+    );
+  }
+
+  return Decoration.set(widgets, true);
+}
+
+// Rendered diagram ranges, for blockMathNavKeymap to step over
+function getRenderedDiagramRanges(state) {
+  const { from: curFrom, to: curTo } = state.selection.main;
+  return state.field(diagramRenderField).blocks.filter((b) => {
+    const result = diagramCache.get(b.source);
+    return result && result.svg && !(curFrom >= b.from && curTo <= b.to);
+  });
+}
+
+// Value: { blocks, decorations } — blocks are only re-collected when the
+// document or its syntax tree changes
+const diagramRenderField = StateField.define({
+  create(state) {
+    const blocks = collectDiagramBlocks(state);
+    return { blocks, decorations: buildDiagramDecorations(state, blocks) };
+  },
+  update(value, tr) {
+    const treeChanged = syntaxTree(tr.state) !== syntaxTree(tr.startState);
+    if (!tr.docChanged && !treeChanged && !tr.selection && !changesViewMode(tr) &&
+        !tr.effects.some((e) => e.is(diagramRendered))) {
+      return value;
+    }
+    const blocks = tr.docChanged || treeChanged ? collectDiagramBlocks(tr.state) : value.blocks;
+    if (!blocks.length && !value.blocks.length) return value;
+    return { blocks, decorations: buildDiagramDecorations(tr.state, blocks) };
+  },
+  provide(field) {
+    return EditorView.decorations.from(field, (value) => value.decorations);
+  },
+});
+
+// ─── StateField: Table rendering + editing ─────────────────────────────────
+//
+// GFM tables render as a grid widget when the cursor is outside. Like block
+// math this needs a StateField: the widget replaces several whole lines.
+// Inside the table the source is shown and tableKeymap handles cell
+// navigation, realignment and row/column edits.
+
+// Split one table row into cells, skipping escaped pipes (\|).
+// Offsets are relative to the line start; text is trimmed.
+function splitTableRow(text) {
+  const cells = [];
+  const lead = text.match(/^\s*\|?/)[0].length;
+  let start = lead;
+  for (let i = lead; i < text.length; i++) {
+    if (text[i] === '\\') { i++; continue; }
+    if (text[i] === '|') {
+      cells.push({ from: start, to: i, text: text.slice(start, i).trim() });
+      start = i + 1;
+    }
+  }
+  if (text.slice(start).trim() !== '') {
+    cells.push({ from: start, to: text.length, text: text.slice(start).trim() });
+  }
+  return cells;
+}
+
+function parseAlignment(cell) {
+  const left = cell.startsWith(':');
+  const right = cell.endsWith(':');
+  if (left && right) return 'center';
+  if (right) return 'right';
+  if (left) return 'left';
+  return null;
+}
+
+// Monospace display width — CJK and fullwidth characters take two columns
+function displayWidth(str) {
+  let width = 0;
+  for (const ch of str) {
+    const code = ch.codePointAt(0);
+    const wide = (code >= 0x1100 && code <= 0x115f) ||
+      (code >= 0x2e80 && code <= 0xa4cf) ||
+      (code >= 0xac00 && code <= 0xd7a3) ||
+      (code >= 0xf900 && code <= 0xfaff) ||
+      (code >= 0xfe30 && code <= 0xfe4f) ||
+      (code >= 0xff00 && code <= 0xff60) ||
+      (code >= 0xffe0 && code <= 0xffe6) ||
+      (code >= 0x1f300 && code <= 0x1faff);
+    width += wide ? 2 : 1;
+  }
+  return width;
+}
+
+// Read the table at a Table syntax node (or any position inside one) into
+// { from, to, startLine, header, aligns, rows }. from/to span whole lines.
+function readTable(state, node) {
+  const startLine = state.doc.lineAt(node.from);
+  const endLine = state.doc.lineAt(node.to);
+  const lines = [];
+  for (let i = startLine.number; i <= endLine.number; i++) {
+    lines.push(state.doc.line(i));
+  }
+  const header = splitTableRow(lines[0].text).map((c) => c.text);
+  const delimiter = lines.length > 1 ? splitTableRow(lines[1].text).map((c) => c.text) : [];
+  const rows = lines.slice(2).map((line) => splitTableRow(line.text).map((c) => c.text));
+  const columns = Math.max(header.length, ...rows.map((r) => r.length));
+  const aligns = [];
+  for (let c = 0; c < columns; c++) aligns.push(parseAlignment(delimiter[c] || ''));
+  return {
+    from: startLine.from,
+    to: endLine.to,
+    startLine: startLine.number,
+    header,
+    aligns,
+    rows,
+  };
+}
+
+function findTableNode(state, pos) {
+  for (let node = syntaxTree(state).resolveInner(pos, -1); node; node = node.parent) {
+    if (node.name === 'Table') return node;
+  }
+  // resolveInner(-1) misses a cursor sitting at the very start of the table
+  for (let node = syntaxTree(state).resolveInner(pos, 1); node; node = node.parent) {
+    if (node.name === 'Table') return node;
+  }
+  return null;
+}
+
+function padCell(text, width, align) {
+  const gap = width - displayWidth(text);
+  if (gap <= 0) return text;
+  if (align === 'right') return ' '.repeat(gap) + text;
+  if (align === 'center') {
+    const left = Math.floor(gap / 2);
+    return ' '.repeat(left) + text + ' '.repeat(gap - left);
+  }
+  return text + ' '.repeat(gap);
+}
+
+function delimiterCell(width, align) {
+  const dashes = Math.max(width - (align === 'center' ? 2 : align ? 1 : 0), 1);
+  if (align === 'center') return ':' + '-'.repeat(dashes) + ':';
+  if (align === 'left') return ':' + '-'.repeat(dashes);
+  if (align === 'right') return '-'.repeat(dashes) + ':';
+  return '-'.repeat(dashes);
+}
+
+// Render a table model as aligned markdown. Returns the text plus each
+// cell's content offset (relative to the table start) as cells[row][col],
+// where row 0 is the header and rows 1.. are body rows.
+function formatTable(table) {
+  const columns = table.aligns.length;
+  const all = [table.header, ...table.rows];
+  const widths = [];
+  for (let c = 0; c < columns; c++) {
+    widths.push(Math.max(3, ...all.map((r) => displayWidth(r[c] || ''))));
+  }
+
+  const lines = [];
+  const cells = [];
+  let offset = 0;
+  function pushRow(values) {
+    const positions = [];
+    let line = '|';
+    for (let c = 0; c < columns; c++) {
+      const text = values[c] || '';
+      const padded = padCell(text, widths[c], table.aligns[c]);
+      const lead = padded.length - padded.trimStart().length;
+      positions.push({ from: offset + line.length + 1 + lead, to: offset + line.length + 1 + lead + text.length });
+      line += ' ' + padded + ' |';
+    }
+    lines.push(line);
+    offset += line.length + 1;
+    return positions;
+  }
+
+  cells.push(pushRow(table.header));
+  const delim = '|' + widths.map((w, c) => ' ' + delimiterCell(w, table.aligns[c]) + ' |').join('');
+  lines.push(delim);
+  offset += delim.length + 1;
+  for (const row of table.rows) cells.push(pushRow(row));
+
+  return { text: lines.join('\n'), cells };
+}
+
+// Locate the cursor in a table: { table, row, col } (row 0 = header,
+// the delimiter line counts as the header row)
+function tableCursor(state) {
+  const { head } = state.selection.main;
+  const node = findTableNode(state, head);
+  if (!node) return null;
+  const table = readTable(state, node);
+  const line = state.doc.lineAt(head);
+  const lineIndex = line.number - table.startLine;
+  const row = lineIndex <= 1 ? 0 : lineIndex - 1;
+  const offset = head - line.from;
+  const cells = splitTableRow(line.text);
+  let col = 0;
+  cells.forEach((cell, i) => {
+    if (offset >= cell.from) col = i;
+  });
+  return { table, row, col: Math.min(col, table.aligns.length - 1) };
+}
+
+// Replace the table with its realigned text and select cell (row, col)
+function applyTable(view, table, row, col) {
+  const { text, cells } = formatTable(table);
+  const target = cells[Math.min(row, cells.length - 1)][col];
+  view.dispatch({
+    changes: { from: table.from, to: table.to, insert: text },
+    selection: EditorSelection.single(table.from + target.from, table.from + target.to),
+    scrollIntoView: true,
+    userEvent: 'input.table',
+  });
+  return true;
+}
+
+// Wrap a table command: (view, table, row, col) => boolean, only in tables
+function tableCommand(fn) {
+  return (view) => {
+    const at = tableCursor(view.state);
+    if (!at) return false;
+    return fn(view, at.table, at.row, at.col);
+  };
+}
+
+const nextTableCell = tableCommand((view, table, row, col) => {
+  const columns = table.aligns.length;
+  if (col + 1 < columns) return applyTable(view, table, row, col + 1);
+  if (row >= table.rows.length) table.rows.push(new Array(columns).fill(''));
+  return applyTable(view, table, row + 1, 0);
+});
+
+const prevTableCell = tableCommand((view, table, row, col) => {
+  if (col > 0) return applyTable(view, table, row, col - 1);
+  if (row > 0) return applyTable(view, table, row - 1, table.aligns.length - 1);
+  return applyTable(view, table, 0, 0);
+});
+
+const realignTable = tableCommand((view, table, row, col) =>
+  applyTable(view, table, row, col));
+
+const addTableRowBelow = tableCommand((view, table, row, col) => {
+  table.rows.splice(row, 0, new Array(table.aligns.length).fill(''));
+  return applyTable(view, table, row + 1, col);
+});
+
+const addTableColumnAfter = tableCommand((view, table, row, col) => {
+  table.aligns.splice(col + 1, 0, null);
+  table.header.splice(col + 1, 0, '');
+  for (const r of table.rows) r.splice(col + 1, 0, '');
+  return applyTable(view, table, row, col + 1);
+});
+
+const deleteTableRow = tableCommand((view, table, row, col) => {
+  if (row === 0) return true; // the header row can't be removed
+  table.rows.splice(row - 1, 1);
+  return applyTable(view, table, Math.min(row, table.rows.length), col);
+});
+
+const deleteTableColumn = tableCommand((view, table, row, col) => {
+  if (table.aligns.length <= 1) return true;
+  table.aligns.splice(col, 1);
+  table.header.splice(col, 1);
+  for (const r of table.rows) r.splice(col, 1);
+  return applyTable(view, table, row, Math.min(col, table.aligns.length - 1));
+});
+
+const tableKeymap = [
+  { key: 'Tab', run: nextTableCell },
+  { key: 'Shift-Tab', run: prevTableCell },
+  { key: 'Mod-Alt-f', run: realignTable },
+  { key: 'Mod-Alt-ArrowDown', run: addTableRowBelow },
+  { key: 'Mod-Alt-ArrowRight', run: addTableColumnAfter },
+  { key: 'Mod-Alt-Backspace', run: deleteTableRow },
+  { key: 'Mod-Alt-Shift-Backspace', run: deleteTableColumn },
+];
+
+class TableWidget extends WidgetType {
+  constructor(table, source) {
+    super();
+    this.table = table;
+    this.source = source;
+  }
+
+  eq(other) { return other.source === this.source; }
+
+  get estimatedHeight() {
+    return (this.table.rows.length + 1) * 28;
+  }
+
+  toDOM(view) {
+    const wrap = document.createElement('div');
+    wrap.className = 'cm-table-widget';
+    const tableEl = document.createElement('table');
+
+    const addRow = (parent, values, row, tag) => {
+      const tr = document.createElement('tr');
+      for (let c = 0; c < this.table.aligns.length; c++) {
+        const cell = document.createElement(tag);
+        cell.textContent = (values[c] || '').replace(/\\\|/g, '|');
+        if (this.table.aligns[c]) cell.style.textAlign = this.table.aligns[c];
+        // Click a cell to edit it in place: put the cursor in its source cell
+        cell.addEventListener('mousedown', (e) => {
+          e.preventDefault();
+          this.editCell(view, wrap, row, c);
+        });
+        tr.appendChild(cell);
+      }
+      parent.appendChild(tr);
+    };
+
+    const thead = document.createElement('thead');
+    addRow(thead, this.table.header, 0, 'th');
+    tableEl.appendChild(thead);
+    const tbody = document.createElement('tbody');
+    this.table.rows.forEach((values, i) => addRow(tbody, values, i + 1, 'td'));
+    tableEl.appendChild(tbody);
+    wrap.appendChild(tableEl);
+    return wrap;
+  }
+
+  // Positions may have shifted since toDOM (eq keeps the DOM), so resolve
+  // the source cell from the widget's current position
+  editCell(view, dom, row, col) {
+    const pos = view.posAtDOM(dom);
+    const line = view.state.doc.lineAt(pos);
+    const target = view.state.doc.line(Math.min(line.number + (row === 0 ? 0 : row + 1), view.state.doc.lines));
+    const cell = splitTableRow(target.text)[col];
+    // End of the cell's text, before its padding
+    const anchor = cell
+      ? target.from + cell.from + target.text.slice(cell.from, cell.to).trimEnd().length
+      : target.to;
+    view.dispatch({ selection: { anchor } });
+    view.focus();
+  }
+
+  ignoreEvent() { return true; }
+}
+
+function collectTables(state) {
+  const tables = [];
+  syntaxTree(state).iterate({
+    enter(node) {
+      if (leafBlocks.has(node.name) || node.name === 'FencedCode') return false;
+      if (node.name !== 'Table') return;
+      tables.push(readTable(state, node));
+      return false;
+    },
+  });
+  return tables;
+}
+
+function buildTableDecorations(state, tables) {
+  const widgets = [];
+  const { from: curFrom, to: curTo } = state.selection.main;
+
+  function cursorInside(from, to) {
+    if (fullyRendered()) return false;
+    return curFrom >= from && curTo <= to;
+  }
+
+  for (const table of tables) {
+    if (cursorInside(table.from, table.to)) continue;
+    widgets.push(
+      Decoration.replace({
+        widget: new TableWidget(table, state.sliceDoc(table.from, table.to)),
+        block: true,
+      }).range(table.from, table.to)
+    );
+  }
+
+  return Decoration.set(widgets, true);
+}
+
+// Value: { tables, decorations } — like diagramRenderField, the tables are
+// only re-read when the document or its syntax tree changes, so moving the
+// cursor just re-decides which one is unfolded
+const tableRenderField = StateField.define({
+  create(state) {
+    const tables = collectTables(state);
+    return { tables, decorations: buildTableDecorations(state, tables) };
+  },
+  update(value, tr) {
+    const treeChanged = syntaxTree(tr.state) !== syntaxTree(tr.startState);
+    if (!tr.docChanged && !treeChanged && !tr.selection && !changesViewMode(tr)) return value;
+    const tables = tr.docChanged || treeChanged ? collectTables(tr.state) : value.tables;
+    if (!tables.length && !value.tables.length) return value;
+    return { tables, decorations: buildTableDecorations(tr.state, tables) };
+  },
+  provide(field) {
+    return EditorView.decorations.from(field, (value) => value.decorations);
+  },
+});
+
+// ─── List editing ──────────────────────────────────────────────────────────
+// Enter continues list markers (bullets, numbers, task boxes) via
+// lang-markdown's insertNewlineContinueMarkup; Enter on an empty item drops
+// the marker instead. Tab/Shift-Tab nest and un-nest items (with their
+// children), and ordered lists are renumbered after edits.
+
+function listItemAt(state, pos) {
+  for (let node = syntaxTree(state).resolveInner(pos, -1); node; node = node.parent) {
+    if (node.name === 'ListItem') return node;
+  }
+  return null;
+}
+
+// Column where an item's content starts: nested items line up with it
+function listContentColumn(state, item) {
+  const mark = item.getChild('ListMark');
+  const line = state.doc.lineAt(item.from);
+  if (!mark) return item.from - line.from;
+  const after = /^[ \t]*/.exec(state.sliceDoc(mark.to, line.to))[0].length;
+  return mark.to - line.from + Math.max(1, Math.min(after, 4));
+}
+
+function leadingSpaces(text) {
+  return /^[ \t]*/.exec(text)[0].length;
+}
+
+// Shift every line of an item (children included) by delta columns
+function shiftItemLines(state, item, delta, changes, seen) {
+  const first = state.doc.lineAt(item.from).number;
+  const last = state.doc.lineAt(item.to).number;
+  for (let n = first; n <= last; n++) {
+    if (seen.has(n)) continue;
+    seen.add(n);
+    const line = state.doc.line(n);
+    if (!line.text.trim()) continue;
+    if (delta > 0) {
+      changes.push({ from: line.from, insert: ' '.repeat(delta) });
+    } else {
+      const remove = Math.min(-delta, leadingSpaces(line.text));
+      if (remove) changes.push({ from: line.from, to: line.from + remove });
+    }
+  }
+}
+
+// Items touched by the selection (outermost only — children move along)
+function selectedListItems(state) {
+  const items = [];
+  for (const range of state.selection.ranges) {
+    const firstLine = state.doc.lineAt(range.from).number;
+    const lastLine = state.doc.lineAt(range.to).number;
+    for (let n = firstLine; n <= lastLine; n++) {
+      const line = state.doc.line(n);
+      const item = listItemAt(state, line.from + leadingSpaces(line.text) + 1);
+      if (!item || items.some((i) => i.from <= item.from && i.to >= item.to)) continue;
+      items.push(item);
+    }
+  }
+  return items;
+}
+
+function indentListItem(view) {
+  const { state } = view;
+  const items = selectedListItems(state);
+  if (!items.length) return false;
+
+  const changes = [];
+  const seen = new Set();
+  for (const item of items) {
+    const prev = item.prevSibling;
+    if (!prev || prev.name !== 'ListItem') continue; // first item can't nest
+    const delta = listContentColumn(state, prev) - leadingSpaces(state.doc.lineAt(item.from).text);
+    if (delta <= 0) continue;
+    // Starting a new sublist — number it from 1
+    const mark = item.getChild('ListMark');
+    const nested = prev.lastChild && /List$/.test(prev.lastChild.name);
+    if (mark && !nested) {
+      const num = /^\d+/.exec(state.sliceDoc(mark.from, mark.to));
+      if (num && num[0] !== '1') changes.push({ from: mark.from, to: mark.from + num[0].length, insert: '1' });
+    }
+    shiftItemLines(state, item, delta, changes, seen);
+  }
+  // Swallow Tab even when nothing moved so focus stays in the editor
+  if (changes.length) view.dispatch({ changes, userEvent: 'indent.more' });
+  return true;
+}
+
+function outdentListItem(view) {
+  const { state } = view;
+  const items = selectedListItems(state);
+  if (!items.length) return false;
+
+  const changes = [];
+  const seen = new Set();
+  for (const item of items) {
+    const parentItem = item.parent && item.parent.parent;
+    if (!parentItem || parentItem.name !== 'ListItem') continue; // already top level
+    const indent = leadingSpaces(state.doc.lineAt(item.from).text);
+    const target = leadingSpaces(state.doc.lineAt(parentItem.from).text);
+    if (indent > target) shiftItemLines(state, item, target - indent, changes, seen);
+  }
+  if (changes.length) view.dispatch({ changes, userEvent: 'indent.less' });
+  return true;
+}
+
+// Enter: an item with nothing but its marker ends the list (or un-nests it)
+function continueListItem(view) {
+  const { state } = view;
+  const range = state.selection.main;
+  if (state.selection.ranges.length === 1 && range.empty) {
+    const line = state.doc.lineAt(range.head);
+    const empty = /^([ \t]*)([-*+]|\d+[.)])( \[[ xX]\])?[ \t]*$/.exec(line.text);
+    const item = empty && range.head === line.to ? listItemAt(state, range.head) : null;
+    if (item) {
+      const parentItem = item.parent && item.parent.parent;
+      if (parentItem && parentItem.name === 'ListItem') return outdentListItem(view);
+      view.dispatch({
+        changes: { from: line.from, to: line.to },
+        selection: { anchor: line.from },
+        userEvent: 'delete',
+      });
+      return true;
+    }
+  }
+  return insertNewlineContinueMarkup(view);
+}
+
+// Changes that make every touched ordered list count up from its first number
+function renumberOrderedLists(state, ranges) {
+  const changes = [];
+  const lists = new Set();
+  for (const { from, to } of ranges) {
+    for (const pos of [from, to]) {
+      for (let node = syntaxTree(state).resolveInner(pos, 0); node; node = node.parent) {
+        if (node.name === 'OrderedList') lists.add(node.node);
+        if (node.name === 'ListItem' && node.lastChild && node.lastChild.name === 'OrderedList') {
+          lists.add(node.lastChild);
+        }
+      }
+    }
+  }
+  for (const list of lists) {
+    let expected = null;
+    for (let item = list.firstChild; item; item = item.nextSibling) {
+      if (item.name !== 'ListItem') continue;
+      const mark = item.getChild('ListMark');
+      if (!mark) continue;
+      const num = /^\d+/.exec(state.sliceDoc(mark.from, mark.to));
+      if (!num) continue;
+      if (expected === null) {
+        expected = parseInt(num[0], 10);
+      } else if (parseInt(num[0], 10) !== expected) {
+        changes.push({ from: mark.from, to: mark.from + num[0].length, insert: String(expected) });
+      }
+      expected++;
+    }
+  }
+  return changes;
+}
+
+// Renumber after user edits (typing, deleting, indenting) — not undo/redo
+const renumberListsFilter = EditorState.transactionFilter.of((tr) => {
+  if (!tr.docChanged) return tr;
+  if (!(tr.isUserEvent('input') || tr.isUserEvent('delete') || tr.isUserEvent('indent'))) return tr;
+  const ranges = [];
+  tr.changes.iterChangedRanges((fromA, toA, fromB, toB) => ranges.push({ from: fromB, to: toB }));
+  const changes = renumberOrderedLists(tr.state, ranges);
+  if (!changes.length) return tr;
+  return [tr, { changes, sequential: true }];
+});
+
+const listKeymap = [
+  { key: 'Enter', run: continueListItem },
+  { key: 'Backspace', run: deleteMarkupBackward },
+  { key: 'Tab', run: indentListItem },
+  { key: 'Shift-Tab', run: outdentListItem },
+];
+
+// ─── Outline & folding ─────────────────────────────────────────────────────
+// lang-markdown supplies the fold ranges (heading sections, fenced code,
+// blockquotes, tables); we add the gutter markers and an outline API so
+// Swift can build a heading menu for long notes.
+
+const foldMarkers = foldGutter({
+  markerDOM(open) {
+    const span = document.createElement('span');
+    span.className = open ? 'cm-fold-marker cm-fold-open' : 'cm-fold-marker cm-fold-closed';
+    span.textContent = open ? '▾' : '▸';
+    return span;
+  },
+});
+
+// Flat heading list in document order: { level, text, pos, line }
+function collectHeadings(state) {
+  const headings = [];
+  syntaxTree(state).iterate({
+    enter(node) {
+      const m = /^(?:ATX|Setext)Heading(\d)$/.exec(node.name);
+      if (!m) return;
+      const line = state.doc.lineAt(node.from);
+      const text = state.sliceDoc(node.from, node.to)
+        .split('\n')[0]
+        .replace(/^\s*#{1,6}\s*/, '')
+        .replace(/\s+#+\s*$/, '')
+        .trim();
+      headings.push({ level: Number(m[1]), text, pos: node.from, line: line.number });
+      return false;
+    },
+  });
+  return headings;
+}
+
+// Nest headings by level: each entry gets children[]
+function buildOutline(headings) {
+  const root = { level: 0, children: [] };
+  const stack = [root];
+  for (const h of headings) {
+    const entry = { ...h, children: [] };
+    while (stack[stack.length - 1].level >= h.level) stack.pop();
+    stack[stack.length - 1].children.push(entry);
+    stack.push(entry);
+  }
+  return root.children;
+}
+
+// Heading tree for the current note (called from Swift's outline menu)
+editorAPI.getOutline = function () {
+  if (!editorView) return [];
+  return buildOutline(collectHeadings(editorView.state));
+};
+
+// Move to a heading from the outline: unfold anything hiding it, scroll it to the top
+editorAPI.jumpToHeading = function (pos) {
+  if (!editorView) return;
+  const state = editorView.state;
+  const safePos = Math.min(Math.max(0, pos), state.doc.length);
+  const effects = [];
+  foldedRanges(state).between(safePos, safePos, (from, to) => {
+    if (from < safePos && to > safePos) effects.push(unfoldEffect.of({ from, to }));
+  });
+  const anchor = state.doc.lineAt(safePos).to;
+  effects.push(EditorView.scrollIntoView(anchor, { y: 'start', yMargin: 36 }));
+  editorView.dispatch({ selection: { anchor }, effects });
+  editorView.focus();
+};
+
+// ─── HighlightStyle (fallback token colours) ───────────────────────────────
+// Colours are CSS variables set by the active palette (see Appearance & themes).
+
+const markdownHighlightStyle = HighlightStyle.define([
+  { tag: t.heading, fontWeight: 'bold', textDecoration: 'none' },
+  { tag: t.strong, fontWeight: 'bold' },
+  { tag: t.emphasis, fontStyle: 'italic' },
+  { tag: t.link, color: 'var(--md-link)' },
+  { tag: t.monospace, fontFamily: 'Monaco, Menlo, monospace' },
+  { tag: t.quote, color: 'var(--md-muted)', fontStyle: 'italic' },
+]);
+
+// Code block tokens: the same rules as @codemirror/language's
+// defaultHighlightStyle (the light palette keeps its colours)
+const codeHighlightStyle = HighlightStyle.define([
+  { tag: t.meta, color: 'var(--hl-meta)' },
+  { tag: t.link, textDecoration: 'underline' },
+  { tag: t.heading, textDecoration: 'underline', fontWeight: 'bold' },
+  { tag: t.emphasis, fontStyle: 'italic' },
+  { tag: t.strong, fontWeight: 'bold' },
+  { tag: t.strikethrough, textDecoration: 'line-through' },
+  { tag: t.keyword, color: 'var(--hl-keyword)' },
+  { tag: [t.atom, t.bool, t.url, t.contentSeparator, t.labelName], color: 'var(--hl-atom)' },
+  { tag: [t.literal, t.inserted], color: 'var(--hl-literal)' },
+  { tag: [t.string, t.deleted], color: 'var(--hl-string)' },
+  { tag: [t.regexp, t.escape, t.special(t.string)], color: 'var(--hl-regexp)' },
+  { tag: t.definition(t.variableName), color: 'var(--hl-definition)' },
+  { tag: t.local(t.variableName), color: 'var(--hl-local)' },
+  { tag: [t.typeName, t.namespace], color: 'var(--hl-type)' },
+  { tag: t.className, color: 'var(--hl-class)' },
+  { tag: [t.special(t.variableName), t.macroName], color: 'var(--hl-macro)' },
+  { tag: t.definition(t.propertyName), color: 'var(--hl-property)' },
+  { tag: t.comment, color: 'var(--hl-comment)' },
+  { tag: t.invalid, color: 'var(--hl-invalid)' },
+]);
+
+// ─── Slash commands ────────────────────────────────────────────────────────
+// Typing "/" at the start of a line opens a filterable menu of blocks. Each
+// entry is a snippet: ${placeholders} are tab-stops (Tab / Shift-Tab move
+// between them, Escape leaves). "Code block" opens a second menu with the
+// fence languages the editor highlights (staticLanguages + diagrams).
+
+const slashCommandRe = /^[ \t]*\/[\w-]*$/;
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Local date / time stamps: 2024-05-31, 14:05
+function dateStamp(date = new Date()) {
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+}
+
+function timeStamp(date = new Date()) {
+  return `${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+}
+
+// Insert a stamp, made when the entry is picked, in place of the "/query"
+function insertStamp(make) {
+  return (view, completion, from, to) => {
+    const text = make();
+    view.dispatch({
+      changes: { from, to, insert: text },
+      selection: { anchor: from + text.length },
+      userEvent: 'input.complete',
+    });
+  };
+}
+
+// "---" needs a blank line above, or it turns the paragraph into a heading
+function insertHorizontalRule(view, completion, from, to) {
+  const line = view.state.doc.lineAt(from);
+  const prev = line.number > 1 ? view.state.doc.line(line.number - 1) : null;
+  const insert = (prev && prev.text.trim() ? '\n' : '') + '---\n';
+  view.dispatch({
+    changes: { from, to, insert },
+    selection: { anchor: from + insert.length },
+    userEvent: 'input.complete',
+  });
+}
+
+// Insert an empty fence and ask for its language
+function insertCodeBlock(view, completion, from, to) {
+  view.dispatch({
+    changes: { from, to, insert: '```\n\n```' },
+    selection: { anchor: from + 3 },
+    userEvent: 'input.complete',
+  });
+  startCompletion(view);
+}
+
+const slashCommands = [
+  ...[1, 2, 3, 4, 5, 6].map((level) => snippetCompletion(`${'#'.repeat(level)} \${Heading}`, {
+    label: `Heading ${level}`, detail: '#'.repeat(level), type: 'keyword',
+  })),
+  snippetCompletion('- [ ] ${Task}', { label: 'Task list', detail: '- [ ]', type: 'keyword' }),
+  snippetCompletion('| ${Column 1} | ${Column 2} |\n| --- | --- |\n| ${} | ${} |', {
+    label: 'Table', detail: '| |', type: 'keyword',
+  }),
+  { label: 'Code block', detail: '```', type: 'keyword', apply: insertCodeBlock },
+  snippetCompletion('$$\n${x}\n$$', { label: 'Math block', detail: '$$', type: 'keyword' }),
+  { label: 'Horizontal rule', detail: '---', type: 'keyword', apply: insertHorizontalRule },
+  { label: 'Date', detail: 'YYYY-MM-DD', type: 'text', apply: insertStamp(() => dateStamp()) },
+  { label: 'Time', detail: 'HH:MM', type: 'text', apply: insertStamp(() => timeStamp()) },
+  {
+    label: 'Date and time', detail: 'YYYY-MM-DD HH:MM', type: 'text',
+    apply: insertStamp(() => `${dateStamp()} ${timeStamp()}`),
+  },
+  ...['note', 'tip', 'warning', 'todo'].map((type) => snippetCompletion(`> [!${type}] \${Title}\n> \${}`, {
+    label: `Callout: ${type}`, detail: `[!${type}]`, type: 'keyword',
+  })),
+];
+
+// Slash menu at the start of a line
+function slashCommandCompletions(context) {
+  const before = context.matchBefore(slashCommandRe);
+  if (!before) return null;
+  return {
+    from: before.from + before.text.indexOf('/'),
+    options: slashCommands,
+    validFor: /^\/[\w-]*$/,
+  };
+}
+
+// ─── Context-aware completion ──────────────────────────────────────────────
+// One autocomplete override for the whole editor. completionScope() works
+// out where the cursor is — prose, a fence's info string, code, or math — and
+// markdownCompletions asks only the sources registered for that scope, first
+// result wins. New completions register in completionSources rather than
+// adding another override.
+
+// Ancestor of the node before pos named in `names`, or null
+function nodeBefore(state, pos, names) {
+  for (let n = syntaxTree(state).resolveInner(pos, -1); n; n = n.parent) {
+    if (names.includes(n.name)) return n;
+  }
+  return null;
+}
+
+// Whether the text before the cursor leaves a $ or $$ open — math being
+// typed has no closing delimiter yet, so there is no InlineMath node
+function opensInlineMath(textBefore) {
+  let open = null;
+  for (const [mark] of textBefore.replace(/\\\$/g, '').matchAll(/\$\$|\$/g)) {
+    if (!open) open = mark;
+    else if (open === mark) open = null;
+  }
+  return open !== null;
+}
+
+// 'fence' (the info string after ``` / ~~~), 'code', 'math' or 'text'
+function completionScope(state, pos) {
+  const node = nodeBefore(state, pos, ['FencedCode', 'CodeBlock', 'InlineCode', 'InlineMath', 'BlockMath']);
+  if (node) {
+    if (node.name === 'FencedCode') {
+      return state.doc.lineAt(node.from).number === state.doc.lineAt(pos).number ? 'fence' : 'code';
+    }
+    if (node.name === 'CodeBlock' || node.name === 'InlineCode') return 'code';
+    // Just past a closing $ / $$ is prose again; an unclosed $$ block is not
+    const marks = node.getChildren('MathMark');
+    if (pos < node.to || marks.length < 2) return 'math';
+  }
+  const line = state.doc.lineAt(pos);
+  return opensInlineMath(line.text.slice(0, pos - line.from)) ? 'math' : 'text';
+}
+
+const fenceLanguageNames = [...Object.keys(staticLanguages), ...diagramLanguages];
+
+// Language names after an opening ``` / ~~~ — the names findLanguage knows,
+// so a fence never silently falls back to plain text
+function fenceLanguageCompletions(context) {
+  const before = context.matchBefore(/^[ \t]*(?:```|~~~)[\w+#-]*$/);
+  if (!before) return null;
+  const fence = /^[ \t]*(?:```|~~~)/.exec(before.text)[0];
+  return {
+    from: before.from + fence.length,
+    options: fenceLanguageNames.map((name) => ({ label: name, type: 'type' })),
+    validFor: /^[\w+#-]*$/,
+  };
+}
+
+const emojiOptions = Object.entries(emojiShortcodes).map(([name, emoji]) => ({
+  label: `:${name}:`, detail: emoji, type: 'text',
+}));
+
+// Emoji shortcodes after ":" plus two characters (so "a:b" and times don't
+// pop the menu); the shortcode renders as the emoji once the cursor leaves
+function emojiCompletions(context) {
+  const before = context.matchBefore(/:[a-z0-9_+-]{2,}$/);
+  if (!before || /[\w:]/.test(context.state.sliceDoc(before.from - 1, before.from))) return null;
+  return { from: before.from, options: emojiOptions, validFor: /^:[a-z0-9_+-]*$/ };
+}
+
+const katexSymbols = [
+  'alpha', 'beta', 'gamma', 'delta', 'epsilon', 'varepsilon', 'zeta', 'eta', 'theta',
+  'vartheta', 'iota', 'kappa', 'lambda', 'mu', 'nu', 'xi', 'pi', 'rho', 'sigma', 'tau',
+  'upsilon', 'phi', 'varphi', 'chi', 'psi', 'omega', 'Gamma', 'Delta', 'Theta', 'Lambda',
+  'Xi', 'Pi', 'Sigma', 'Phi', 'Psi', 'Omega',
+  'cdot', 'times', 'div', 'pm', 'mp', 'leq', 'geq', 'neq', 'approx', 'equiv', 'sim',
+  'propto', 'infty', 'partial', 'nabla', 'forall', 'exists', 'in', 'notin', 'subset',
+  'subseteq', 'cup', 'cap', 'emptyset', 'to', 'rightarrow', 'leftarrow', 'Rightarrow',
+  'Leftrightarrow', 'mapsto', 'ldots', 'cdots', 'quad', 'qquad',
+  'sin', 'cos', 'tan', 'log', 'ln', 'exp', 'max', 'min', 'det',
+];
+
+const katexCommands = [
+  ['frac', '\\frac{${num}}{${den}}'],
+  ['dfrac', '\\dfrac{${num}}{${den}}'],
+  ['sqrt', '\\sqrt{${x}}'],
+  ['binom', '\\binom{${n}}{${k}}'],
+  ['sum', '\\sum_{${i=1}}^{${n}}'],
+  ['prod', '\\prod_{${i=1}}^{${n}}'],
+  ['int', '\\int_{${a}}^{${b}}'],
+  ['lim', '\\lim_{${x \\to \\infty}}'],
+  ['left', '\\left(${} \\right)'],
+  ['text', '\\text{${}}'],
+  ['mathbf', '\\mathbf{${}}'],
+  ['mathrm', '\\mathrm{${}}'],
+  ['mathbb', '\\mathbb{${R}}'],
+  ['mathcal', '\\mathcal{${}}'],
+  ['operatorname', '\\operatorname{${name}}'],
+  ['vec', '\\vec{${v}}'],
+  ['hat', '\\hat{${x}}'],
+  ['bar', '\\bar{${x}}'],
+  ['overline', '\\overline{${}}'],
+  ['underbrace', '\\underbrace{${}}_{${}}'],
+];
+
+const katexEnvironments = [
+  'matrix', 'pmatrix', 'bmatrix', 'Bmatrix', 'vmatrix', 'Vmatrix', 'smallmatrix',
+  'cases', 'rcases', 'aligned', 'gathered', 'array',
+];
+
+// Environments go on their own lines in a $$ block and stay on one line
+// inline, where a newline would end the formula
+function katexOptions(block) {
+  const body = block ? '\n\t${}\n' : ' ${} ';
+  return [
+    ...katexSymbols.map((name) => ({ label: `\\${name}`, type: 'constant' })),
+    ...katexCommands.map(([name, template]) => snippetCompletion(template, { label: `\\${name}`, type: 'function' })),
+    ...katexEnvironments.map((env) => snippetCompletion(
+      `\\begin{${env}}${env === 'array' ? '{${cc}}' : ''}${body}\\end{${env}}`,
+      { label: `\\begin{${env}}`, type: 'keyword' },
+    )),
+  ];
+}
+
+const katexInlineOptions = katexOptions(false);
+const katexBlockOptions = katexOptions(true);
+
+// KaTeX commands and environments after "\" inside $...$ / $$...$$
+function katexCompletions(context) {
+  const before = context.matchBefore(/\\(?:begin\{[\w*]*|[a-zA-Z]*)$/);
+  if (!before || (before.text === '\\' && !context.explicit)) return null;
+  const block = nodeBefore(context.state, context.pos, ['BlockMath']);
+  return {
+    from: before.from,
+    options: block ? katexBlockOptions : katexInlineOptions,
+    validFor: /^\\(?:begin\{[\w*]*|[a-zA-Z]*)$/,
+  };
+}
+
+const completionSources = [
+  { scopes: ['text'], source: wikiLinkCompletions },
+  { scopes: ['text'], source: slashCommandCompletions },
+  { scopes: ['text'], source: emojiCompletions },
+  { scopes: ['fence'], source: fenceLanguageCompletions },
+  { scopes: ['math'], source: katexCompletions },
+];
+
+function markdownCompletions(context) {
+  const scope = completionScope(context.state, context.pos);
+  for (const { scopes, source } of completionSources) {
+    if (!scopes.includes(scope)) continue;
+    const result = source(context);
+    if (result) return result;
+  }
+  return null;
 }
 
-const markdownDecoPlugin = ViewPlugin.fromClass(
-  class {
-    constructor(view) {
-      this.decorations = buildMarkdownDecos(view);
-    }
-    update(update) {
-      if (update.docChanged || update.viewportChanged || update.selectionSet) {
-        this.decorations = buildMarkdownDecos(update.view);
-      }
-    }
-  },
-  { decorations: (v) => v.decorations }
-);
-
-// ─── StateField: Math rendering ────────────────────────────────────────────
+// ─── Formatting Keymap ─────────────────────────────────────────────────────
+// Navigation keybindings (Cmd+Arrow, Cmd+Shift+Arrow, Opt+Arrow, etc.) are
+// already provided by CodeMirror's defaultKeymap. We only add markdown
+// formatting shortcuts here.
 //
-// Uses StateField (not ViewPlugin) because block math $$...$$ can span
-// multiple lines, and only StateField can do multiline Decoration.replace().
-// Also uses the syntax tree to avoid matching $ inside code blocks.
+// Shortcuts toggle: if a selection already sits inside the matching syntax
+// node (per the syntax tree) its markers are removed, otherwise it's wrapped.
+// Every selection range is handled, so multi-cursor formatting works.
+
+// Innermost node named `name` that contains [from, to]
+function enclosingNode(state, from, to, name) {
+  for (let node = syntaxTree(state).resolveInner(from, 1); node; node = node.parent) {
+    if (node.name === name && node.from <= from && node.to >= to) return node;
+  }
+  // An empty cursor right before the closing marker resolves to the left
+  for (let node = syntaxTree(state).resolveInner(to, -1); node; node = node.parent) {
+    if (node.name === name && node.from <= from && node.to >= to) return node;
+  }
+  return null;
+}
 
+// Changes removing a node's opening and closing marker children
+function unwrapChanges(node, markName) {
+  const open = node.firstChild;
+  const close = node.lastChild;
+  if (!open || !close || open.name !== markName || close.name !== markName || open.from === close.from) {
+    return null;
+  }
+  return [{ from: open.from, to: open.to }, { from: close.from, to: close.to }];
+}
 
-function collectCodeRanges(state) {
-  const ranges = [];
-  syntaxTree(state).iterate({
-    enter(node) {
-      if (node.name === 'FencedCode' || node.name === 'InlineCode') {
-        ranges.push({ from: node.from, to: node.to });
+function toggleMarkup(nodeName, markName, before, after = before) {
+  return (view) => {
+    const { state } = view;
+    view.dispatch(state.changeByRange((range) => {
+      const node = enclosingNode(state, range.from, range.to, nodeName);
+      const unwrap = node && unwrapChanges(node, markName);
+      if (unwrap) {
+        const changes = state.changes(unwrap);
+        return {
+          changes,
+          range: EditorSelection.range(changes.mapPos(range.anchor, 1), changes.mapPos(range.head, 1)),
+        };
       }
-    },
-  });
-  return ranges;
+      return {
+        changes: [{ from: range.from, insert: before }, { from: range.to, insert: after }],
+        range: EditorSelection.range(range.anchor + before.length, range.head + before.length),
+      };
+    }), { userEvent: 'input.format', scrollIntoView: true });
+    return true;
+  };
 }
 
-function isInsideCode(pos, ranges) {
-  return ranges.some((r) => pos >= r.from && pos < r.to);
+const urlRe = /^(https?:\/\/|mailto:)\S+$/i;
+
+// Pending Cmd+K insert waiting for Swift's clipboard reply
+let pendingLinkPaste = null;
+
+// Cmd+K: unwrap an existing link, or wrap the selection as [text](url).
+// A selected URL becomes the link target; otherwise "url" is selected for
+// typing and replaced by the clipboard if it holds a URL.
+function toggleLink(view) {
+  const { state } = view;
+  let placeholders = false;
+  const tr = state.update(state.changeByRange((range) => {
+    const link = enclosingNode(state, range.from, range.to, 'Link');
+    const marks = link ? link.getChildren('LinkMark') : [];
+    if (link && marks.length >= 2) {
+      const text = state.sliceDoc(marks[0].to, marks[1].from);
+      return {
+        changes: { from: link.from, to: link.to, insert: text },
+        range: EditorSelection.range(link.from, link.from + text.length),
+      };
+    }
+
+    const sel = state.sliceDoc(range.from, range.to);
+    if (urlRe.test(sel)) {
+      return {
+        changes: { from: range.from, to: range.to, insert: `[](${sel})` },
+        range: EditorSelection.cursor(range.from + 1),
+      };
+    }
+    placeholders = true;
+    const urlFrom = range.from + sel.length + 3;
+    return {
+      changes: { from: range.from, to: range.to, insert: `[${sel}](url)` },
+      range: EditorSelection.range(urlFrom, urlFrom + 3),
+    };
+  }), { userEvent: 'input.format', scrollIntoView: true });
+  view.dispatch(tr);
+
+  if (placeholders) {
+    const pending = { doc: view.state.doc, selection: view.state.selection };
+    pendingLinkPaste = pending;
+    bridge.request('readClipboard')
+      .then((text) => fillLinkFromClipboard(pending, text))
+      .catch(() => { if (pendingLinkPaste === pending) pendingLinkPaste = null; });
+  }
+  return true;
 }
 
-function buildMathDecorations(state) {
-  const widgets = [];
-  const text = state.doc.toString();
-  const codeRanges = collectCodeRanges(state);
-  const { from: curFrom, to: curTo } = state.selection.main;
-  let match;
+// Swift's clipboard text. Only fills the "url" placeholders if the user
+// hasn't typed or moved since Cmd+K.
+function fillLinkFromClipboard(pending, text) {
+  if (pendingLinkPaste !== pending) return;
+  pendingLinkPaste = null;
+  const url = (text || '').trim();
+  if (!editorView || !urlRe.test(url)) return;
+  const { state } = editorView;
+  if (state.doc !== pending.doc || !state.selection.eq(pending.selection)) return;
+
+  editorView.dispatch(state.changeByRange((range) => {
+    if (state.sliceDoc(range.from, range.to) !== 'url') return { range };
+    return {
+      changes: { from: range.from, to: range.to, insert: url },
+      range: EditorSelection.cursor(range.from + url.length + 1), // after ")"
+    };
+  }), { userEvent: 'input.paste' });
+}
 
-  function cursorInside(from, to) {
-    if (snapshotMode) return false;
-    return curFrom >= from && curTo <= to;
-  }
+// Pre-protocol reply to readClipboard
+editorAPI.receiveClipboard = function (id, text) {
+  bridge.respond(id, { result: text ?? '' });
+};
 
-  // 1. Block math: $$...$$  (multiline ok)
-  // Overlay approach with animation: always render, toggle class for cursor state
-  const blockRe = /\$\$[\s\S]*?\$\$/g;
-  while ((match = blockRe.exec(text)) !== null) {
-    if (isInsideCode(match.index, codeRanges)) continue;
-    const mFrom = match.index, mTo = mFrom + match[0].length;
-    const formula = match[0].slice(2, -2).trim();
-    if (!formula) continue;
+const formattingKeymap = [
+  { key: 'Mod-b', run: toggleMarkup('StrongEmphasis', 'EmphasisMark', '**') },
+  { key: 'Mod-i', run: toggleMarkup('Emphasis', 'EmphasisMark', '*') },
+  { key: 'Mod-k', run: toggleLink },
+  { key: 'Mod-e', run: toggleMarkup('InlineCode', 'CodeMark', '`') },
+  { key: 'Mod-Shift-x', run: toggleMarkup('Strikethrough', 'StrikethroughMark', '~~') },
+  { key: 'Mod-Shift-h', run: toggleMarkup('Highlight', 'HighlightMark', '==') },
+  { key: 'Mod-s', run: () => { sendToBridge('requestSave'); return true; } },
+];
 
-    const isEditing = cursorInside(mFrom, mTo);
+// ─── Keybinding modes (vim / emacs) ────────────────────────────────────────
+// editorAPI.setKeybindingMode('vim' | 'emacs' | 'default'). The mode lives in a
+// compartment of every note's EditorState, and withKeybindingMode() brings
+// cached per-note states up to date before they're shown.
+// Vim passes keys it doesn't bind through to the other keymaps, so insert
+// mode keeps list continuation, formatting shortcuts and blockMathNavKeymap's
+// arrow keys over rendered math. In normal mode j/k walk the source lines
+// instead, which unfolds math and diagrams under the cursor like any other
+// cursor move.
+
+const keybindingCompartment = new Compartment();
+let keybindingMode = 'default';
+
+const vimModeLabels = { normal: 'NORMAL', insert: 'INSERT', visual: 'VISUAL', replace: 'REPLACE' };
+
+// Mode badge in the editor's bottom-right corner
+const vimModeIndicator = ViewPlugin.fromClass(class {
+  constructor(view) {
+    this.dom = document.createElement('div');
+    this.dom.className = 'cm-vim-mode';
+    view.dom.appendChild(this.dom);
+    this.show({ mode: 'normal' });
+    this.cm = getCM(view);
+    this.onModeChange = (e) => this.show(e);
+    this.cm?.on('vim-mode-change', this.onModeChange);
+  }
 
-    // When editing: skip ALL decorations — lines stay normal (no spacing jump)
-    // When not editing: overlay pattern with adjusted line-height
-    if (!isEditing) {
-      const measuredHeight = measureMathHeight(formula, true);
-      const startLine = state.doc.lineAt(mFrom);
-      const endLine = state.doc.lineAt(mTo);
-      const lineCount = endLine.number - startLine.number + 1;
-      const minLineHeight = 22;
-      const lineHeight = Math.max(Math.ceil(measuredHeight / lineCount), minLineHeight);
-      const totalHeight = lineHeight * lineCount;
+  show({ mode, subMode }) {
+    const label = vimModeLabels[mode] || String(mode).toUpperCase();
+    this.dom.textContent = subMode ? `${label} ${subMode === 'linewise' ? 'LINE' : 'BLOCK'}` : label;
+    this.dom.dataset.mode = mode;
+  }
 
-      for (let i = startLine.number; i <= endLine.number; i++) {
-        const line = state.doc.line(i);
-        widgets.push(
-          Decoration.line({
-            attributes: {
-              style: `line-height:${lineHeight}px;height:${lineHeight}px;`,
-              class: 'cm-math-source-line',
-            },
-          }).range(line.from)
-        );
-      }
+  destroy() {
+    this.cm?.off('vim-mode-change', this.onModeChange);
+    this.dom.remove();
+  }
+});
 
-      widgets.push(
-        Decoration.widget({
-          widget: new MathOverlayWidget(formula, totalHeight),
-          side: -1,
-        }).range(startLine.from)
-      );
+// Split ":s" arguments ("/pattern/replacement/flags") on their separator
+function splitSubstitute(arg) {
+  const sep = arg[0];
+  const parts = [''];
+  for (let i = 1; i < arg.length; i++) {
+    const ch = arg[i];
+    if (ch === '\\' && i + 1 < arg.length) {
+      i++;
+      parts[parts.length - 1] += arg[i] === sep ? sep : ch + arg[i];
+    } else if (ch === sep && parts.length < 3) {
+      parts.push('');
+    } else {
+      parts[parts.length - 1] += ch;
     }
   }
+  return parts;
+}
 
-  // 2. Inline math: $...$  (single line, not $$)
-  // Use Decoration.replace() - true crossfade not possible for inline elements
-  const inlineRe = /(?<!\$)\$(?!\$)([^\$\n]+?)\$(?!\$)/g;
-  while ((match = inlineRe.exec(text)) !== null) {
-    if (isInsideCode(match.index, codeRanges)) continue;
-    const mFrom = match.index, mTo = mFrom + match[0].length;
-    if (cursorInside(mFrom, mTo)) continue; // show raw source
-    const formula = match[1].trim();
-    if (!formula) continue;
-    const height = measureMathHeight(formula, false);
-    widgets.push(
-      Decoration.replace({
-        widget: new MathWidget(formula, false, height),
-      }).range(mFrom, mTo)
-    );
-  }
+// Vim replacement syntax (\1, &, \&, \n) → JavaScript/search panel ($1, $&)
+function vimReplacement(text) {
+  return text.replace(/\\(\d)|\\n|\\t|\\(.)|\$|&/g, (m, group, escaped) => {
+    if (group) return '$' + group;
+    if (m === '\\n') return '\n';
+    if (m === '\\t') return '\t';
+    if (escaped !== undefined) return escaped === '$' ? '$$' : escaped;
+    return m === '$' ? '$$' : '$&';
+  });
+}
 
-  return Decoration.set(widgets, true);
+function vimMessage(cm, text) {
+  const dom = document.createElement('span');
+  dom.className = 'cm-vim-message';
+  dom.textContent = text;
+  cm.openNotification(dom, { bottom: true, duration: 3000 });
 }
 
-const mathRenderField = StateField.define({
-  create(state) {
-    return buildMathDecorations(state);
-  },
-  update(decos, tr) {
-    // Rebuild on doc change OR selection change (cursor-aware unfold)
-    if (tr.docChanged || tr.selection) {
-      return buildMathDecorations(tr.state);
+// :[range]s/pattern/replacement/[flags], sharing its query with the search
+// panel: the pattern and replacement become the panel's (so Cmd+G, n and
+// the panel's Replace buttons continue from them), the "c" flag opens the
+// panel to step through matches instead of replacing, and a bare :s opens
+// it with the last pattern. Patterns are JavaScript regexps.
+function vimSubstitute(cm, params) {
+  const view = cm.cm6;
+  const { state } = view;
+  const [rawPattern = '', rawReplacement, flags = ''] = params.argString ? splitSubstitute(params.argString.trim()) : [];
+  const previous = getSearchQuery(state);
+  const pattern = rawPattern || (previous.regexp ? previous.search : '');
+  const replacement = rawReplacement === undefined ? previous.replace : vimReplacement(rawReplacement);
+  const caseSensitive = !flags.includes('i');
+
+  if (!params.argString || flags.includes('c')) {
+    if (pattern) {
+      view.dispatch({ effects: setSearchQuery.of(new SearchQuery({ search: pattern, replace: replacement, regexp: true, caseSensitive })) });
     }
-    return decos;
-  },
-  provide(field) {
-    return EditorView.decorations.from(field);
-  },
-});
+    editorAPI.openSearchWithReplace();
+    return;
+  }
+  if (!pattern) {
+    vimMessage(cm, 'No previous substitute pattern');
+    return;
+  }
 
-// ─── Block math navigation ─────────────────────────────────────────────────
-// When a block math widget is rendered (cursor outside), arrow keys should
-// jump over it instead of getting stuck.
+  let re;
+  try {
+    re = new RegExp(pattern, (caseSensitive ? '' : 'i') + (flags.includes('g') ? 'g' : ''));
+  } catch (e) {
+    vimMessage(cm, `Invalid pattern: ${pattern}`);
+    return;
+  }
+  const query = new SearchQuery({ search: pattern, replace: replacement, regexp: true, caseSensitive });
+  query.forVim = true; // vim's plugin keeps highlighting its own queries
+  // So n/N continue from the pattern. Vim has no public setter for its search
+  // query, only this testing hook; if a release drops it, n/N just keep
+  // vim's own last search.
+  const vimState = typeof Vim.getVimGlobalState_ === 'function' ? Vim.getVimGlobalState_() : null;
+  if (vimState) vimState.query = new RegExp(pattern, caseSensitive ? 'm' : 'im');
+
+  // Lines are 0-based here; no range means the cursor line
+  const first = params.line ?? state.doc.lineAt(state.selection.main.head).number - 1;
+  const last = params.lineEnd ?? first;
+  const changes = [];
+  let lastChanged = null;
+  for (let n = first + 1; n <= Math.min(last + 1, state.doc.lines); n++) {
+    const line = state.doc.line(n);
+    const next = line.text.replace(re, replacement);
+    if (next === line.text) continue;
+    changes.push({ from: line.from, to: line.to, insert: next });
+    lastChanged = line.from;
+  }
+  if (!changes.length) {
+    view.dispatch({ effects: setSearchQuery.of(query) });
+    vimMessage(cm, `Pattern not found: ${pattern}`);
+    return;
+  }
+  const changeSet = state.changes(changes);
+  view.dispatch({
+    changes: changeSet,
+    selection: { anchor: changeSet.mapPos(lastChanged, -1) },
+    effects: setSearchQuery.of(query),
+    userEvent: 'input.replace',
+  });
+}
 
-function getRenderedBlockMathRanges(state) {
-  const ranges = [];
-  const text = state.doc.toString();
-  const { from: curFrom, to: curTo } = state.selection.main;
-  const blockRe = /\$\$[\s\S]*?\$\$/g;
-  let match;
-  while ((match = blockRe.exec(text)) !== null) {
-    const mFrom = match.index, mTo = mFrom + match[0].length;
-    // Only include ranges that are actually rendered (cursor NOT inside)
-    if (!(curFrom >= mFrom && curTo <= mTo)) {
-      ranges.push({ from: mFrom, to: mTo });
-    }
+let vimConfigured = false;
+
+function vimKeybindings() {
+  if (!vimConfigured) {
+    vimConfigured = true;
+    Vim.defineEx('substitute', 's', vimSubstitute);
   }
-  return ranges;
+  return [vim(), vimModeIndicator];
 }
 
-// Helper: find if a document position is inside any rendered block math range
-function findBlockMathAt(state, pos) {
-  const ranges = getRenderedBlockMathRanges(state);
-  return ranges.find(r => pos >= r.from && pos <= r.to) || null;
+const keybindingExtensions = {
+  default: [],
+  vim: null,   // built on first use (defines the :s ex command)
+  emacs: null,
+};
+
+function keybindingExtension(mode) {
+  if (mode === 'vim') return keybindingExtensions.vim || (keybindingExtensions.vim = vimKeybindings());
+  if (mode === 'emacs') return keybindingExtensions.emacs || (keybindingExtensions.emacs = emacs());
+  return keybindingExtensions.default;
 }
 
-const blockMathNavKeymap = [
-  {
-    key: 'ArrowDown',
-    run: (view) => {
-      const { head } = view.state.selection.main;
-      const line = view.state.doc.lineAt(head);
-      if (line.number >= view.state.doc.lines) return false;
-      const nextLine = view.state.doc.line(line.number + 1);
-      const r = findBlockMathAt(view.state, nextLine.from);
-      if (!r) return false;
-      // Jump past the block math
-      const afterPos = Math.min(r.to + 1, view.state.doc.length);
-      const target = afterPos >= view.state.doc.length
-        ? view.state.doc.length
-        : view.state.doc.lineAt(afterPos).from;
-      view.dispatch({
-        selection: { anchor: target },
-        scrollIntoView: true,
-      });
-      return true;
-    },
-  },
-  {
-    key: 'ArrowUp',
-    run: (view) => {
-      const { head } = view.state.selection.main;
-      const line = view.state.doc.lineAt(head);
-      if (line.number <= 1) return false;
-      const prevLine = view.state.doc.line(line.number - 1);
-      const r = findBlockMathAt(view.state, prevLine.from);
-      if (!r) return false;
-      // Jump before the block math
-      const target = r.from === 0
-        ? 0
-        : view.state.doc.lineAt(r.from).from > 0
-          ? view.state.doc.lineAt(r.from - 1).to
-          : 0;
-      view.dispatch({
-        selection: { anchor: target },
-        scrollIntoView: true,
-      });
-      return true;
-    },
-  },
-];
+// A state configured for the current keybinding mode
+function withKeybindingMode(state) {
+  const ext = keybindingExtension(keybindingMode);
+  if (keybindingCompartment.get(state) === ext) return state;
+  return state.update({ effects: keybindingCompartment.reconfigure(ext) }).state;
+}
 
-// ─── HighlightStyle (fallback token colours) ───────────────────────────────
+editorAPI.setKeybindingMode = function (mode) {
+  keybindingMode = mode === 'vim' || mode === 'emacs' ? mode : 'default';
+  if (!editorView) return;
+  const ext = keybindingExtension(keybindingMode);
+  if (keybindingCompartment.get(editorView.state) !== ext) {
+    editorView.dispatch({ effects: keybindingCompartment.reconfigure(ext) });
+  }
+};
 
-const markdownHighlightStyle = HighlightStyle.define([
-  { tag: t.heading, fontWeight: 'bold', textDecoration: 'none' },
-  { tag: t.strong, fontWeight: 'bold' },
-  { tag: t.emphasis, fontStyle: 'italic' },
-  { tag: t.link, color: '#0969da' },
-  { tag: t.monospace, fontFamily: 'Monaco, Menlo, monospace' },
-  { tag: t.quote, color: '#656d76', fontStyle: 'italic' },
-]);
+editorAPI.getKeybindingMode = function () {
+  return keybindingMode;
+};
 
-// ─── Formatting Keymap ─────────────────────────────────────────────────────
-// Navigation keybindings (Cmd+Arrow, Cmd+Shift+Arrow, Opt+Arrow, etc.) are
-// already provided by CodeMirror's defaultKeymap. We only add markdown
-// formatting shortcuts here.
+// ─── Preview mode ──────────────────────────────────────────────────────────
+// setMode('preview') shows the note fully rendered, as snapshots are, and
+// read-only: task checkboxes still toggle (they dispatch their own change),
+// links open on a plain click, and a double-click goes back to editing with
+// the cursor where it landed. The mode belongs to the editor, not the note,
+// so it carries over note switches.
+
+const viewModeCompartment = new Compartment();
+const viewModeExtensions = {
+  edit: [],
+  preview: [EditorState.readOnly.of(true), EditorView.editable.of(false)],
+};
 
-function wrapSelection(view, before, after) {
-  const { state, dispatch } = view;
-  const { from, to } = state.selection.main;
-  const sel = state.doc.sliceString(from, to);
-  dispatch(
-    state.update({
-      changes: { from, to, insert: before + sel + after },
-      selection: { anchor: from + before.length, head: to + before.length },
-    })
-  );
+// A state configured for the current view mode
+function withViewMode(state) {
+  const ext = viewModeExtensions[editorAPI.getMode()];
+  if (viewModeCompartment.get(state) === ext) return state;
+  return state.update({ effects: [viewModeCompartment.reconfigure(ext), viewModeChanged.of(null)] }).state;
 }
 
-const formattingKeymap = [
-  { key: 'Mod-b', run: (v) => { wrapSelection(v, '**', '**'); return true; } },
-  { key: 'Mod-i', run: (v) => { wrapSelection(v, '*', '*'); return true; } },
-  { key: 'Mod-k', run: (v) => { wrapSelection(v, '[', '](url)'); return true; } },
-  { key: 'Mod-e', run: (v) => { wrapSelection(v, '`', '`'); return true; } },
-  { key: 'Mod-s', run: () => { sendToBridge('requestSave'); return true; } },
-];
+editorAPI.setMode = function (mode) {
+  const preview = mode === 'preview';
+  if (preview === previewMode) return;
+  previewMode = preview;
+  if (!editorView) return;
+  editorView.dom.classList.toggle('cm-preview-mode', preview);
+  editorView.dispatch({
+    effects: [viewModeCompartment.reconfigure(viewModeExtensions[editorAPI.getMode()]), viewModeChanged.of(null)],
+  });
+  if (preview) editorView.contentDOM.blur();
+};
+
+editorAPI.getMode = function () {
+  return previewMode ? 'preview' : 'edit';
+};
+
+// Double-click in preview: edit, with the cursor at the clicked position
+function editAtCoords(view, event) {
+  const pos = view.posAtCoords({ x: event.clientX, y: event.clientY });
+  editorAPI.setMode('edit');
+  if (pos !== null) view.dispatch({ selection: { anchor: pos }, scrollIntoView: true });
+  view.focus();
+}
 
 // ─── Theme (CSS) ───────────────────────────────────────────────────────────
+// Colours are CSS variables from the active palette (see Appearance &
+// themes). The theme stays { dark: false } for both appearances, so
+// switching never has to reconfigure the per-note EditorStates; the few
+// base-theme colours keyed on that flag are overridden below.
 
 const editorTheme = EditorView.theme({
   '&': {
-    fontSize: '14px',
+    fontSize: 'var(--md-font-size, 14px)',
     height: '100%',
-    backgroundColor: 'transparent',
-    color: '#1a1a1a',
+    backgroundColor: 'var(--md-bg)',
+    color: 'var(--md-text)',
   },
   '.cm-content': {
-    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif',
+    fontFamily: 'var(--md-font, -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif)',
     padding: '32px 16px 16px 16px',  // top: 32px for titlebar spacing
     minHeight: '100%',
-    caretColor: '#5c6ac4',
+    caretColor: 'var(--md-accent)',
   },
   '.cm-line': {
     lineHeight: '1.7',
@@ -856,7 +3769,17 @@ const editorTheme = EditorView.theme({
   },
   '.cm-scroller': { overflow: 'auto' },
   '&.cm-focused': { outline: 'none' },
-  '.cm-cursor': { borderLeftColor: '#5c6ac4' },
+  '.cm-cursor': { borderLeftColor: 'var(--md-accent)' },
+  // Base-theme colours that depend on CodeMirror's own light/dark flag
+  '.cm-selectionBackground': { background: 'var(--md-selection-blur)' },
+  '&.cm-focused > .cm-scroller > .cm-selectionLayer .cm-selectionBackground': {
+    background: 'var(--md-selection)',
+  },
+  '.cm-tooltip': {
+    backgroundColor: 'var(--md-popup-bg)',
+    border: '1px solid var(--md-popup-border)',
+    color: 'var(--md-text)',
+  },
 
   // ── Headings (line decorations → class on .cm-line) ──
   // Decoration.line() adds class to the .cm-line element
@@ -867,55 +3790,170 @@ const editorTheme = EditorView.theme({
   '.cm-heading-5': { fontSize: '1.05em', lineHeight: '1.3', fontWeight: '700', padding: '2px 0', textDecoration: 'none' },
   '.cm-heading-6': { fontSize: '1em', lineHeight: '1.3', fontWeight: '700', padding: '2px 0', textDecoration: 'none' },
 
+  // ── Fold gutter (markers appear on hover) ───────────
+  '.cm-gutters': {
+    backgroundColor: 'transparent',
+    border: 'none',
+  },
+  '.cm-foldGutter .cm-gutterElement': {
+    padding: '0 0 0 4px',
+    cursor: 'pointer',
+  },
+  '.cm-fold-marker': {
+    opacity: '0',
+    fontSize: '0.85em',
+    transition: 'opacity 0.15s',
+  },
+  '.cm-gutters:hover .cm-fold-marker, .cm-fold-closed': {
+    opacity: '0.45',
+  },
+  '.cm-foldPlaceholder': {
+    backgroundColor: 'var(--md-tint)',
+    border: 'none',
+    borderRadius: '4px',
+    padding: '0 6px',
+    margin: '0 4px',
+    color: 'inherit',
+    opacity: '0.7',
+    cursor: 'pointer',
+  },
+
   // ── Cursor line (for marker visibility) ─────────────
   '.cm-cursor-line': {
     // Markers are visible only on cursor line
   },
 
-  // ── Markers (hidden by default, visible on cursor line) ──
-  '.cm-md-marker': {
-    fontSize: '0',
-    opacity: '0',
-    transition: 'opacity 0.1s, font-size 0.1s',
+  // ── Markers (hidden by default, visible on cursor line) ──
+  '.cm-md-marker': {
+    fontSize: '0',
+    opacity: '0',
+    transition: 'opacity 0.1s, font-size 0.1s',
+  },
+  '.cm-cursor-line .cm-md-marker': {
+    fontSize: 'inherit',
+    opacity: '0.35',
+  },
+  '.cm-md-marker-trailing, .cm-md-marker-trailing *': {
+    color: 'inherit !important',
+  },
+
+  // ── Bold / Italic ─────────────────────────────────────
+  '.cm-md-bold': { fontWeight: '700' },
+  '.cm-md-italic': { fontStyle: 'italic' },
+
+  // ── Link ──────────────────────────────────────────────
+  '.cm-md-link': {
+    color: 'var(--md-link)',
+    textDecoration: 'underline',
+    textDecorationColor: 'var(--md-link-faint)',
+    borderRadius: '2px',
+    transition: 'background-color 0.15s, text-decoration-color 0.15s',
+    cursor: 'pointer',
+  },
+  '.cm-md-link:hover': {
+    backgroundColor: 'var(--md-link-tint)',
+    textDecorationColor: 'var(--md-link-strong)',
+  },
+
+  // ── Wiki link (note-to-note) ──────────────────────────
+  '.cm-md-wikilink': {
+    textDecorationStyle: 'dashed',
+  },
+
+  // ── Highlight (colour follows the note, see setNoteColor) ──
+  '.cm-md-highlight': {
+    backgroundColor: 'var(--md-highlight, rgba(255, 213, 79, 0.6))',
+    borderRadius: '2px',
+  },
+
+  // ── Superscript / subscript ───────────────────────────
+  '.cm-md-sup': { verticalAlign: 'super', fontSize: '0.75em' },
+  '.cm-md-sub': { verticalAlign: 'sub', fontSize: '0.75em' },
+
+  // ── Footnotes ─────────────────────────────────────────
+  '.cm-md-footnote-ref': {
+    verticalAlign: 'super',
+    fontSize: '0.75em',
+    color: 'var(--md-link)',
+    cursor: 'pointer',
+  },
+  '.cm-line.cm-md-footnote-def': {
+    fontSize: '0.9em',
+    opacity: '0.8',
+  },
+  '.cm-md-footnote-label': {
+    verticalAlign: 'super',
+    fontSize: '0.8em',
+    color: 'var(--md-link)',
+    marginRight: '4px',
+  },
+  '.cm-footnote-tooltip': {
+    maxWidth: '280px',
+    padding: '6px 10px',
+    fontSize: '12px',
+    lineHeight: '1.5',
+  },
+
+  // ── Definition lists ──────────────────────────────────
+  '.cm-md-definition-term': { fontWeight: '600' },
+  '.cm-line.cm-md-definition': { paddingLeft: '24px' },
+
+  // ── Autocomplete popup ────────────────────────────────
+  '.cm-tooltip.cm-tooltip-autocomplete': {
+    border: '1px solid var(--md-popup-border)',
+    borderRadius: '6px',
+    backgroundColor: 'var(--md-popup-bg)',
+    boxShadow: '0 4px 12px rgba(0, 0, 0, 0.12)',
+    overflow: 'hidden',
+  },
+  '.cm-tooltip.cm-tooltip-autocomplete > ul': {
+    fontFamily: '-apple-system, BlinkMacSystemFont, "SF Pro Text", sans-serif',
+    fontSize: '12px',
+    maxHeight: '12em',
+  },
+  '.cm-tooltip.cm-tooltip-autocomplete > ul > li': {
+    padding: '3px 8px',
+  },
+  '.cm-tooltip.cm-tooltip-autocomplete > ul > li[aria-selected]': {
+    backgroundColor: 'var(--md-accent-tint)',
+    color: 'inherit',
+  },
+
+  // ── Image widget ──────────────────────────────────────
+  '.cm-image-widget': {
+    display: 'inline-block',
+    maxWidth: '100%',
+    verticalAlign: 'bottom',
   },
-  '.cm-cursor-line .cm-md-marker': {
-    fontSize: 'inherit',
-    opacity: '0.35',
+  '.cm-image-widget img': {
+    display: 'block',
+    maxWidth: '100%',
+    maxHeight: '360px',
+    borderRadius: '4px',
   },
-  '.cm-md-marker-trailing, .cm-md-marker-trailing *': {
-    color: 'inherit !important',
+  '.cm-image-broken': {
+    color: 'var(--md-error)',
+    fontSize: '0.9em',
+    fontStyle: 'italic',
   },
 
-  // ── Bold / Italic ─────────────────────────────────────
-  '.cm-md-bold': { fontWeight: '700' },
-  '.cm-md-italic': { fontStyle: 'italic' },
-
-  // ── Link ──────────────────────────────────────────────
-  '.cm-md-link': {
-    color: '#0969da',
-    textDecoration: 'underline',
-    textDecorationColor: 'rgba(9, 105, 218, 0.3)',
-    borderRadius: '2px',
-    transition: 'background-color 0.15s, text-decoration-color 0.15s',
-    cursor: 'pointer',
-  },
-  '.cm-md-link:hover': {
-    backgroundColor: 'rgba(9, 105, 218, 0.1)',
-    textDecorationColor: 'rgba(9, 105, 218, 0.6)',
+  // ── Emoji shortcode widget ────────────────────────────
+  '.cm-md-emoji': {
+    fontFamily: '"Apple Color Emoji", "Segoe UI Emoji", sans-serif',
   },
 
   // ── Inline Code Widget ────────────────────────────────
   '.cm-inline-code-widget': {
     fontFamily: 'Monaco, Menlo, "Courier New", monospace',
     fontSize: '0.9em',
-    backgroundColor: 'rgba(175, 184, 193, 0.2)',
+    backgroundColor: 'var(--md-code-bg)',
     padding: '2px 5px',
     borderRadius: '3px',
   },
 
   // ── Fenced Code Block (line decoration) ───────────────
   '.cm-md-fenced-code': {
-    backgroundColor: 'rgba(175, 184, 193, 0.15)',
+    backgroundColor: 'var(--md-code-block-bg)',
     fontFamily: 'Monaco, Menlo, "Courier New", monospace',
     fontSize: '0.9em',
     marginLeft: '-8px',
@@ -936,9 +3974,43 @@ const editorTheme = EditorView.theme({
 
   // ── Blockquote (line decoration) ──────────────────────
   '.cm-md-blockquote': {
-    borderLeft: '3px solid #d0d7de',
+    borderLeft: '3px solid var(--md-border)',
     paddingLeft: '12px',
-    color: '#656d76',
+    color: 'var(--md-muted)',
+  },
+
+  // ── Callouts (per-type colour, set by applyTheme) ─────
+  ...Object.fromEntries(Object.keys(calloutTypes).map((type) => [
+    `.cm-md-callout-${type}`,
+    { '--callout-color': `var(--md-callout-${type})`, '--callout-bg': `var(--md-callout-${type}-bg)` },
+  ])),
+  '.cm-md-callout': {
+    borderLeftColor: 'var(--callout-color)',
+    backgroundColor: 'var(--callout-bg)',
+    color: 'inherit',
+  },
+  '.cm-md-callout-header-line': {
+    color: 'var(--callout-color)',
+    fontWeight: '600',
+  },
+  '.cm-callout-header': {
+    display: 'inline-flex',
+    alignItems: 'baseline',
+    gap: '6px',
+  },
+  '.cm-callout-icon': {
+    display: 'inline-block',
+    width: '1.1em',
+    textAlign: 'center',
+  },
+  '.cm-callout-chevron': {
+    display: 'inline-block',
+    cursor: 'pointer',
+    opacity: '0.7',
+    transition: 'transform 0.15s ease-out',
+  },
+  '.cm-callout-chevron.cm-callout-folded': {
+    transform: 'rotate(-90deg)',
   },
 
   // ── Horizontal Rule (overlay with animation — slower) ─────────────────
@@ -956,7 +4028,7 @@ const editorTheme = EditorView.theme({
     top: '50%',
     transform: 'translateY(-50%)',
     height: '2px',
-    backgroundColor: '#d0d7de',
+    backgroundColor: 'var(--md-border)',
     borderRadius: '1px',
     pointerEvents: 'none',
     opacity: '1',
@@ -983,13 +4055,13 @@ const editorTheme = EditorView.theme({
 
   // ── Math ──────────────────────────────────────────────
   '.cm-math-inline': {
-    backgroundColor: 'rgba(92, 106, 196, 0.08)',
+    backgroundColor: 'var(--md-math-bg)',
     padding: '2px 6px',
     borderRadius: '4px',
     display: 'inline-block',
   },
   '.cm-math-block': {
-    backgroundColor: 'rgba(92, 106, 196, 0.05)',
+    backgroundColor: 'var(--md-math-block-bg)',
     padding: '8px',
     borderRadius: '8px',
     margin: '4px 0',
@@ -997,8 +4069,22 @@ const editorTheme = EditorView.theme({
     overflow: 'auto',
   },
   '.cm-math-error': {
-    color: '#d73a49',
-    backgroundColor: 'rgba(215, 58, 73, 0.1)',
+    color: 'var(--md-error)',
+    backgroundColor: 'var(--md-error-tint)',
+  },
+  '.cm-math-error-mark': {
+    textDecoration: 'underline wavy var(--md-error)',
+    textUnderlineOffset: '3px',
+  },
+  '.cm-math-preview': {
+    maxWidth: '420px',
+    padding: '6px 10px',
+    overflowX: 'auto',
+  },
+  '.cm-math-preview-error': {
+    color: 'var(--md-error)',
+    fontSize: '12px',
+    marginTop: '4px',
   },
   // Overlay approach for block math - widget positioned over transparent source
   '.cm-math-overlay': {
@@ -1006,7 +4092,7 @@ const editorTheme = EditorView.theme({
     left: '0',
     right: '0',
     top: '0',
-    backgroundColor: 'rgba(92, 106, 196, 0.05)',
+    backgroundColor: 'var(--md-math-block-bg)',
     padding: '8px',
     borderRadius: '8px',
     display: 'flex',
@@ -1016,7 +4102,7 @@ const editorTheme = EditorView.theme({
     pointerEvents: 'none', // Allow clicks to pass through to source lines
     zIndex: '10',
     boxSizing: 'border-box',
-    color: '#000 !important', // Override inherited transparent color
+    color: 'var(--md-text) !important', // Override inherited transparent color
     opacity: '1',
     transition: 'opacity 0.15s ease-out',
   },
@@ -1034,7 +4120,7 @@ const editorTheme = EditorView.theme({
   },
   // But keep overlay and its children visible
   '.cm-line.cm-math-source-line .cm-math-overlay, .cm-line.cm-math-source-line .cm-math-overlay *': {
-    color: '#000 !important',
+    color: 'var(--md-text) !important',
   },
   // Editing state: show source text, hide overlay
   '.cm-line.cm-math-source-line.cm-math-editing': {
@@ -1047,6 +4133,41 @@ const editorTheme = EditorView.theme({
     opacity: '0',
   },
 
+  // ── Diagrams ───────────────────────────────────────────
+  '.cm-diagram-overlay': {
+    position: 'absolute',
+    left: '0',
+    right: '0',
+    top: '0',
+    padding: '8px',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    overflow: 'hidden',
+    pointerEvents: 'none',
+    zIndex: '10',
+    boxSizing: 'border-box',
+    color: 'var(--md-text)', // Source line is transparent; labels inherit from here
+  },
+  '.cm-diagram-overlay svg': {
+    maxHeight: '100%',
+  },
+  '.cm-line.cm-diagram-source-line': {
+    position: 'relative', // For overlay positioning context
+    color: 'transparent',
+  },
+  // Only the source spans — the overlay's SVG keeps mermaid's own colours
+  '.cm-line.cm-diagram-source-line > span, .cm-line.cm-diagram-source-line > span *': {
+    color: 'transparent !important',
+  },
+  '.cm-diagram-error': {
+    color: 'var(--md-error)',
+    backgroundColor: 'var(--md-error-tint)',
+    fontSize: '0.85em',
+    padding: '2px 8px',
+    borderRadius: '0 0 6px 6px',
+  },
+
   // ── Strikethrough ──────────────────────────────────────
   '.cm-md-strikethrough': { textDecoration: 'line-through', opacity: '0.6' },
 
@@ -1085,24 +4206,80 @@ const editorTheme = EditorView.theme({
     verticalAlign: 'middle',
   },
 
+  // ── Task metadata chips ────────────────────────────────
+  '.cm-task-chip': {
+    display: 'inline-block',
+    padding: '0 6px',
+    margin: '0 1px',
+    borderRadius: '8px',
+    fontSize: '0.8em',
+    lineHeight: '1.5',
+    verticalAlign: 'baseline',
+    color: 'var(--md-muted)',
+    backgroundColor: 'var(--md-tint-strong)',
+  },
+  '.cm-task-chip-person': {
+    color: 'var(--md-link)',
+    backgroundColor: 'var(--md-link-tint)',
+  },
+  '.cm-task-priority-high': {
+    color: 'var(--md-error)',
+    fontWeight: '600',
+  },
+  '.cm-task-priority-medium': {
+    color: 'var(--md-accent)',
+    backgroundColor: 'var(--md-accent-tint)',
+  },
+  '.cm-task-chip-overdue': {
+    color: 'var(--md-error)',
+    fontWeight: '600',
+  },
+  '.cm-task-overdue': {
+    boxShadow: 'inset 3px 0 0 var(--md-error)',
+  },
+
   // ── Table ──────────────────────────────────────────────
   '.cm-md-table': {
     fontFamily: 'Monaco, Menlo, "Courier New", monospace',
     fontSize: '0.85em',
-    backgroundColor: 'rgba(0, 0, 0, 0.06)',
+    backgroundColor: 'var(--md-tint)',
     padding: '4px 12px',
     marginLeft: '-8px',
     marginRight: '-8px',
-    borderLeft: '3px solid rgba(0, 0, 0, 0.15)',
+    borderLeft: '3px solid var(--md-rule)',
   },
   '.cm-md-table-header': {
     fontWeight: '700',
-    backgroundColor: 'rgba(0, 0, 0, 0.1)',
+    backgroundColor: 'var(--md-tint-strong)',
   },
   '.cm-md-table-delimiter': {
     opacity: '0.3',
     fontSize: '0.8em',
-    color: 'rgba(0, 0, 0, 0.4)',
+    color: 'var(--md-muted)',
+  },
+
+  // ── Table widget (rendered grid, cursor outside) ───────
+  '.cm-table-widget': {
+    padding: '4px 0',
+    overflowX: 'auto',
+  },
+  '.cm-table-widget table': {
+    borderCollapse: 'collapse',
+    fontSize: '0.92em',
+  },
+  '.cm-table-widget th, .cm-table-widget td': {
+    border: '1px solid var(--md-rule)',
+    padding: '3px 10px',
+    cursor: 'text',
+    verticalAlign: 'top',
+  },
+  '.cm-table-widget th': {
+    fontWeight: '700',
+    backgroundColor: 'var(--md-tint)',
+    textAlign: 'left',
+  },
+  '.cm-table-widget tbody tr:nth-child(even)': {
+    backgroundColor: 'var(--md-tint-faint)',
   },
 
   // ── Search Panel ────────────────────────────────────────
@@ -1117,8 +4294,8 @@ const editorTheme = EditorView.theme({
   },
   '.cm-panel.cm-search': {
     padding: '6px 10px',
-    backgroundColor: 'rgba(255, 255, 255, 0.18)',
-    borderBottom: '1px solid rgba(0, 0, 0, 0.08)',
+    backgroundColor: 'var(--md-panel-bg)',
+    borderBottom: '1px solid var(--md-popup-border)',
     fontSize: '12px',
     fontFamily: '-apple-system, BlinkMacSystemFont, "SF Pro Text", sans-serif',
     color: 'inherit',
@@ -1133,8 +4310,8 @@ const editorTheme = EditorView.theme({
     fontSize: '12px',
     padding: '4px 8px',
     borderRadius: '5px',
-    border: '1px solid rgba(0, 0, 0, 0.1)',
-    backgroundColor: 'rgba(255, 255, 255, 0.7)',
+    border: '1px solid var(--md-popup-border)',
+    backgroundColor: 'var(--md-field-bg)',
     color: 'inherit',
     outline: 'none',
     fontFamily: 'inherit',
@@ -1142,8 +4319,8 @@ const editorTheme = EditorView.theme({
     boxShadow: '0 1px 2px rgba(0, 0, 0, 0.06)',
   },
   '.cm-panel.cm-search input.cm-textfield:focus': {
-    backgroundColor: 'rgba(255, 255, 255, 0.85)',
-    borderColor: 'rgba(0, 0, 0, 0.15)',
+    backgroundColor: 'var(--md-field-bg-focus)',
+    borderColor: 'var(--md-rule)',
     boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)',
   },
   // Action buttons (next, prev, all, replace, replace all)
@@ -1153,8 +4330,8 @@ const editorTheme = EditorView.theme({
     fontWeight: '500',
     padding: '3px 8px',
     borderRadius: '4px',
-    border: '1px solid rgba(0, 0, 0, 0.08)',
-    backgroundColor: 'rgba(255, 255, 255, 0.65)',
+    border: '1px solid var(--md-popup-border)',
+    backgroundColor: 'var(--md-field-bg)',
     backgroundImage: 'none',
     cursor: 'pointer',
     fontFamily: 'inherit',
@@ -1164,12 +4341,12 @@ const editorTheme = EditorView.theme({
     boxShadow: '0 1px 1px rgba(0, 0, 0, 0.04)',
   },
   '.cm-panel.cm-search button.cm-button.cm-button:hover': {
-    backgroundColor: 'rgba(255, 255, 255, 0.65)',
+    backgroundColor: 'var(--md-field-bg)',
     backgroundImage: 'none',
-    borderColor: 'rgba(0, 0, 0, 0.12)',
+    borderColor: 'var(--md-rule)',
   },
   '.cm-panel.cm-search button.cm-button.cm-button:active': {
-    backgroundColor: 'rgba(255, 255, 255, 0.75)',
+    backgroundColor: 'var(--md-field-bg-focus)',
     backgroundImage: 'none',
     transform: 'scale(0.97)',
     boxShadow: 'none',
@@ -1190,7 +4367,7 @@ const editorTheme = EditorView.theme({
     },
     '&:has(input:checked)': {
       opacity: '0.9',
-      backgroundColor: 'rgba(255, 255, 255, 0.25)',
+      backgroundColor: 'var(--md-panel-active)',
     },
   },
   '.cm-panel.cm-search label:has(input[name="case"]) input': {
@@ -1212,7 +4389,7 @@ const editorTheme = EditorView.theme({
     userSelect: 'none',
     '&:hover': {
       opacity: '0.85',
-      backgroundColor: 'rgba(255, 255, 255, 0.15)',
+      backgroundColor: 'var(--md-panel-hover)',
     },
   },
   // Custom checkbox — hide native, draw a rounded box
@@ -1242,7 +4419,7 @@ const editorTheme = EditorView.theme({
     top: '0.5px',
     width: '4px',
     height: '7px',
-    border: 'solid rgba(255, 255, 255, 0.9)',
+    border: 'solid var(--md-check-mark)',
     borderWidth: '0 1.5px 1.5px 0',
     transform: 'rotate(45deg)',
   },
@@ -1283,23 +4460,48 @@ const editorTheme = EditorView.theme({
     backgroundColor: 'transparent',
     lineHeight: '1',
     transition: 'all 0.12s',
-    '&:hover': { opacity: '0.6', backgroundColor: 'rgba(255, 255, 255, 0.2)' },
+    '&:hover': { opacity: '0.6', backgroundColor: 'var(--md-panel-hover)' },
   },
   // Match highlights in editor
   '.cm-searchMatch': {
-    backgroundColor: 'rgba(255, 180, 50, 0.4)',
+    backgroundColor: 'var(--md-search-match)',
     borderRadius: '2px',
-    boxShadow: '0 0 0 1px rgba(255, 150, 0, 0.5)',
+    boxShadow: '0 0 0 1px var(--md-search-match-ring)',
   },
   '.cm-searchMatch-selected': {
-    backgroundColor: 'rgba(255, 130, 0, 0.5)',
-    boxShadow: '0 0 0 2px rgba(255, 100, 0, 0.6)',
+    backgroundColor: 'var(--md-search-current)',
+    boxShadow: '0 0 0 2px var(--md-search-current-ring)',
   },
   '.cm-selectionMatch': {
-    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    backgroundColor: 'var(--md-selection-match)',
     borderRadius: '2px',
   },
 
+  // ── Vim mode badge ─────────────────────────────────────
+  '.cm-vim-mode': {
+    position: 'absolute',
+    right: '8px',
+    bottom: '6px',
+    zIndex: '20',
+    padding: '1px 6px',
+    borderRadius: '4px',
+    fontFamily: 'Monaco, Menlo, monospace',
+    fontSize: '10px',
+    letterSpacing: '0.05em',
+    color: 'var(--md-muted)',
+    backgroundColor: 'var(--md-tint)',
+    pointerEvents: 'none',
+  },
+  '.cm-vim-mode[data-mode="insert"], .cm-vim-mode[data-mode="replace"]': {
+    color: 'var(--md-accent)',
+  },
+  '.cm-vim-mode[data-mode="visual"]': {
+    color: 'var(--md-link)',
+  },
+  '&.cm-snapshot-mode .cm-vim-mode, &.cm-preview-mode .cm-vim-mode': {
+    display: 'none',
+  },
+
   // ── Snapshot mode (disable transitions, hide cursor/selection) ──
   '&.cm-snapshot-mode, &.cm-snapshot-mode *': {
     transition: 'none !important',
@@ -1319,8 +4521,259 @@ const editorTheme = EditorView.theme({
     opacity: '0 !important',
   },
 
+  // ── Preview mode (read-only, fully rendered) ──
+  '&.cm-preview-mode .cm-cursorLayer': {
+    display: 'none',
+  },
+  '&.cm-preview-mode .cm-md-marker, &.cm-preview-mode .cm-md-url': {
+    fontSize: '0',
+    opacity: '0',
+  },
+  '&.cm-preview-mode .cm-content': {
+    cursor: 'default',
+  },
+
 }, { dark: false });
 
+// ─── HTML export ───────────────────────────────────────────────────────────
+// editorAPI.exportHTML() renders the note with markdown-it: GFM tables, task
+// lists, ==mark==, KaTeX math, [[wiki links]] and code blocks highlighted
+// with the same staticLanguages parsers the editor uses.
+
+// $...$ / $$...$$ inside a paragraph (same rules as the editor's inlineRe)
+function markdownItMathInline(state, silent) {
+  const src = state.src;
+  const start = state.pos;
+  if (src.charCodeAt(start) !== 0x24 /* $ */) return false;
+  const display = src.charCodeAt(start + 1) === 0x24;
+  const re = display ? /^\$\$([\s\S]+?)\$\$/ : /^\$(?!\$)([^$\n]+?)\$(?!\$)/;
+  if (!display && src.charCodeAt(start - 1) === 0x24) return false;
+  const m = re.exec(src.slice(start));
+  if (!m || !m[1].trim()) return false;
+  if (!silent) {
+    const token = state.push('math_inline', 'math', 0);
+    token.content = m[1].trim();
+    token.markup = display ? '$$' : '$';
+  }
+  state.pos += m[0].length;
+  return true;
+}
+
+// $$ on its own line(s)
+function markdownItMathBlock(state, startLine, endLine, silent) {
+  const start = state.bMarks[startLine] + state.tShift[startLine];
+  const first = state.src.slice(start, state.eMarks[startLine]);
+  if (!first.startsWith('$$')) return false;
+
+  const lines = [];
+  let line = startLine;
+  let rest = first.slice(2);
+  for (;;) {
+    const trimmed = rest.trimEnd();
+    if (trimmed.endsWith('$$')) {
+      lines.push(trimmed.slice(0, -2));
+      break;
+    }
+    lines.push(rest);
+    line++;
+    if (line >= endLine) return false; // unclosed — leave it as text
+    rest = state.src.slice(state.bMarks[line], state.eMarks[line]);
+  }
+  if (silent) return true;
+
+  const token = state.push('math_block', 'math', 0);
+  token.block = true;
+  token.content = lines.join('\n').trim();
+  token.markup = '$$';
+  token.map = [startLine, line + 1];
+  state.line = line + 1;
+  return true;
+}
+
+function renderKatex(formula, displayMode) {
+  try {
+    return katex.renderToString(formula, { throwOnError: false, displayMode, strict: false });
+  } catch (e) {
+    return `<code class="math-error">${escapeHtml(formula)}</code>`;
+  }
+}
+
+function escapeHtml(str) {
+  return str.replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+// [[Note title]] → <span class="wikilink">
+function markdownItWikiLink(state, silent) {
+  if (state.src.charCodeAt(state.pos) !== 0x5b || state.src.charCodeAt(state.pos + 1) !== 0x5b) return false;
+  const m = wikiLinkRe.exec(state.src.slice(state.pos));
+  if (!m || !m[1].trim()) return false;
+  if (!silent) {
+    const token = state.push('wikilink', 'span', 0);
+    token.content = m[1].trim();
+  }
+  state.pos += m[0].length;
+  return true;
+}
+
+// :shortcode: → emoji character, with the editor's word-boundary rule
+function markdownItEmoji(state, silent) {
+  if (state.src.charCodeAt(state.pos) !== 0x3a || /[\w:]/.test(state.src[state.pos - 1] || '')) return false;
+  const m = emojiShortcodeRe.exec(state.src.slice(state.pos));
+  if (!m || !Object.prototype.hasOwnProperty.call(emojiShortcodes, m[1])) return false;
+  if (!silent) {
+    const token = state.push('text', '', 0);
+    token.content = emojiShortcodes[m[1]];
+  }
+  state.pos += m[0].length;
+  return true;
+}
+
+// "- [ ] item" / "- [x] item" → checkbox + task-list-item class
+function markdownItTaskLists(state) {
+  const tokens = state.tokens;
+  for (let i = 2; i < tokens.length; i++) {
+    const inline = tokens[i];
+    if (inline.type !== 'inline' || tokens[i - 1].type !== 'paragraph_open' ||
+        tokens[i - 2].type !== 'list_item_open') continue;
+    const m = /^\[([ xX])\][ \t]/.exec(inline.content);
+    if (!m || !inline.children.length || inline.children[0].type !== 'text') continue;
+
+    const checked = m[1] !== ' ';
+    inline.children[0].content = inline.children[0].content.slice(m[0].length);
+    const box = new state.Token('html_inline', '', 0);
+    box.content = `<input type="checkbox" disabled${checked ? ' checked' : ''}> `;
+    inline.children.unshift(box);
+    tokens[i - 2].attrJoin('class', 'task-list-item');
+  }
+}
+
+function highlightExportCode(code, lang) {
+  const support = staticLanguages[(lang || '').trim().toLowerCase()];
+  if (!support) return '';
+  let html = '';
+  try {
+    const tree = support.language.parser.parse(code);
+    highlightCode(code, tree, classHighlighter, (text, classes) => {
+      html += classes ? `<span class="${classes}">${escapeHtml(text)}</span>` : escapeHtml(text);
+    }, () => {
+      html += '\n';
+    });
+  } catch (e) {
+    console.warn('[Export] highlight failed:', e);
+    return '';
+  }
+  return html;
+}
+
+let exportRenderer = null;
+
+function getExportRenderer() {
+  if (exportRenderer) return exportRenderer;
+  const md = new MarkdownIt({ html: false, linkify: true, highlight: highlightExportCode });
+  md.use(markdownItMark);
+  md.inline.ruler.before('escape', 'math_inline', markdownItMathInline);
+  md.block.ruler.before('fence', 'math_block', markdownItMathBlock, {
+    alt: ['paragraph', 'reference', 'blockquote', 'list'],
+  });
+  md.inline.ruler.before('link', 'wikilink', markdownItWikiLink);
+  md.inline.ruler.push('emoji', markdownItEmoji);
+  md.core.ruler.after('inline', 'task_lists', markdownItTaskLists);
+  md.renderer.rules.math_inline = (tokens, idx) =>
+    renderKatex(tokens[idx].content, tokens[idx].markup === '$$');
+  md.renderer.rules.math_block = (tokens, idx) =>
+    `<div class="math-block">${renderKatex(tokens[idx].content, true)}</div>\n`;
+  md.renderer.rules.wikilink = (tokens, idx) =>
+    `<span class="wikilink">${escapeHtml(tokens[idx].content)}</span>`;
+  // Diagrams the editor has already rendered export as their SVG
+  const defaultFence = md.renderer.rules.fence;
+  md.renderer.rules.fence = (tokens, idx, options, env, self) => {
+    const token = tokens[idx];
+    const rendered = diagramLanguages.has(token.info.trim().toLowerCase()) &&
+      diagramCache.get(token.content.trim());
+    if (rendered && rendered.svg) return `<div class="diagram">${rendered.svg}</div>\n`;
+    return defaultFence(tokens, idx, options, env, self);
+  };
+  exportRenderer = md;
+  return md;
+}
+
+// Styles for exported documents (mirrors the editor's look, minus live-preview chrome)
+const exportStylesheet = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; font-size: 14px; line-height: 1.7; color: #1a1a1a; max-width: 760px; margin: 2em auto; padding: 0 16px; }
+h1, h2, h3, h4, h5, h6 { line-height: 1.3; margin: 1em 0 0.4em; }
+a, .wikilink { color: #0969da; }
+.wikilink { text-decoration: underline dashed; }
+code { font-family: Monaco, Menlo, "Courier New", monospace; font-size: 0.9em; background: rgba(175, 184, 193, 0.2); padding: 2px 5px; border-radius: 3px; }
+pre { background: rgba(175, 184, 193, 0.15); padding: 8px 12px; border-radius: 6px; overflow: auto; }
+pre code { background: none; padding: 0; }
+blockquote { border-left: 3px solid #d0d7de; padding-left: 12px; margin-left: 0; color: #656d76; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid rgba(0, 0, 0, 0.15); padding: 3px 10px; }
+th { background: rgba(0, 0, 0, 0.06); }
+hr { border: none; height: 2px; background: #d0d7de; }
+mark { background: rgba(255, 213, 79, 0.6); padding: 0 2px; border-radius: 2px; }
+li.task-list-item { list-style: none; }
+li.task-list-item input { margin: 0 6px 0 -1.4em; }
+img { max-width: 100%; }
+.math-block { text-align: center; margin: 0.5em 0; overflow: auto; }
+.diagram { text-align: center; margin: 0.5em 0; overflow: auto; }
+.tok-keyword, .tok-operatorKeyword { color: #708; }
+.tok-atom, .tok-bool { color: #219; }
+.tok-number { color: #164; }
+.tok-string, .tok-string2 { color: #a11; }
+.tok-comment { color: #940; font-style: italic; }
+.tok-variableName.tok-definition, .tok-propertyName.tok-definition { color: #00f; }
+.tok-typeName, .tok-className, .tok-namespace { color: #085; }
+.tok-meta, .tok-labelName { color: #555; }
+.tok-invalid { color: #f00; }
+`;
+
+// The KaTeX stylesheet style-loader injected (fonts already inlined as base64)
+function katexStylesheet() {
+  for (const style of document.querySelectorAll('style')) {
+    if (style.textContent.includes('.katex{') || style.textContent.includes('.katex {')) {
+      return style.textContent;
+    }
+  }
+  return null;
+}
+
+function noteTitle(doc) {
+  const first = doc.split('\n').find((l) => l.trim()) || '';
+  return first.replace(/^#+\s*/, '').trim() || 'Note';
+}
+
+// Render markdown to HTML.
+//   options.standalone (default true) — full <!DOCTYPE html> document vs. body fragment
+//   options.inlineCSS  (default true) — embed the stylesheets (KaTeX fonts included)
+//                                       instead of linking KaTeX from a CDN
+//   options.title      — document <title>; defaults to the note's first line
+function renderHTML(doc, options = {}) {
+  const { standalone = true, inlineCSS = true } = options;
+  const body = getExportRenderer().render(doc);
+  if (!standalone) {
+    return inlineCSS ? `<style>${exportStylesheet}</style>\n${body}` : body;
+  }
+
+  const title = escapeHtml(options.title || noteTitle(doc));
+  let head = `<meta charset="UTF-8">\n<title>${title}</title>\n`;
+  if (inlineCSS) {
+    const katexCSS = katexStylesheet();
+    head += katexCSS
+      ? `<style>${katexCSS}</style>\n`
+      : `<link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/katex@${katex.version}/dist/katex.min.css">\n`;
+    head += `<style>${exportStylesheet}</style>\n`;
+  } else {
+    head += `<link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/katex@${katex.version}/dist/katex.min.css">\n`;
+  }
+  return `<!DOCTYPE html>\n<html>\n<head>\n${head}</head>\n<body>\n${body}</body>\n</html>\n`;
+}
+
+editorAPI.exportHTML = function (options = {}) {
+  const doc = editorView ? editorView.state.doc.toString() : '';
+  return renderHTML(doc, options);
+};
+
 // ─── Note Controls ──────────────────────────────────────────────────────────
 // Note controls (color, opacity, pin) are now handled in Swift titlebar.
 // This stub exists for backward compatibility with EditorBridge.
@@ -1335,75 +4788,422 @@ const noteColorHex = {
   orange: '#FFF3E0',
 };
 
-window.initNoteControls = function (currentColor, currentOpacity, currentAlwaysOnTop) {
+let noteHex = noteColorHex.yellow;
+
+editorAPI.initNoteControls = function (currentColor, currentOpacity, currentAlwaysOnTop) {
   // Set titlebar mask color to match note background
-  window.setNoteColor(currentColor);
+  editorAPI.setNoteColor(currentColor);
+};
+
+// Update titlebar mask and ==highlight== colours (called from Swift when color changes)
+editorAPI.setNoteColor = function (color) {
+  noteHex = noteColorHex[color] || noteColorHex.yellow;
+  applyTheme();
 };
 
-// Update titlebar mask color (called from Swift when color changes)
-window.setNoteColor = function (color) {
+editorAPI.initColorPicker = editorAPI.initNoteControls;
+
+// ─── Appearance & themes ───────────────────────────────────────────────────
+// A palette (light or dark) sets the CSS variables editorTheme and the
+// highlight styles read, on <html> next to --md-highlight. The appearance
+// follows prefers-color-scheme until Swift pins it with setAppearance();
+// setCustomTheme() layers font and accent overrides on top of either.
+// In dark appearance the editor paints its own background, a deep shade
+// of the note colour, over the window's pastel one.
+
+const themePalettes = {
+  light: {
+    text: '#1a1a1a',
+    muted: '#656d76',
+    accent: '#5c6ac4',
+    link: '#0969da',
+    border: '#d0d7de',
+    error: '#d73a49',
+    'code-bg': 'rgba(175, 184, 193, 0.2)',
+    'code-block-bg': 'rgba(175, 184, 193, 0.15)',
+    tint: 'rgba(0, 0, 0, 0.06)',
+    'tint-strong': 'rgba(0, 0, 0, 0.1)',
+    'tint-faint': 'rgba(0, 0, 0, 0.03)',
+    rule: 'rgba(0, 0, 0, 0.15)',
+    'popup-bg': 'rgba(255, 255, 255, 0.95)',
+    'popup-border': 'rgba(0, 0, 0, 0.1)',
+    'field-bg': 'rgba(255, 255, 255, 0.7)',
+    'field-bg-focus': 'rgba(255, 255, 255, 0.85)',
+    'panel-bg': 'rgba(255, 255, 255, 0.18)',
+    'panel-hover': 'rgba(255, 255, 255, 0.2)',
+    'panel-active': 'rgba(255, 255, 255, 0.25)',
+    'check-mark': 'rgba(255, 255, 255, 0.9)',
+    'search-match': 'rgba(255, 180, 50, 0.4)',
+    'search-match-ring': 'rgba(255, 150, 0, 0.5)',
+    'search-current': 'rgba(255, 130, 0, 0.5)',
+    'search-current-ring': 'rgba(255, 100, 0, 0.6)',
+    'selection-match': 'rgba(255, 255, 255, 0.2)',
+    selection: '#d7d4f0',
+    'selection-blur': '#d9d9d9',
+    // Code tokens (defaultHighlightStyle's colours)
+    hl: {
+      meta: '#404740', keyword: '#708', atom: '#219', literal: '#164',
+      string: '#a11', regexp: '#e40', definition: '#00f', local: '#30a',
+      type: '#085', class: '#167', macro: '#256', property: '#00c',
+      comment: '#940', invalid: '#f00',
+    },
+  },
+  dark: {
+    text: '#e6e6e6',
+    muted: '#9198a1',
+    accent: '#8b95e8',
+    link: '#58a6ff',
+    border: '#3d444d',
+    error: '#f47067',
+    'code-bg': 'rgba(110, 118, 129, 0.4)',
+    'code-block-bg': 'rgba(110, 118, 129, 0.2)',
+    tint: 'rgba(255, 255, 255, 0.06)',
+    'tint-strong': 'rgba(255, 255, 255, 0.1)',
+    'tint-faint': 'rgba(255, 255, 255, 0.03)',
+    rule: 'rgba(255, 255, 255, 0.15)',
+    'popup-bg': 'rgba(40, 42, 46, 0.97)',
+    'popup-border': 'rgba(255, 255, 255, 0.12)',
+    'field-bg': 'rgba(255, 255, 255, 0.08)',
+    'field-bg-focus': 'rgba(255, 255, 255, 0.14)',
+    'panel-bg': 'rgba(255, 255, 255, 0.04)',
+    'panel-hover': 'rgba(255, 255, 255, 0.1)',
+    'panel-active': 'rgba(255, 255, 255, 0.16)',
+    'check-mark': 'rgba(0, 0, 0, 0.8)', // on a currentColor (light) box
+    'search-match': 'rgba(255, 170, 50, 0.28)',
+    'search-match-ring': 'rgba(255, 150, 0, 0.45)',
+    'search-current': 'rgba(255, 130, 0, 0.45)',
+    'search-current-ring': 'rgba(255, 120, 0, 0.7)',
+    'selection-match': 'rgba(255, 255, 255, 0.12)',
+    selection: '#3e4870',
+    'selection-blur': '#3a3d41',
+    hl: {
+      meta: '#abb2bf', keyword: '#c678dd', atom: '#56b6c2', literal: '#d19a66',
+      string: '#98c379', regexp: '#e5c07b', definition: '#61afef', local: '#e06c75',
+      type: '#e5c07b', class: '#e5c07b', macro: '#56b6c2', property: '#61afef',
+      comment: '#7f848e', invalid: '#ff6b6b',
+    },
+  },
+};
+
+let appearanceOverride = null; // 'light' | 'dark' from Swift, null = follow the system
+let customTheme = {};           // { fontFamily, fontSize, accentColor } from setCustomTheme
+let measuredWith = null;        // appearance|font the math/diagram overlays were measured with
+
+const darkSchemeQuery = typeof window.matchMedia === 'function'
+  ? window.matchMedia('(prefers-color-scheme: dark)')
+  : null;
+darkSchemeQuery?.addEventListener?.('change', () => applyTheme());
+
+function currentAppearance() {
+  return appearanceOverride || (darkSchemeQuery?.matches ? 'dark' : 'light');
+}
+
+// #rrggbb (or #rgb) at the given opacity
+function withAlpha(hex, alpha) {
+  const full = hex.length === 4 ? '#' + [...hex.slice(1)].map((c) => c + c).join('') : hex;
+  const [r, g, b] = [1, 3, 5].map((i) => parseInt(full.slice(i, i + 2), 16));
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+// CSS variables for an appearance, the note colour and the custom overrides
+function themeVariables(appearance, hex, custom) {
+  const { hl, ...palette } = themePalettes[appearance];
+  const accent = custom.accentColor || palette.accent;
+  const link = custom.accentColor || palette.link;
+  const darkNote = `hsl(${hueOf(hex)}, 14%, 15%)`;
+  const vars = {};
+  for (const [name, value] of Object.entries(palette)) vars[`--md-${name}`] = value;
+  for (const [name, value] of Object.entries(hl)) vars[`--hl-${name}`] = value;
+  for (const [type, { color, dark }] of Object.entries(calloutTypes)) {
+    const c = appearance === 'dark' ? dark : color;
+    vars[`--md-callout-${type}`] = c;
+    vars[`--md-callout-${type}-bg`] = withAlpha(c, appearance === 'dark' ? 0.12 : 0.08);
+  }
+  Object.assign(vars, {
+    '--md-accent': accent,
+    '--md-accent-tint': withAlpha(accent, 0.15),
+    '--md-math-bg': withAlpha(accent, appearance === 'dark' ? 0.16 : 0.08),
+    '--md-math-block-bg': withAlpha(accent, appearance === 'dark' ? 0.1 : 0.05),
+    '--md-error-tint': withAlpha(palette.error, appearance === 'dark' ? 0.15 : 0.1),
+    '--md-link': link,
+    '--md-link-faint': withAlpha(link, 0.3),
+    '--md-link-tint': withAlpha(link, 0.1),
+    '--md-link-strong': withAlpha(link, 0.6),
+    '--md-bg': appearance === 'dark' ? darkNote : 'transparent',
+    '--md-titlebar': appearance === 'dark' ? darkNote : hex,
+    '--md-highlight': highlightColorFor(hex, appearance),
+    '--md-font': custom.fontFamily || null,
+    '--md-font-size': custom.fontSize ? `${custom.fontSize}px` : null,
+  });
+  return vars;
+}
+
+// Write the variables for the current appearance to <html>
+function applyTheme() {
+  const appearance = currentAppearance();
+  const root = document.documentElement;
+  for (const [name, value] of Object.entries(themeVariables(appearance, noteHex, customTheme))) {
+    if (value == null) root.style.removeProperty(name);
+    else root.style.setProperty(name, value);
+  }
+  root.dataset.appearance = appearance;
+  root.style.colorScheme = appearance;
   const mask = document.getElementById('titlebar-mask');
   if (mask) {
-    mask.style.backgroundColor = noteColorHex[color] || noteColorHex.yellow;
+    mask.style.backgroundColor = 'var(--md-titlebar)';
+  }
+
+  const key = `${appearance}|${customTheme.fontFamily || ''}|${customTheme.fontSize || ''}`;
+  if (measuredWith !== null && key !== measuredWith) rerenderMeasuredBlocks();
+  measuredWith = key;
+}
+
+// Overlay heights are measured once per formula/diagram and mermaid bakes
+// its theme into the SVG, so drop both caches and rebuild the overlays
+function rerenderMeasuredBlocks() {
+  mathHeightCache.clear();
+  diagramCache.clear();
+  pendingDiagrams.clear();
+  diagramGeneration++;
+  editorView?.dispatch({ effects: viewModeChanged.of(null) });
+}
+
+// Pin the appearance ('dark' | 'light'), or pass anything else to follow the system again
+editorAPI.setAppearance = function (appearance) {
+  appearanceOverride = appearance === 'dark' || appearance === 'light' ? appearance : null;
+  applyTheme();
+};
+
+// Font and accent overrides, as JSON or an object:
+// { "fontFamily": "Georgia", "fontSize": 16, "accentColor": "#d9480f" }.
+// Unknown or invalid fields are ignored; null / {} restores the defaults.
+editorAPI.setCustomTheme = function (json) {
+  let theme = json;
+  try {
+    if (typeof json === 'string') theme = JSON.parse(json);
+  } catch (e) {
+    console.error('[Editor] setCustomTheme: invalid JSON', e);
+    return;
+  }
+  const next = {};
+  if (theme && typeof theme === 'object') {
+    if (typeof theme.fontFamily === 'string' && theme.fontFamily.trim()) {
+      next.fontFamily = theme.fontFamily.trim();
+    }
+    const size = Number(theme.fontSize);
+    if (Number.isFinite(size) && size >= 8 && size <= 48) next.fontSize = size;
+    if (typeof theme.accentColor === 'string' && /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(theme.accentColor)) {
+      next.accentColor = theme.accentColor;
+    }
+  }
+  customTheme = next;
+  applyTheme();
+  editorView?.requestMeasure();
+};
+
+// ─── Content sync ──────────────────────────────────────────────────────────
+// Edits reach Swift as contentChanged deltas instead of the whole text: the
+// ChangeSet collected over the 300ms debounce in ChangeSet.toJSON() form (a
+// number keeps that many UTF-16 units, [n, ...lines] deletes n and inserts
+// the lines joined by "\n"), the note's revision before and after, and a
+// checksum of the resulting text. Swift applies a delta only on top of the
+// revision it already has; on a gap or checksum mismatch it calls
+// editorAPI.resync(noteId) and gets the full text back as contentSnapshot.
+// Pending edits remember their note, so a late send can't land on the note
+// that was switched to, and are flushed rather than dropped whenever the
+// content is about to be replaced or the window loses focus.
+
+// Last revision sent per note ID; setContent starts a note over at 0
+const noteRevisions = new Map();
+// Unsent edits: { noteId, changes, doc }
+let pendingSync = null;
+let debounceTimer;
+
+// FNV-1a over the UTF-16 code units, as 8 hex digits (Swift hashes
+// content.utf16 the same way)
+function contentChecksum(doc) {
+  let hash = 0x811c9dc5;
+  for (const iter = doc.iter(); !iter.next().done;) {
+    const chunk = iter.value;
+    for (let i = 0; i < chunk.length; i++) {
+      hash ^= chunk.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
   }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function queueContentChange(update) {
+  if (pendingSync && pendingSync.noteId !== currentNoteId) sendPendingChanges();
+  pendingSync = pendingSync
+    ? { ...pendingSync, changes: pendingSync.changes.compose(update.changes), doc: update.state.doc }
+    : { noteId: currentNoteId, changes: update.changes, doc: update.state.doc };
+  clearTimeout(debounceTimer);
+  debounceTimer = setTimeout(sendPendingChanges, 300);
+}
+
+function sendPendingChanges() {
+  clearTimeout(debounceTimer);
+  const pending = pendingSync;
+  pendingSync = null;
+  if (!pending) return;
+  const baseRevision = noteRevisions.get(pending.noteId) || 0;
+  noteRevisions.set(pending.noteId, baseRevision + 1);
+  sendToBridge('contentChanged', {
+    noteId: pending.noteId,
+    baseRevision,
+    revision: baseRevision + 1,
+    changes: pending.changes.toJSON(),
+    length: pending.doc.length,
+    checksum: contentChecksum(pending.doc),
+  });
+}
+
+// Post the outstanding contentChanged now instead of after the debounce.
+// Returns true if there was anything to send.
+editorAPI.flushPendingChanges = function () {
+  if (!pendingSync) return false;
+  sendPendingChanges();
+  return true;
 };
 
-window.initColorPicker = window.initNoteControls;
+// Unsent edits are about to go out in a snapshot instead
+function discardPendingChanges() {
+  clearTimeout(debounceTimer);
+  pendingSync = null;
+}
+
+// Swift lost track of a note: send its full text at the current revision.
+// Unsent edits for it are folded into the snapshot as one more revision.
+editorAPI.resync = function (noteId = currentNoteId) {
+  let revision = noteRevisions.get(noteId) || 0;
+  if (pendingSync && pendingSync.noteId === noteId) {
+    discardPendingChanges();
+    noteRevisions.set(noteId, ++revision);
+  }
+  const state = editorView && noteId === currentNoteId ? editorView.state : noteStates.get(noteId);
+  if (!state) {
+    reportError(ErrorCode.UNKNOWN_NOTE, `No editor state to resync note ${noteId}`);
+    return false;
+  }
+  sendToBridge('contentSnapshot', {
+    noteId,
+    revision,
+    content: state.doc.toString(),
+    checksum: contentChecksum(state.doc),
+  });
+  return true;
+};
 
 // ─── Editor initialization ─────────────────────────────────────────────────
 
 let editorView;
-let debounceTimer;
 
-function initEditor(initialContent = '') {
-  log('Initializing editor...');
+// Extensions shared by every note's EditorState. Built once so that states
+// cached per note (noteStates) stay compatible with the live view.
+let markdownSupport = null;
+
+// The notes' markdown dialect, shared with getTasks' throwaway states
+function getMarkdownSupport() {
+  if (!markdownSupport) {
+    // addKeymap: false — listKeymap wraps lang-markdown's Enter/Backspace commands
+    markdownSupport = markdown({ extensions: [GFM, Superscript, Subscript, HighlightExtension, EmojiExtension, FootnoteExtension, DefinitionListExtension, WikiLinkExtension, MathExtension], codeLanguages: findLanguage, addKeymap: false });
+  }
+  return markdownSupport;
+}
+
+let editorExtensions = null;
+
+function getEditorExtensions() {
+  if (editorExtensions) return editorExtensions;
+  editorExtensions = [
+    history(),
+    // Multi-cursor: Option+click adds a cursor (Cmd+click is reserved for links)
+    EditorState.allowMultipleSelections.of(true),
+    EditorView.clickAddsSelectionRange.of((e) => e.altKey),
+    drawSelection(),
+    codeFolding({ placeholderText: '…' }),
+    foldMarkers,
+    // vim/emacs bindings (setKeybindingMode) run before the keymaps below
+    Prec.high(keybindingCompartment.of(keybindingExtensions.default)),
+    viewModeCompartment.of(viewModeExtensions.edit),
+    keymap.of([...tableKeymap, ...blockMathNavKeymap, ...listKeymap, ...taskKeymap, ...formattingKeymap, ...searchKeymap, ...foldKeymap, ...defaultKeymap, ...historyKeymap]),
+    getMarkdownSupport(),
+    renumberListsFilter,
+    autocompletion({ override: [markdownCompletions], icons: false }),
+    hoverTooltip(footnoteTooltip, { hoverTime: 300 }),
+    syntaxHighlighting(markdownHighlightStyle),
+    syntaxHighlighting(codeHighlightStyle),  // Code block syntax colors
+    markdownDecoPlugin,
+    mathRangesField,
+    mathRenderField,
+    mathPreviewField,
+    diagramRenderField,
+    tableRenderField,
+    imageDropHandlers,
+    search({ top: true }),
+    highlightSelectionMatches(),
+    editorTheme,
+    EditorView.updateListener.of((update) => {
+      if (update.docChanged) queueContentChange(update);
+    }),
+    EditorView.lineWrapping,
+  ];
+  return editorExtensions;
+}
 
+// Fresh EditorState for a note (empty undo history, nothing folded)
+function createNoteState(doc, selection) {
   const state = EditorState.create({
-    doc: initialContent,
-    extensions: [
-      history(),
-      keymap.of([...blockMathNavKeymap, ...formattingKeymap, ...searchKeymap, ...defaultKeymap, ...historyKeymap]),
-      markdown({ extensions: GFM, codeLanguages: findLanguage }),
-      syntaxHighlighting(markdownHighlightStyle),
-      syntaxHighlighting(defaultHighlightStyle),  // Code block syntax colors
-      markdownDecoPlugin,
-      mathRenderField,
-      search({ top: true }),
-      highlightSelectionMatches(),
-      editorTheme,
-      EditorView.updateListener.of((update) => {
-        if (update.docChanged && !suppressContentChange) {
-          clearTimeout(debounceTimer);
-          debounceTimer = setTimeout(() => {
-            sendToBridge('contentChanged', {
-              content: update.state.doc.toString(),
-            });
-          }, 300);
-        }
-      }),
-      EditorView.lineWrapping,
-    ],
+    doc,
+    selection,
+    extensions: getEditorExtensions(),
   });
+  // "[!type]-" callouts start collapsed
+  const effects = collapsedCalloutEffects(state);
+  return withViewMode(withKeybindingMode(effects.length ? state.update({ effects }).state : state));
+}
+
+function initEditor(initialContent = '') {
+  log('Initializing editor...');
+
+  const state = createNoteState(initialContent);
 
   editorView = new EditorView({
     state,
     parent: document.getElementById('editor-container'),
   });
+  editorView.dom.classList.toggle('cm-preview-mode', previewMode);
+  scheduleDateRollover();
 
-  // Cmd+click to open links
+  // Cmd+click to open links (a plain click in preview mode)
   editorView.dom.addEventListener('click', (e) => {
-    if (!e.metaKey) return;  // Only handle Cmd+click
+    if (!e.metaKey && !previewMode) return;
 
     const pos = editorView.posAtCoords({ x: e.clientX, y: e.clientY });
     if (pos === null) return;
 
-    // Find Link node at position
+    // Footnote reference ↔ definition
+    const footnoteTarget = footnoteJumpTarget(editorView.state, pos);
+    if (footnoteTarget !== null) {
+      e.preventDefault();
+      editorView.dispatch({
+        selection: { anchor: footnoteTarget },
+        effects: EditorView.scrollIntoView(footnoteTarget, { y: 'center' }),
+      });
+      return;
+    }
+
+    // Find Link / WikiLink node at position
     let url = null;
+    let wikiTitle = null;
     syntaxTree(editorView.state).iterate({
       from: pos,
       to: pos,
       enter(node) {
-        if (node.name === 'Link') {
+        if (node.name === 'WikiLink') {
+          wikiTitle = editorView.state.sliceDoc(node.from + 2, node.to - 2).trim();
+        } else if (node.name === 'Link') {
           // Find URL child node
           let urlNode = node.node.getChild('URL');
           if (urlNode) {
@@ -1413,6 +5213,14 @@ function initEditor(initialContent = '') {
       },
     });
 
+    if (wikiTitle) {
+      e.preventDefault();
+      const target = findNoteByTitle(wikiTitle);
+      sendToBridge('openNote', { title: wikiTitle, targetId: target ? target.id : null });
+      log('Opening note: ' + wikiTitle);
+      return;
+    }
+
     if (url) {
       e.preventDefault();
       // Send to Swift to open URL
@@ -1421,6 +5229,12 @@ function initEditor(initialContent = '') {
     }
   });
 
+  editorView.dom.addEventListener('dblclick', (e) => {
+    if (!previewMode) return;
+    e.preventDefault();
+    editAtCoords(editorView, e);
+  });
+
   log('Editor ready');
 
   // GFM verification: test parse after a short delay
@@ -1437,24 +5251,23 @@ function initEditor(initialContent = '') {
 
 // ─── Swift bridge interface ────────────────────────────────────────────────
 
-window.setContent = function (content) {
+// Loads a note from scratch: a fresh EditorState, so the previous note's
+// undo history can't leak into this one.
+editorAPI.setContent = function (content) {
   if (!editorView) return;
-  clearTimeout(debounceTimer);
-  suppressContentChange = true;
-  editorView.dispatch(
-    editorView.state.update({
-      changes: { from: 0, to: editorView.state.doc.length, insert: content },
-    })
-  );
-  suppressContentChange = false;
+  editorAPI.flushPendingChanges();
+  noteRevisions.set(currentNoteId, 0);
+  notesEditedInBackground.delete(currentNoteId);
+  editorView.setState(createNoteState(content));
+  applyDeferredPlaceholders();
 };
 
-window.getContent = function () {
+editorAPI.getContent = function () {
   return editorView ? editorView.state.doc.toString() : '';
 };
 
 // Open search panel (called from Swift via Cmd+F menu)
-window.openSearch = function () {
+editorAPI.openSearch = function () {
   if (!editorView) return;
   openSearchPanel(editorView);
   // Remove show-replace class if present (search only)
@@ -1465,7 +5278,7 @@ window.openSearch = function () {
 };
 
 // Open search panel with replace visible (Cmd+Shift+F)
-window.openSearchWithReplace = function () {
+editorAPI.openSearchWithReplace = function () {
   if (!editorView) return;
   openSearchPanel(editorView);
   // Add show-replace class to reveal replace inputs
@@ -1480,13 +5293,20 @@ window.openSearchWithReplace = function () {
   }, 10);
 };
 
+// Replace the list of linkable notes (called from Swift: [{ id, title }])
+editorAPI.setNoteIndex = function (list) {
+  noteIndex = Array.isArray(list)
+    ? list.filter((n) => n && typeof n.title === 'string').map((n) => ({ id: n.id, title: n.title }))
+    : [];
+};
+
 // Get current cursor position (character offset)
-window.getCursorPosition = function () {
+editorAPI.getCursorPosition = function () {
   return editorView ? editorView.state.selection.main.head : 0;
 };
 
 // Set cursor position and scroll into view
-window.setCursorPosition = function (pos) {
+editorAPI.setCursorPosition = function (pos) {
   if (!editorView) return;
   const docLength = editorView.state.doc.length;
   const safePos = Math.min(Math.max(0, pos), docLength);
@@ -1497,19 +5317,19 @@ window.setCursorPosition = function (pos) {
 };
 
 // Get current scroll position (pixels from top)
-window.getScrollTop = function () {
+editorAPI.getScrollTop = function () {
   if (!editorView) return 0;
   return editorView.scrollDOM.scrollTop;
 };
 
 // Set scroll position
-window.setScrollTop = function (top) {
+editorAPI.setScrollTop = function (top) {
   if (!editorView) return;
   editorView.scrollDOM.scrollTop = top;
 };
 
 // Debug: dump syntax tree nodes
-window.dumpTree = function () {
+editorAPI.dumpTree = function () {
   if (!editorView) return;
   const nodes = [];
   syntaxTree(editorView.state).iterate({
@@ -1524,40 +5344,77 @@ window.dumpTree = function () {
 // ─── Shared WebView APIs ────────────────────────────────────────────────────
 
 // Set the current note ID (called from Swift before loading content)
-window.setCurrentNoteId = function (id) {
+editorAPI.setCurrentNoteId = function (id) {
+  editorAPI.flushPendingChanges();
   currentNoteId = id;
 };
 
-// Serialize current editor state to JSON (doc + selection + scroll)
-window.serializeState = function () {
+// Full EditorState per note (undo history, folds, multi-selection), keyed by
+// note ID. The shared EditorView is reused across notes, so swapping states
+// in and out is what keeps Cmd+Z scoped to the note it belongs to.
+const noteStates = new Map();
+
+// Fields carried in the serialized JSON, so history and folds survive even
+// when the live state isn't in noteStates (e.g. after a WebView reload)
+const serializedFields = { history: historyField, fold: foldState };
+
+// Serialize current editor state to JSON (doc + selection + scroll + history/folds)
+editorAPI.serializeState = function () {
   if (!editorView) return null;
-  const doc = editorView.state.doc.toString();
-  const sel = editorView.state.selection.main;
+  // Swift takes this doc as the note's text, so the edits in it must reach
+  // Swift first; flushing later would apply them a second time
+  editorAPI.flushPendingChanges();
+  const state = editorView.state;
+  if (currentNoteId) noteStates.set(currentNoteId, state);
+  const sel = state.selection.main;
   const scrollTop = editorView.scrollDOM.scrollTop;
+  let fields = null;
+  try {
+    fields = state.toJSON(serializedFields);
+  } catch (e) {
+    console.error('[Editor] serializeState fields error:', e);
+  }
   return JSON.stringify({
-    doc,
+    doc: state.doc.toString(),
     anchor: sel.anchor,
     head: sel.head,
     scrollTop,
+    state: fields,
   });
 };
 
+// Rebuild the EditorState for the current note from serialized JSON.
+// Prefers the live cached state, then the JSON fields, then doc + selection.
+function stateFromSerialized(s) {
+  const doc = s.doc || '';
+  const cached = currentNoteId ? noteStates.get(currentNoteId) : null;
+  const editedInBackground = notesEditedInBackground.delete(currentNoteId);
+  if (cached && (editedInBackground || cached.doc.toString() === doc)) {
+    return withViewMode(withKeybindingMode(cached));
+  }
+
+  if (s.state && s.state.doc === doc) {
+    try {
+      return withViewMode(withKeybindingMode(EditorState.fromJSON(s.state, { extensions: getEditorExtensions() }, serializedFields)));
+    } catch (e) {
+      console.error('[Editor] restoreState fields error:', e);
+    }
+  }
+
+  const docLength = doc.length;
+  const anchor = Math.min(Math.max(0, s.anchor || 0), docLength);
+  const head = Math.min(Math.max(0, s.head || 0), docLength);
+  return createNoteState(doc, EditorSelection.single(anchor, head));
+}
+
 // Restore editor state from JSON
-window.restoreState = function (json) {
+editorAPI.restoreState = function (json) {
   if (!editorView || !json) return;
   try {
     const s = typeof json === 'string' ? JSON.parse(json) : json;
-    const doc = s.doc || '';
-    const docLength = doc.length;
-    const anchor = Math.min(Math.max(0, s.anchor || 0), docLength);
-    const head = Math.min(Math.max(0, s.head || 0), docLength);
-    clearTimeout(debounceTimer);
-    suppressContentChange = true;
-    editorView.dispatch({
-      changes: { from: 0, to: editorView.state.doc.length, insert: doc },
-      selection: EditorSelection.single(anchor, head),
-    });
-    suppressContentChange = false;
+    editorAPI.flushPendingChanges();
+    editorView.setState(stateFromSerialized(s));
+    applyDeferredPlaceholders();
     if (s.scrollTop > 0) {
       requestAnimationFrame(() => {
         editorView.scrollDOM.scrollTop = s.scrollTop;
@@ -1568,13 +5425,20 @@ window.restoreState = function (json) {
   }
 };
 
-window.focusEditor = function () {
+// Drop a note's cached EditorState (called from Swift when the note is deleted)
+editorAPI.discardNoteState = function (id) {
+  noteStates.delete(id);
+  notesEditedInBackground.delete(id);
+  deferredPlaceholders.delete(id);
+};
+
+editorAPI.focusEditor = function () {
   if (editorView) editorView.focus();
 };
 
 // Prepare for snapshot: disable transitions, collapse all cursor-unfolds, hide cursor.
 // Does NOT scroll — preserves the user's viewport for an accurate snapshot.
-window.prepareForSnapshot = function () {
+editorAPI.prepareForSnapshot = function () {
   if (!editorView) return;
   snapshotMode = true;
   editorView.dom.classList.add('cm-snapshot-mode');
@@ -1586,24 +5450,17 @@ window.prepareForSnapshot = function () {
 
 // Set content and prepare for snapshot in one call — single transaction, single DOM update.
 // Used by pre-rendering to eliminate intermediate states between setContent and prepareForSnapshot.
-window.setContentForSnapshot = function (content) {
+editorAPI.setContentForSnapshot = function (content) {
   if (!editorView) return;
-  clearTimeout(debounceTimer);
-  suppressContentChange = true;
+  editorAPI.flushPendingChanges();
   snapshotMode = true;
   editorView.dom.classList.add('cm-snapshot-mode');
-  editorView.dispatch(
-    editorView.state.update({
-      changes: { from: 0, to: editorView.state.doc.length, insert: content },
-      selection: EditorSelection.single(0, 0),
-    })
-  );
-  suppressContentChange = false;
+  editorView.setState(createNoteState(content, EditorSelection.single(0, 0)));
   editorView.contentDOM.blur();
 };
 
 // Re-enable transitions and cursor unfold behavior after snapshot.
-window.endSnapshotMode = function () {
+editorAPI.endSnapshotMode = function () {
   if (!editorView) return;
   snapshotMode = false;
   editorView.dom.classList.remove('cm-snapshot-mode');
@@ -1611,15 +5468,77 @@ window.endSnapshotMode = function () {
 
 // ─── Bootstrap ─────────────────────────────────────────────────────────────
 
+// window.editorAPI is what Swift calls; every function is also kept under
+// its old bare window.* name for callers that predate it
+window.editorAPI = editorAPI;
+for (const [name, value] of Object.entries(editorAPI)) {
+  if (typeof value === 'function' && name !== 'respond') window[name] = value;
+}
+
 document.addEventListener('DOMContentLoaded', () => {
   log('DOM ready');
+  applyTheme();
   initEditor();
-  sendToBridge('ready');
+  sendToBridge('ready', { protocolVersion: PROTOCOL_VERSION });
   setTimeout(() => editorView?.focus(), 100);
 });
 
+// Don't leave edits in the debounce when the note window loses focus or the
+// page is hidden (window closed, app hidden, WebView suspended)
+window.addEventListener('blur', () => editorAPI.flushPendingChanges());
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') editorAPI.flushPendingChanges();
+});
+
 window.addEventListener('error', (e) => {
-  sendToBridge('error', { message: 'Error: ' + e.message });
+  reportError(ErrorCode.SCRIPT_ERROR, 'Error: ' + e.message);
 });
 
 log('Editor script loaded');
+
+// ─── Test exports ──────────────────────────────────────────────────────────
+// Not used by the app bundle — the vitest suite in test/ imports these.
+
+export {
+  editorView,
+  buildMarkdownDecos,
+  buildFoldDecos,
+  buildMathDecorations,
+  markdownDecoPlugin,
+  mathRenderField,
+  mathPreviewField,
+  mathRangesField,
+  mathHeightCache,
+  mathCheckCache,
+  MATH_CACHE_LIMIT,
+  MathWidget,
+  MathOverlayWidget,
+  diagramRenderField,
+  DiagramOverlayWidget,
+  DiagramErrorWidget,
+  InlineCodeWidget,
+  HROverlayWidget,
+  TaskCheckboxWidget,
+  TaskChipWidget,
+  BulletMarkerWidget,
+  OrderedMarkerWidget,
+  ImageWidget,
+  TableWidget,
+  tableRenderField,
+  formatTable,
+  renderHTML,
+  wikiLinkCompletions,
+  slashCommandCompletions,
+  fenceLanguageCompletions,
+  emojiCompletions,
+  katexCompletions,
+  markdownCompletions,
+  completionScope,
+  EmojiWidget,
+  footnoteJumpTarget,
+  footnoteTooltip,
+  highlightColorFor,
+  CalloutHeaderWidget,
+  toggleCallout,
+  scheduleDateRollover,
+};
@@ -0,0 +1,333 @@
+import { describe, it, expect, beforeAll, beforeEach, vi, afterEach } from 'vitest';
+import { undo } from '@codemirror/commands';
+import { ChangeSet, Text } from '@codemirror/state';
+import { bootEditor, view, bridgeMessages, clearBridgeMessages } from './helpers.js';
+import { createBridge, validateMessage, ErrorCode, PROTOCOL_VERSION } from '../src/bridge.js';
+
+let bootMessages;
+
+beforeAll(async () => {
+  await bootEditor();
+  bootMessages = bridgeMessages();
+});
+
+beforeEach(() => {
+  clearBridgeMessages();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('bridge messages', () => {
+  it('sends ready once the editor is initialized', () => {
+    expect(bootMessages.map((m) => m.action)).toContain('ready');
+    expect(view()).toBeDefined();
+  });
+
+  it('announces the protocol version in the ready handshake', () => {
+    const ready = bootMessages.find((m) => m.action === 'ready');
+    expect(ready).toMatchObject({ v: PROTOCOL_VERSION, kind: 'event', protocolVersion: PROTOCOL_VERSION });
+  });
+
+  it('debounces contentChanged with the current note ID', () => {
+    vi.useFakeTimers();
+    window.setCurrentNoteId('NOTE-A');
+    window.setContent('hello');
+    view().dispatch({ changes: { from: 5, insert: '!' } });
+    view().dispatch({ changes: { from: 6, insert: '?' } });
+    expect(bridgeMessages('contentChanged')).toHaveLength(0);
+
+    vi.advanceTimersByTime(300);
+    const sent = bridgeMessages('contentChanged');
+    expect(sent).toHaveLength(1);
+    expect(sent[0]).toMatchObject({ noteId: 'NOTE-A', baseRevision: 0, revision: 1, length: 7 });
+    expect(applyDelta('hello', sent[0])).toBe('hello!?');
+  });
+
+  it('does not report content loaded by Swift', () => {
+    vi.useFakeTimers();
+    window.setContent('loaded from disk');
+    window.setContentForSnapshot('snapshot');
+    window.endSnapshotMode();
+    vi.advanceTimersByTime(1000);
+    expect(bridgeMessages('contentChanged')).toHaveLength(0);
+  });
+
+  it('sends requestSave on Mod-s', () => {
+    // jsdom doesn't report a Mac platform, so Mod resolves to Ctrl
+    view().contentDOM.dispatchEvent(new KeyboardEvent('keydown', { key: 's', ctrlKey: true, bubbles: true }));
+    expect(bridgeMessages('requestSave')).toHaveLength(1);
+  });
+});
+
+// What Swift does with a contentChanged delta
+function applyDelta(text, delta) {
+  return ChangeSet.fromJSON(delta.changes).apply(Text.of(text.split('\n'))).toString();
+}
+
+describe('content sync', () => {
+  function type(pos, insert, to = pos) {
+    view().dispatch({ changes: { from: pos, to, insert } });
+  }
+
+  it('numbers deltas per note and checksums the result', () => {
+    vi.useFakeTimers();
+    window.setCurrentNoteId('SYNC-A');
+    window.setContent('');
+    type(0, 'a');
+    vi.advanceTimersByTime(300);
+    type(1, '\nb');
+    type(0, 'x', 1);
+    vi.advanceTimersByTime(300);
+
+    const [first, second] = bridgeMessages('contentChanged');
+    expect(first).toMatchObject({ baseRevision: 0, revision: 1, checksum: 'e40c292c' });
+    expect(second).toMatchObject({ baseRevision: 1, revision: 2, length: 3 });
+    expect(applyDelta(applyDelta('', first), second)).toBe('x\nb');
+  });
+
+  it('starts a note over at revision 0 when Swift loads it', () => {
+    vi.useFakeTimers();
+    window.setCurrentNoteId('SYNC-B');
+    window.setContent('one');
+    type(3, '!');
+    vi.advanceTimersByTime(300);
+    window.setContent('two');
+    type(3, '?');
+    vi.advanceTimersByTime(300);
+    expect(bridgeMessages('contentChanged').map((m) => m.revision)).toEqual([1, 1]);
+  });
+
+  it('keeps a delta on the note it was typed in', () => {
+    vi.useFakeTimers();
+    window.setCurrentNoteId('SYNC-C');
+    window.setContent('c');
+    type(1, '1');
+    window.setCurrentNoteId('SYNC-D');
+    vi.advanceTimersByTime(300);
+    expect(bridgeMessages('contentChanged')).toEqual([expect.objectContaining({ noteId: 'SYNC-C', revision: 1 })]);
+  });
+
+  it('answers resync with a snapshot that folds in unsent edits', () => {
+    vi.useFakeTimers();
+    window.setCurrentNoteId('SYNC-E');
+    window.setContent('base');
+    type(4, '1');
+    vi.advanceTimersByTime(300);
+    type(5, '2');
+
+    expect(window.editorAPI.resync('SYNC-E')).toBe(true);
+    const [snapshot] = bridgeMessages('contentSnapshot');
+    expect(snapshot).toMatchObject({ noteId: 'SYNC-E', revision: 2, content: 'base12' });
+    vi.advanceTimersByTime(300);
+    expect(bridgeMessages('contentChanged')).toHaveLength(1);
+
+    type(6, '3');
+    vi.advanceTimersByTime(300);
+    expect(bridgeMessages('contentChanged').at(-1)).toMatchObject({ baseRevision: 2, revision: 3 });
+  });
+
+  it('reports resyncs for notes it does not have', () => {
+    expect(window.editorAPI.resync('NO-SUCH-NOTE')).toBe(false);
+    expect(bridgeMessages('error').at(-1)).toMatchObject({ code: 'unknown_note' });
+  });
+});
+
+describe('flushPendingChanges', () => {
+  function type(pos, insert) {
+    view().dispatch({ changes: { from: pos, insert } });
+  }
+
+  // The text Swift ends up with for a note that started out as `base`
+  function syncedText(noteId, base) {
+    return bridgeMessages('contentChanged')
+      .filter((m) => m.noteId === noteId)
+      .reduce(applyDelta, base);
+  }
+
+  it('sends pending edits immediately, once', () => {
+    vi.useFakeTimers();
+    window.setCurrentNoteId('FLUSH-A');
+    window.setContent('abc');
+    type(3, 'd');
+    expect(window.flushPendingChanges()).toBe(true);
+    expect(bridgeMessages('contentChanged')).toEqual([expect.objectContaining({ noteId: 'FLUSH-A', revision: 1 })]);
+
+    vi.advanceTimersByTime(300);
+    expect(window.flushPendingChanges()).toBe(false);
+    expect(bridgeMessages('contentChanged')).toHaveLength(1);
+  });
+
+  it('drops no keystrokes across a note switch', () => {
+    vi.useFakeTimers();
+    window.setCurrentNoteId('FLUSH-B');
+    window.setContent('one');
+    type(3, ' two');
+    vi.advanceTimersByTime(300);
+    type(7, ' three');
+    const stateB = window.serializeState();
+
+    // Within the debounce window: switch away, then back via restoreState
+    window.setCurrentNoteId('FLUSH-C');
+    window.setContent('other');
+    type(5, '!');
+    window.setCurrentNoteId('FLUSH-B');
+    window.restoreState(stateB);
+    type(13, ' four');
+    window.setContentForSnapshot('prerendered');
+
+    expect(syncedText('FLUSH-B', 'one')).toBe('one two three four');
+    expect(syncedText('FLUSH-C', 'other')).toBe('other!');
+    vi.advanceTimersByTime(1000);
+    expect(bridgeMessages('contentChanged')).toHaveLength(4);
+  });
+
+  it('sends pending edits before serializeState hands Swift the doc', () => {
+    vi.useFakeTimers();
+    window.setCurrentNoteId('FLUSH-E');
+    window.setContent('base');
+    type(4, ' typed');
+    // Swift's switch order: serializeState (its doc becomes the note's text),
+    // then setCurrentNoteId for the next note
+    const { doc } = JSON.parse(window.serializeState());
+    const sent = bridgeMessages('contentChanged');
+    expect(sent).toEqual([expect.objectContaining({ noteId: 'FLUSH-E', revision: 1 })]);
+    expect(syncedText('FLUSH-E', 'base')).toBe(doc);
+
+    window.setCurrentNoteId('FLUSH-F');
+    vi.advanceTimersByTime(1000);
+    expect(bridgeMessages('contentChanged')).toHaveLength(1);
+  });
+
+  it('flushes when the window loses focus or the page is hidden', () => {
+    vi.useFakeTimers();
+    window.setCurrentNoteId('FLUSH-D');
+    window.setContent('');
+    type(0, 'x');
+    window.dispatchEvent(new Event('blur'));
+    expect(bridgeMessages('contentChanged')).toHaveLength(1);
+
+    type(1, 'y');
+    const visibility = vi.spyOn(document, 'visibilityState', 'get').mockReturnValue('hidden');
+    document.dispatchEvent(new Event('visibilitychange'));
+    visibility.mockRestore();
+    expect(syncedText('FLUSH-D', '')).toBe('xy');
+  });
+});
+
+describe('serializeState / restoreState', () => {
+  it('keeps undo history per note across switches', () => {
+    window.setCurrentNoteId('A');
+    window.setContent('alpha');
+    view().dispatch({ changes: { from: 5, insert: ' one' } });
+    const stateA = window.serializeState();
+
+    window.setCurrentNoteId('B');
+    window.setContent('beta');
+    view().dispatch({ changes: { from: 4, insert: ' two' } });
+    const stateB = window.serializeState();
+
+    window.setCurrentNoteId('A');
+    window.restoreState(stateA);
+    expect(window.getContent()).toBe('alpha one');
+    undo(view());
+    expect(window.getContent()).toBe('alpha');
+    // Nothing from note B's history leaks in
+    expect(undo(view())).toBe(false);
+
+    window.setCurrentNoteId('B');
+    window.restoreState(stateB);
+    undo(view());
+    expect(window.getContent()).toBe('beta');
+  });
+
+  it('restores history from JSON when the live state is gone', () => {
+    window.setCurrentNoteId('C');
+    window.setContent('gamma');
+    view().dispatch({ changes: { from: 5, insert: '!' } });
+    const json = window.serializeState();
+    window.discardNoteState('C');
+
+    window.setContent('something else');
+    window.restoreState(json);
+    expect(window.getContent()).toBe('gamma!');
+    undo(view());
+    expect(window.getContent()).toBe('gamma');
+  });
+});
+
+describe('editorAPI', () => {
+  it('collects the Swift-facing functions and keeps the old globals', () => {
+    expect(window.editorAPI.protocolVersion).toBe(PROTOCOL_VERSION);
+    expect(typeof window.editorAPI.setContent).toBe('function');
+    expect(window.setContent).toBe(window.editorAPI.setContent);
+    expect(window.getOutline).toBe(window.editorAPI.getOutline);
+    expect(window.respond).toBeUndefined();
+  });
+});
+
+describe('bridge protocol', () => {
+  function fakeBridge(options = {}) {
+    const sent = [];
+    const bridge = createBridge({ post: (m) => { sent.push(m); }, noteId: () => 'N', ...options });
+    return { bridge, sent };
+  }
+
+  it('checks payloads against the schema', () => {
+    expect(validateMessage('openURL', { url: 'https://x.y' })).toEqual([]);
+    expect(validateMessage('openURL', { url: 5 })).toEqual(['openURL.url should be string']);
+    expect(validateMessage('openNote', { title: 't', targetId: null })).toEqual([]);
+    expect(validateMessage('nope', {})).toEqual(['unknown action "nope"']);
+  });
+
+  it('stamps events and drops invalid ones', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const { bridge, sent } = fakeBridge();
+    expect(bridge.send('openURL', { url: 'https://x.y' })).toBe(true);
+    expect(bridge.send('openURL', {})).toBe(false);
+    expect(bridge.send('saveAttachment', { filename: 'a', mimeType: 'b', data: 'c' })).toBe(false);
+    expect(sent).toEqual([{ v: PROTOCOL_VERSION, kind: 'event', action: 'openURL', noteId: 'N', url: 'https://x.y' }]);
+    warn.mockRestore();
+  });
+
+  it('resolves requests with the response result', async () => {
+    const { bridge, sent } = fakeBridge();
+    const reply = bridge.request('readClipboard');
+    expect(sent[0]).toMatchObject({ kind: 'request', action: 'readClipboard', noteId: 'N' });
+    expect(bridge.respond(sent[0].requestId, { result: 'hello' })).toBe(true);
+    await expect(reply).resolves.toBe('hello');
+    expect(bridge.respond(sent[0].requestId, { result: 'again' })).toBe(false);
+  });
+
+  it('rejects with structured error codes', async () => {
+    const { bridge, sent } = fakeBridge();
+    const failed = bridge.request('saveAttachment', { filename: 'a.png', mimeType: 'image/png', data: '' });
+    bridge.respond(sent[0].requestId, { error: { code: ErrorCode.ATTACHMENT_FAILED, message: 'disk full' } });
+    await expect(failed).rejects.toMatchObject({ code: 'attachment_failed', message: 'disk full' });
+
+    const malformed = bridge.request('saveAttachment', { filename: 'a.png', mimeType: 'image/png', data: '' });
+    bridge.respond(sent[1].requestId, { result: { path: 42 } });
+    await expect(malformed).rejects.toMatchObject({ code: 'invalid_payload' });
+
+    await expect(bridge.request('openURL', { url: 'x' })).rejects.toMatchObject({ code: 'invalid_payload' });
+    await expect(bridge.request('missing')).rejects.toMatchObject({ code: 'unknown_action' });
+  });
+
+  it('times out, and fails fast without a transport', async () => {
+    vi.useFakeTimers();
+    const { bridge } = fakeBridge({ timeout: 500 });
+    const slow = bridge.request('readClipboard');
+    vi.advanceTimersByTime(500);
+    await expect(slow).rejects.toMatchObject({ code: 'timeout' });
+
+    const offline = createBridge({ post: () => false });
+    await expect(offline.request('readClipboard')).rejects.toMatchObject({ code: 'unavailable' });
+  });
+
+  it('reports editor errors with a code', () => {
+    const { attachmentFailed } = window.editorAPI;
+    attachmentFailed('no-such-request', 'disk full');
+    expect(bridgeMessages('error').at(-1)).toMatchObject({ code: 'attachment_failed', message: 'Attachment failed: disk full' });
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { foldedRanges } from '@codemirror/language';
+import { bootEditor, load, moveCursor, view, markdownDecos, widgetsOf, lineClasses } from './helpers.js';
+
+let editor;
+
+beforeAll(async () => {
+  editor = await bootEditor();
+});
+
+function headers() {
+  return widgetsOf(markdownDecos(), editor.CalloutHeaderWidget);
+}
+
+function folds() {
+  const out = [];
+  foldedRanges(view().state).between(0, view().state.doc.length, (from, to) => { out.push({ from, to }); });
+  return out;
+}
+
+describe('callouts', () => {
+  const doc = '> [!warning] Mind the gap\n> Body text\n> more\n\nafter';
+
+  it('colours every line of the callout by type', () => {
+    load(doc);
+    const decos = markdownDecos();
+    expect(lineClasses(decos, 'cm-md-callout-warning')).toHaveLength(3);
+    expect(lineClasses(decos, 'cm-md-callout-header-line')).toHaveLength(1);
+    expect(lineClasses(decos, 'cm-md-blockquote')).toHaveLength(3);
+  });
+
+  it('replaces the header with an icon widget while the cursor is away', () => {
+    load(doc);
+    const [header] = headers();
+    expect(header.from).toBe(0);
+    expect(header.to).toBe(doc.indexOf('\n'));
+    expect(header.widget.type).toBe('warning');
+    expect(header.widget.title).toBe('Mind the gap');
+    expect(header.widget.collapsible).toBe(false);
+  });
+
+  it('shows the header source when the cursor is on it', () => {
+    load(doc);
+    moveCursor(5);
+    expect(headers()).toHaveLength(0);
+    moveCursor(doc.length);
+    expect(headers()).toHaveLength(1);
+  });
+
+  it('resolves aliases, unknown types and default titles', () => {
+    load('> [!hint]\n> a\n\n> [!custom] Mine\n> b\n\nend');
+    const [hint, custom] = headers();
+    expect(hint.widget.type).toBe('tip');
+    expect(hint.widget.title).toBe('Hint');
+    expect(custom.widget.type).toBe('note');
+    expect(custom.widget.title).toBe('Mine');
+  });
+
+  it('leaves plain blockquotes alone', () => {
+    load('> just a quote\n> [!note] not a header\n\nend');
+    expect(headers()).toHaveLength(0);
+    expect(lineClasses(markdownDecos(), 'cm-md-callout')).toHaveLength(0);
+  });
+
+  it('starts "-" callouts collapsed and toggles them', () => {
+    const collapsed = '> [!todo]- Later\n> - one\n> - two\n\nend';
+    load(collapsed);
+    const bodyFrom = collapsed.indexOf('\n');
+    const bodyTo = collapsed.indexOf('\n\n');
+    expect(folds()).toEqual([{ from: bodyFrom, to: bodyTo }]);
+    expect(headers()[0].widget.folded).toBe(true);
+
+    expect(editor.toggleCallout(view(), 0)).toBe(true);
+    expect(folds()).toEqual([]);
+    expect(headers()[0].widget.folded).toBe(false);
+
+    editor.toggleCallout(view(), 0);
+    expect(folds()).toEqual([{ from: bodyFrom, to: bodyTo }]);
+  });
+
+  it('starts "+" callouts expanded', () => {
+    load('> [!tip]+ Open\n> body\n\nend');
+    expect(folds()).toEqual([]);
+    const [header] = headers();
+    expect(header.widget.collapsible).toBe(true);
+    expect(header.widget.folded).toBe(false);
+  });
+
+  it('collapses "-" callouts beyond the initially parsed part of a long note', () => {
+    const filler = Array.from({ length: 6000 }, (_, i) => `Paragraph ${i} with **bold** text.\n`).join('\n');
+    const doc = `${filler}\n> [!note]- Late\n> hidden body\n`;
+    window.setContent(doc);
+    const header = doc.indexOf('> [!note]');
+    expect(folds()).toEqual([{ from: doc.indexOf('\n', header), to: doc.length - 1 }]);
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { CompletionContext } from '@codemirror/autocomplete';
+import { bootEditor, load, moveCursor, view, markdownDecos, widgetsOf } from './helpers.js';
+
+let editor;
+
+beforeAll(async () => {
+  editor = await bootEditor();
+});
+
+function complete(pos = view().state.selection.main.head, explicit = false) {
+  return editor.markdownCompletions(new CompletionContext(view().state, pos, explicit));
+}
+
+function labels(result) {
+  return result.options.map((o) => o.label);
+}
+
+function scope(doc, pos = doc.length) {
+  load(doc, pos);
+  return editor.completionScope(view().state, pos);
+}
+
+describe('completion scope', () => {
+  it('tells prose, fence info, code and math apart', () => {
+    expect(scope('plain text')).toBe('text');
+    expect(scope('```py')).toBe('fence');
+    expect(scope('```py\nx = 1\n```', 8)).toBe('code');
+    expect(scope('a `co')).toBe('text');
+    expect(scope('a `code` b', 5)).toBe('code');
+    expect(scope('$$\n\\fr')).toBe('math');
+  });
+
+  it('treats open and closed inline math as math, and prose after it as text', () => {
+    expect(scope('cost $\\al')).toBe('math');
+    expect(scope('cost $x$ and', 7)).toBe('math');
+    expect(scope('cost $x$ and')).toBe('text');
+    expect(scope('price \\$5 :sm')).toBe('text');
+  });
+});
+
+describe('fence languages', () => {
+  it('suggests the languages findLanguage knows', () => {
+    load('```py');
+    const result = complete();
+    expect(result.from).toBe(3);
+    expect(labels(result)).toContain('python');
+    expect(labels(result)).toContain('mermaid');
+  });
+});
+
+describe('emoji shortcodes', () => {
+  it('suggests shortcodes after ":" and two characters', () => {
+    load('Nice :sm');
+    const result = complete();
+    expect(result.from).toBe(5);
+    const smile = result.options.find((o) => o.label === ':smile:');
+    expect(smile.detail).toBe('😄');
+  });
+
+  it('stays closed for times, words and code', () => {
+    load('at 10:30');
+    expect(complete()).toBeNull();
+    load('key:va');
+    expect(complete()).toBeNull();
+    load('```\n:sm\n```', 7);
+    expect(complete()).toBeNull();
+  });
+
+  it('renders a known shortcode as the emoji once the cursor leaves', () => {
+    const doc = 'Ship it :rocket: now';
+    load(doc, doc.length);
+    const [emoji] = widgetsOf(markdownDecos(), editor.EmojiWidget);
+    expect(emoji.from).toBe(8);
+    expect(emoji.to).toBe(16);
+    expect(emoji.widget.toDOM().textContent).toBe('🚀');
+
+    moveCursor(12);
+    expect(widgetsOf(markdownDecos(), editor.EmojiWidget)).toHaveLength(0);
+  });
+
+  it('leaves unknown names and colon runs as text', () => {
+    load('a :notanemoji: at 12:100:30 b', 0);
+    expect(widgetsOf(markdownDecos(), editor.EmojiWidget)).toHaveLength(0);
+  });
+
+  it('exports the emoji character', () => {
+    const html = editor.renderHTML('Done :white_check_mark: at 10:30:00', { standalone: false, inlineCSS: false });
+    expect(html).toContain('Done ✅ at 10:30:00');
+  });
+});
+
+describe('KaTeX commands', () => {
+  it('suggests commands after a backslash inside math', () => {
+    load('area $\\fr');
+    const result = complete();
+    expect(result.from).toBe(6);
+    expect(labels(result)).toContain('\\frac');
+    expect(labels(result)).toContain('\\alpha');
+  });
+
+  it('waits for a letter unless asked, so \\\\ row breaks stay quiet', () => {
+    load('$$\n1 & 2 \\');
+    expect(complete()).toBeNull();
+    expect(complete(undefined, true)).not.toBeNull();
+  });
+
+  it('completes environments, multi-line in blocks and inline in $...$', () => {
+    load('$$\n\\begin{pm');
+    const block = complete();
+    const pmatrix = block.options.find((o) => o.label === '\\begin{pmatrix}');
+    pmatrix.apply(view(), pmatrix, block.from, view().state.doc.length);
+    expect(view().state.doc.toString()).toBe('$$\n\\begin{pmatrix}\n  \n\\end{pmatrix}');
+
+    load('$\\begin{ca');
+    const inline = complete();
+    const cases = inline.options.find((o) => o.label === '\\begin{cases}');
+    cases.apply(view(), cases, inline.from, view().state.doc.length);
+    expect(view().state.doc.toString()).toBe('$\\begin{cases}  \\end{cases}');
+  });
+
+  it('does not offer KaTeX outside math', () => {
+    load('see \\frac');
+    expect(complete()).toBeNull();
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { Decoration } from '@codemirror/view';
+import {
+  bootEditor, view, load, moveCursor, decoList, markdownDecos, widgetsOf, lineClasses,
+} from './helpers.js';
+
+let editor;
+
+beforeAll(async () => {
+  editor = await bootEditor();
+});
+
+describe('buildMarkdownDecos', () => {
+  it('adds heading line classes', () => {
+    load('# One\n\n### Three\n\ntext');
+    const decos = markdownDecos();
+    expect(lineClasses(decos, 'cm-heading-1')).toHaveLength(1);
+    expect(lineClasses(decos, 'cm-heading-3')).toHaveLength(1);
+  });
+
+  it('marks the cursor line only', () => {
+    const doc = 'first\nsecond\nthird';
+    load(doc, doc.indexOf('second'));
+    const cursorLines = lineClasses(markdownDecos(), 'cm-cursor-line');
+    expect(cursorLines).toHaveLength(1);
+    expect(cursorLines[0].from).toBe(doc.indexOf('second'));
+  });
+
+  it('renders task checkboxes when the cursor is elsewhere', () => {
+    const doc = '- [ ] todo\n- [x] done\n\nafter';
+    load(doc);
+    const boxes = widgetsOf(markdownDecos(), editor.TaskCheckboxWidget);
+    expect(boxes.map((b) => b.widget.checked)).toEqual([false, true]);
+    expect(boxes[0].from).toBe(0);
+    expect(boxes[0].to).toBe(5);
+  });
+
+  it('unfolds a task marker when the cursor is inside it', () => {
+    const doc = '- [ ] todo\n- [x] done';
+    load(doc, 3);
+    const boxes = widgetsOf(markdownDecos(), editor.TaskCheckboxWidget);
+    expect(boxes).toHaveLength(1);
+    expect(boxes[0].widget.checked).toBe(true);
+  });
+
+  it('replaces bullet and ordered markers off the cursor line', () => {
+    const doc = '- apple\n- pear\n\n1. one\n2. two\n\nend';
+    load(doc);
+    const decos = markdownDecos();
+    expect(widgetsOf(decos, editor.BulletMarkerWidget)).toHaveLength(2);
+    expect(widgetsOf(decos, editor.OrderedMarkerWidget).map((d) => d.widget.number)).toEqual([1, 2]);
+  });
+
+  it('shows the raw list marker on the cursor line', () => {
+    const doc = '- apple\n- pear\n\nend';
+    load(doc, 3);
+    const decos = markdownDecos();
+    expect(widgetsOf(decos, editor.BulletMarkerWidget)).toHaveLength(1);
+    expect(lineClasses(decos, 'cm-md-list-mark')).toHaveLength(1);
+  });
+
+  it('replaces inline code unless the cursor is inside', () => {
+    const doc = 'run `npm test` now';
+    load(doc);
+    const code = widgetsOf(markdownDecos(), editor.InlineCodeWidget);
+    expect(code).toHaveLength(1);
+    expect(code[0].widget.code).toBe('npm test');
+
+    moveCursor(doc.indexOf('test'));
+    expect(widgetsOf(markdownDecos(), editor.InlineCodeWidget)).toHaveLength(0);
+  });
+
+  it('toggles the editing class on horizontal rules', () => {
+    const doc = 'above\n\n---\n\nbelow';
+    load(doc);
+    let decos = markdownDecos();
+    expect(widgetsOf(decos, editor.HROverlayWidget)).toHaveLength(1);
+    expect(lineClasses(decos, 'cm-hr-editing')).toHaveLength(0);
+
+    moveCursor(doc.indexOf('---') + 1);
+    decos = markdownDecos();
+    expect(lineClasses(decos, 'cm-hr-editing')).toHaveLength(1);
+  });
+
+  it('suppresses every unfold in snapshot mode', () => {
+    const doc = '- [ ] todo\n`code`';
+    window.setContentForSnapshot(doc);
+    moveCursor(3);
+    const decos = markdownDecos();
+    expect(widgetsOf(decos, editor.TaskCheckboxWidget)).toHaveLength(1);
+    expect(widgetsOf(decos, editor.InlineCodeWidget)).toHaveLength(1);
+    expect(lineClasses(decos, 'cm-cursor-line')).toHaveLength(0);
+    window.endSnapshotMode();
+  });
+});
+
+describe('incremental decoration layers', () => {
+  const fixture = [
+    '# Title', '', '- one', '- [ ] task', '1. first', '',
+    'Some `code` and ![img](a.png)', '', '---', '', '> quote', '',
+    '```js', 'let x = 1;', '```', '', 'last **bold** line',
+  ].join('\n');
+
+  // Comparable shape of the plugin's layers
+  function shape(decos) {
+    return decos
+      .map((d) => ({ from: d.from, to: d.to, class: d.class, widget: d.widget?.constructor.name || null }))
+      .sort((a, b) => a.from - b.from || a.to - b.to || String(a.class).localeCompare(String(b.class)));
+  }
+
+  // What a from-scratch rebuild produces for the current state
+  function scratch() {
+    const { state, visibleRanges } = view();
+    const built = editor.buildMarkdownDecos(state, visibleRanges);
+    const folds = Decoration.set(editor.buildFoldDecos(state, built.foldables, 0, state.doc.length), true);
+    return shape([...decoList(built.decorations), ...decoList(folds)]);
+  }
+
+  it('matches a full rebuild through cursor moves and edits', () => {
+    load(fixture, 0);
+    const v = view();
+    const steps = [
+      () => moveCursor(fixture.indexOf('task')),
+      () => moveCursor(fixture.indexOf('code')),
+      () => moveCursor(fixture.indexOf('---')),
+      () => moveCursor(fixture.indexOf('img')),
+      () => v.dispatch({ changes: { from: 0, insert: '## ' } }),
+      () => v.dispatch({ changes: { from: v.state.doc.toString().indexOf('> quote'), insert: '```\n' } }),
+      () => moveCursor(v.state.doc.length),
+      () => v.dispatch({ changes: { from: v.state.doc.toString().indexOf('```\n> quote'), to: v.state.doc.toString().indexOf('> quote') } }),
+      () => v.dispatch({ changes: { from: v.state.doc.length, insert: '\n- new item' } }),
+    ];
+    for (const step of steps) {
+      step();
+      expect(shape(markdownDecos())).toEqual(scratch());
+    }
+  });
+
+  it('does not touch the static layer when only the cursor moves', () => {
+    load(fixture, 0);
+    const plugin = view().plugin(editor.markdownDecoPlugin);
+    const before = plugin.decorations;
+    moveCursor(fixture.indexOf('task'));
+    moveCursor(fixture.indexOf('bold'));
+    expect(plugin.decorations).toBe(before);
+  });
+});
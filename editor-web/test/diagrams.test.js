@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import mermaid from 'mermaid';
+import { bootEditor, load, moveCursor, view, decoList, widgetsOf, lineClasses } from './helpers.js';
+
+// jsdom can't lay out SVG, so stand in for mermaid's renderer
+vi.mock('mermaid', () => ({
+  default: {
+    initialize: vi.fn(),
+    render: vi.fn(async (id, source) => {
+      if (source.includes('oops')) throw new Error('Parse error on line 2:\nExpecting NODE');
+      return { svg: `<svg id="${id}"><text>${source.length}</text></svg>` };
+    }),
+  },
+}));
+
+let editor;
+
+beforeAll(async () => {
+  editor = await bootEditor();
+});
+
+function diagramDecos() {
+  return decoList(view().state.field(editor.diagramRenderField).decorations);
+}
+
+// Wait for the async render to dispatch its rebuild
+async function loadRendered(doc, cursor) {
+  load(doc, cursor);
+  await vi.waitFor(() => {
+    const decos = diagramDecos();
+    if (!widgetsOf(decos, editor.DiagramOverlayWidget).length &&
+        !widgetsOf(decos, editor.DiagramErrorWidget).length) {
+      throw new Error('diagram not rendered yet');
+    }
+  });
+}
+
+describe('diagram previews', () => {
+  const doc = 'intro\n```mermaid\ngraph TD\n  A --> B\n```\noutro';
+
+  it('overlays a rendered mermaid block once the SVG is ready', async () => {
+    await loadRendered(doc, 0);
+    const decos = diagramDecos();
+    const overlays = widgetsOf(decos, editor.DiagramOverlayWidget);
+    expect(overlays).toHaveLength(1);
+    expect(overlays[0].from).toBe(doc.indexOf('```'));
+    expect(overlays[0].widget.svg).toContain('<svg');
+    expect(lineClasses(decos, 'cm-diagram-source-line')).toHaveLength(4);
+  });
+
+  it('shows the source while the cursor is inside the block', async () => {
+    await loadRendered(doc, 0);
+    moveCursor(doc.indexOf('A -->'));
+    expect(diagramDecos()).toHaveLength(0);
+  });
+
+  it('leaves other fenced languages alone', () => {
+    load('```js\nconst a = 1;\n```\n', 0);
+    expect(diagramDecos()).toHaveLength(0);
+  });
+
+  it('keeps the source and adds an inline error on parse failure', async () => {
+    const bad = '```mermaid\ngraph TD\n  oops -->\n```\nafter';
+    await loadRendered(bad, bad.length);
+    const decos = diagramDecos();
+    expect(widgetsOf(decos, editor.DiagramOverlayWidget)).toHaveLength(0);
+    expect(lineClasses(decos, 'cm-diagram-source-line')).toHaveLength(0);
+    const errors = widgetsOf(decos, editor.DiagramErrorWidget);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].widget.message).toBe('Parse error on line 2:');
+  });
+
+  it('steps over a rendered diagram with the arrow keys', async () => {
+    await loadRendered(doc, 0);
+    view().contentDOM.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown', bubbles: true }));
+    expect(view().state.selection.main.head).toBe(doc.indexOf('outro'));
+  });
+
+  it('exports rendered diagrams as SVG', async () => {
+    await loadRendered(doc, 0);
+    const html = editor.renderHTML(doc, { standalone: false, inlineCSS: false });
+    expect(html).toContain('<div class="diagram"><svg');
+    expect(html).not.toContain('A --&gt; B');
+  });
+
+  it('re-renders with the dark mermaid theme after an appearance switch', async () => {
+    await loadRendered(doc, 0);
+    const renders = mermaid.render.mock.calls.length;
+    window.setAppearance('dark');
+    try {
+      expect(mermaid.initialize).toHaveBeenLastCalledWith(expect.objectContaining({ theme: 'dark' }));
+      await vi.waitFor(() => {
+        if (!widgetsOf(diagramDecos(), editor.DiagramOverlayWidget).length) {
+          throw new Error('diagram not rendered yet');
+        }
+      });
+      expect(mermaid.render.mock.calls.length).toBe(renders + 1);
+    } finally {
+      window.setAppearance(null);
+    }
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { bootEditor, load } from './helpers.js';
+
+let editor;
+
+beforeAll(async () => {
+  editor = await bootEditor();
+});
+
+function fragment(doc) {
+  return editor.renderHTML(doc, { standalone: false, inlineCSS: false });
+}
+
+describe('exportHTML', () => {
+  it('renders GFM tables and strikethrough', () => {
+    const html = fragment('| a | b |\n|:-|-:|\n| 1 | 2 |\n\n~~old~~');
+    expect(html).toContain('<table>');
+    expect(html).toContain('<th style="text-align:left">a</th>');
+    expect(html).toContain('<s>old</s>');
+  });
+
+  it('renders task lists as checkboxes', () => {
+    const html = fragment('- [ ] todo\n- [x] done\n- plain');
+    expect(html).toContain('<li class="task-list-item"><input type="checkbox" disabled> todo</li>');
+    expect(html).toContain('<input type="checkbox" disabled checked> done');
+    expect(html).toContain('<li>plain</li>');
+  });
+
+  it('renders ==mark== and wiki links', () => {
+    const html = fragment('a ==bright== [[Other note]]');
+    expect(html).toContain('<mark>bright</mark>');
+    expect(html).toContain('<span class="wikilink">Other note</span>');
+  });
+
+  it('renders inline and block math with KaTeX', () => {
+    const html = fragment('Energy $E=mc^2$ here\n\n$$\n\\int_0^1 x\\,dx\n$$\n\nafter');
+    expect(html).toContain('class="katex"');
+    expect(html).toContain('<div class="math-block"><span class="katex-display">');
+    expect(html).toContain('<p>after</p>');
+    expect(html).not.toContain('$');
+  });
+
+  it('does not treat dollars in code as math', () => {
+    const html = fragment('`$x$`\n\n```sh\necho $HOME\n```');
+    expect(html).not.toContain('katex');
+    expect(html).toContain('$HOME');
+  });
+
+  it('highlights fenced code with the editor languages', () => {
+    const html = fragment('```js\nconst x = "s";\n```');
+    expect(html).toContain('<span class="tok-keyword">const</span>');
+    expect(html).toContain('<span class="tok-string">&quot;s&quot;</span>');
+  });
+
+  it('builds a standalone document with inline styles', () => {
+    load('# Shopping list\n\n- milk');
+    const html = window.exportHTML();
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<title>Shopping list</title>');
+    expect(html).toContain('<style>');
+    expect(html).toContain('<h1>Shopping list</h1>');
+  });
+
+  it('links the KaTeX stylesheet when CSS is not inlined', () => {
+    load('x');
+    const html = window.exportHTML({ inlineCSS: false, title: 'T' });
+    expect(html).toContain('katex.min.css');
+    expect(html).not.toContain('<style>');
+    expect(html).toContain('<title>T</title>');
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { syntaxTree } from '@codemirror/language';
+import { bootEditor, load, moveCursor, view, markdownDecos, lineClasses } from './helpers.js';
+
+let editor;
+
+beforeAll(async () => {
+  editor = await bootEditor();
+});
+
+function nodes(name) {
+  const found = [];
+  syntaxTree(view().state).iterate({
+    enter(n) {
+      if (n.name === name) found.push(view().state.sliceDoc(n.from, n.to));
+    },
+  });
+  return found;
+}
+
+function markClasses(cls) {
+  return markdownDecos().filter((d) => d.class === cls);
+}
+
+describe('footnotes', () => {
+  const doc = 'Claim[^1] and more[^note].\n\n[^1]: First source\n    continued here.\n[^note]: Second.';
+
+  it('parses references and definitions', () => {
+    load(doc, 0);
+    expect(nodes('FootnoteReference')).toEqual(['[^1]', '[^note]']);
+    expect(nodes('FootnoteDefinition')).toEqual(['[^1]: First source\n    continued here.', '[^note]: Second.']);
+    expect(nodes('LinkReference')).toEqual([]);
+  });
+
+  it('hides footnote markers like emphasis markers', () => {
+    load(doc, 0);
+    expect(markClasses('cm-md-footnote-ref')).toHaveLength(2);
+    const markers = markClasses('cm-md-marker').map((d) => view().state.sliceDoc(d.from, d.to));
+    expect(markers).toEqual(expect.arrayContaining(['[^', ']', ']:']));
+    expect(lineClasses(markdownDecos(), 'cm-md-footnote-def')).toHaveLength(3);
+  });
+
+  it('jumps from a reference to its definition and back', () => {
+    load(doc, 0);
+    const state = view().state;
+    const toDef = editor.footnoteJumpTarget(state, doc.indexOf('[^1]') + 2);
+    expect(toDef).toBe(doc.indexOf('First source'));
+    const back = editor.footnoteJumpTarget(state, doc.indexOf('[^1]:') + 1);
+    expect(back).toBe(doc.indexOf('[^1]'));
+    // Clicking the definition's text is not a jump
+    expect(editor.footnoteJumpTarget(state, doc.indexOf('source'))).toBeNull();
+  });
+
+  it('previews the footnote text on hover', () => {
+    load(doc, 0);
+    const tooltip = editor.footnoteTooltip(view(), doc.indexOf('[^1]') + 2, 1);
+    expect(tooltip.pos).toBe(doc.indexOf('[^1]'));
+    expect(tooltip.create().dom.textContent).toBe('First source continued here.');
+    expect(editor.footnoteTooltip(view(), doc.indexOf('Claim'), 1)).toBeNull();
+  });
+
+  it('has no preview for an undefined footnote', () => {
+    const orphan = 'See[^missing].';
+    load(orphan, 0);
+    expect(editor.footnoteTooltip(view(), orphan.indexOf('^'), 1)).toBeNull();
+  });
+});
+
+describe('superscript and subscript', () => {
+  it('styles ^sup^ and ~sub~ and keeps ~~strike~~', () => {
+    load('x^2^ and H~2~O, ~~gone~~', 0);
+    expect(nodes('Superscript')).toEqual(['^2^']);
+    expect(nodes('Subscript')).toEqual(['~2~']);
+    expect(nodes('Strikethrough')).toEqual(['~~gone~~']);
+    expect(markClasses('cm-md-sup')).toHaveLength(1);
+    expect(markClasses('cm-md-sub')).toHaveLength(1);
+  });
+});
+
+describe('definition lists', () => {
+  const doc = 'Intro\n\nApple\n: A red fruit\n: Also a company\n\nPlain paragraph\nwith two lines\n: not a definition';
+
+  it('parses a term followed by ": description" lines', () => {
+    load(doc, 0);
+    expect(nodes('DefinitionTerm')).toEqual(['Apple']);
+    expect(nodes('DefinitionDescription')).toEqual([': A red fruit', ': Also a company']);
+  });
+
+  it('styles terms and descriptions with hidden ":" markers', () => {
+    load(doc, 0);
+    expect(markClasses('cm-md-definition-term')).toHaveLength(1);
+    expect(lineClasses(markdownDecos(), 'cm-md-definition')).toHaveLength(2);
+    moveCursor(doc.indexOf('A red'));
+    expect(lineClasses(markdownDecos(), 'cm-cursor-line')[0].from).toBe(doc.indexOf(': A red'));
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import { EditorSelection } from '@codemirror/state';
+import { runScopeHandlers } from '@codemirror/view';
+import { bootEditor, view, load, bridgeMessages, clearBridgeMessages } from './helpers.js';
+
+beforeAll(async () => {
+  await bootEditor();
+});
+
+beforeEach(() => {
+  clearBridgeMessages();
+});
+
+// Let promise-based bridge replies run
+function settle() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+function press(key, mods = {}) {
+  return runScopeHandlers(view(), new KeyboardEvent('keydown', { key, ctrlKey: true, ...mods }), 'editor');
+}
+
+function select(...ranges) {
+  view().dispatch({
+    selection: EditorSelection.create(ranges.map(([a, h = a]) => EditorSelection.range(a, h))),
+  });
+}
+
+function doc() {
+  return view().state.doc.toString();
+}
+
+function selectedTexts() {
+  return view().state.selection.ranges.map((r) => view().state.sliceDoc(r.from, r.to));
+}
+
+describe('toggle formatting', () => {
+  it('wraps and then unwraps bold', () => {
+    load('make this bold');
+    select([10, 14]);
+    press('b');
+    expect(doc()).toBe('make this **bold**');
+    expect(selectedTexts()).toEqual(['bold']);
+    press('b');
+    expect(doc()).toBe('make this bold');
+    expect(selectedTexts()).toEqual(['bold']);
+  });
+
+  it('unwraps when the selection covers the markers too', () => {
+    load('x **bold** y');
+    select([2, 10]);
+    press('b');
+    expect(doc()).toBe('x bold y');
+  });
+
+  it('unwraps from a cursor inside the node', () => {
+    load('a `code` b');
+    select([5]);
+    press('e');
+    expect(doc()).toBe('a code b');
+  });
+
+  it('does not confuse italic with bold', () => {
+    load('**bold**');
+    select([2, 6]);
+    press('i');
+    expect(doc()).toBe('***bold***');
+  });
+
+  it('toggles strikethrough', () => {
+    load('~~gone~~');
+    select([3]);
+    press('x', { shiftKey: true });
+    expect(doc()).toBe('gone');
+  });
+
+  it('toggles ==highlight==', () => {
+    load('mark this');
+    select([5, 9]);
+    press('h', { shiftKey: true });
+    expect(doc()).toBe('mark ==this==');
+    expect(selectedTexts()).toEqual(['this']);
+    press('h', { shiftKey: true });
+    expect(doc()).toBe('mark this');
+  });
+
+  it('inserts an empty pair at a bare cursor', () => {
+    load('ab');
+    select([1]);
+    press('i');
+    expect(doc()).toBe('a**b');
+    expect(view().state.selection.main.head).toBe(2);
+  });
+
+  it('handles every selection range', () => {
+    load('one two **three**');
+    select([0, 3], [4, 7], [10, 15]);
+    press('b');
+    expect(doc()).toBe('**one** **two** three');
+  });
+});
+
+describe('Cmd+K links', () => {
+  it('selects the url placeholder for typing', () => {
+    load('docs');
+    select([0, 4]);
+    press('k');
+    expect(doc()).toBe('[docs](url)');
+    expect(selectedTexts()).toEqual(['url']);
+  });
+
+  it('fills the placeholder from a clipboard URL', async () => {
+    load('docs');
+    select([0, 4]);
+    press('k');
+    const [req] = bridgeMessages('readClipboard');
+    window.receiveClipboard(req.requestId, 'https://example.com/a ');
+    await vi.waitFor(() => expect(doc()).toBe('[docs](https://example.com/a)'));
+    expect(view().state.selection.main.head).toBe(doc().length);
+  });
+
+  it('ignores non-URL clipboard text and late replies', async () => {
+    load('docs');
+    select([0, 4]);
+    press('k');
+    const [req] = bridgeMessages('readClipboard');
+    window.receiveClipboard(req.requestId, 'just words');
+    await settle();
+    expect(doc()).toBe('[docs](url)');
+
+    clearBridgeMessages();
+    load('more');
+    select([0, 4]);
+    press('k');
+    const [req2] = bridgeMessages('readClipboard');
+    view().dispatch({ changes: { from: 7, to: 10, insert: 'typed' } });
+    window.receiveClipboard(req2.requestId, 'https://example.com');
+    await settle();
+    expect(doc()).toBe('[more](typed)');
+  });
+
+  it('uses a selected URL as the target', () => {
+    load('https://example.com');
+    select([0, 19]);
+    press('k');
+    expect(doc()).toBe('[](https://example.com)');
+    expect(view().state.selection.main.head).toBe(1);
+    expect(bridgeMessages('readClipboard')).toHaveLength(0);
+  });
+
+  it('unwraps an existing link to its text', () => {
+    load('see [site](https://x.y) now');
+    select([6]);
+    press('k');
+    expect(doc()).toBe('see site now');
+  });
+});
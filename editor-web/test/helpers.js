@@ -0,0 +1,77 @@
+// Shared helpers: boot the editor once per test file and inspect its output.
+
+import { EditorSelection } from '@codemirror/state';
+import { forceParsing } from '@codemirror/language';
+
+let editor = null;
+
+// Import editor.js and run its DOMContentLoaded bootstrap (jsdom has already
+// fired the real event by the time the module loads)
+export async function bootEditor() {
+  if (editor) return editor;
+  editor = await import('../src/editor.js');
+  document.dispatchEvent(new Event('DOMContentLoaded'));
+  return editor;
+}
+
+export function view() {
+  return editor.editorView;
+}
+
+// Load a fixture as a fresh note and place the cursor (defaults to doc end).
+// Parsing is time-sliced, so finish it before tests inspect the tree.
+export function load(doc, cursor = doc.length) {
+  window.setContent(doc);
+  forceParsing(view(), doc.length, 5000);
+  view().dispatch({ selection: EditorSelection.cursor(cursor) });
+}
+
+export function moveCursor(pos) {
+  view().dispatch({ selection: EditorSelection.cursor(pos) });
+}
+
+// Flatten a DecorationSet into { from, to, widget, class } records
+export function decoList(set) {
+  const out = [];
+  const cursor = set.iter();
+  while (cursor.value) {
+    const spec = cursor.value.spec;
+    out.push({
+      from: cursor.from,
+      to: cursor.to,
+      widget: spec.widget || null,
+      class: spec.class || spec.attributes?.class || null,
+    });
+    cursor.next();
+  }
+  return out;
+}
+
+// Both layers of markdownDecoPlugin (static + cursor-dependent folds)
+export function markdownDecos() {
+  const plugin = view().plugin(editor.markdownDecoPlugin);
+  return [...decoList(plugin.decorations), ...decoList(plugin.folds)]
+    .sort((a, b) => a.from - b.from || a.to - b.to);
+}
+
+export function mathDecos() {
+  return decoList(view().state.field(editor.mathRenderField));
+}
+
+export function widgetsOf(decos, WidgetClass) {
+  return decos.filter((d) => d.widget instanceof WidgetClass);
+}
+
+export function lineClasses(decos, cls) {
+  return decos.filter((d) => d.class && d.class.split(' ').includes(cls));
+}
+
+// Messages posted to the mocked window.webkit.messageHandlers.bridge
+export function bridgeMessages(action) {
+  const calls = window.webkit.messageHandlers.bridge.postMessage.mock.calls.map((c) => c[0]);
+  return action ? calls.filter((m) => m.action === action) : calls;
+}
+
+export function clearBridgeMessages() {
+  window.webkit.messageHandlers.bridge.postMessage.mockClear();
+}
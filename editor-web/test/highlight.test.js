@@ -0,0 +1,56 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { syntaxTree } from '@codemirror/language';
+import { bootEditor, load, moveCursor, view, markdownDecos, lineClasses } from './helpers.js';
+
+let editor;
+
+beforeAll(async () => {
+  editor = await bootEditor();
+});
+
+function highlights() {
+  const found = [];
+  syntaxTree(view().state).iterate({
+    enter(n) {
+      if (n.name === 'Highlight') found.push(view().state.sliceDoc(n.from, n.to));
+    },
+  });
+  return found;
+}
+
+describe('==highlight==', () => {
+  it('parses ==text== as a Highlight node', () => {
+    load('Some ==marked **bold**== text', 0);
+    expect(highlights()).toEqual(['==marked **bold**==']);
+  });
+
+  it('leaves comparisons and unmatched markers literal', () => {
+    load('if a == b and c == d\n\n=== heading-ish ===\n\n==open', 0);
+    expect(highlights()).toEqual([]);
+  });
+
+  it('decorates the text and hides the == markers off the cursor line', () => {
+    const doc = 'Some ==marked== text\n\nnext line';
+    load(doc, doc.length);
+    const decos = markdownDecos();
+    const marks = decos.filter((d) => d.class === 'cm-md-highlight');
+    expect(marks).toHaveLength(1);
+    expect(view().state.sliceDoc(marks[0].from, marks[0].to)).toBe('==marked==');
+    const markers = decos.filter((d) => d.class === 'cm-md-marker').map((d) => view().state.sliceDoc(d.from, d.to));
+    expect(markers).toEqual(['==', '==']);
+
+    moveCursor(doc.indexOf('marked'));
+    expect(lineClasses(markdownDecos(), 'cm-cursor-line')[0].from).toBe(0);
+  });
+
+  it('derives the highlight colour from the note colour', () => {
+    window.setNoteColor('blue');
+    const blue = document.documentElement.style.getPropertyValue('--md-highlight');
+    window.setNoteColor('pink');
+    const pink = document.documentElement.style.getPropertyValue('--md-highlight');
+    expect(blue).toBe(editor.highlightColorFor('#E3F2FD'));
+    expect(pink).toBe(editor.highlightColorFor('#FCE4EC'));
+    expect(blue).not.toBe(pink);
+    expect(editor.highlightColorFor('#FFF9C4')).toMatch(/^hsla\(5\d, 95%, 58%, 0\.45\)$/);
+  });
+});
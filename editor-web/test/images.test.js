@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import {
+  bootEditor, view, load, markdownDecos, widgetsOf, bridgeMessages, clearBridgeMessages,
+} from './helpers.js';
+
+let editor;
+
+beforeAll(async () => {
+  editor = await bootEditor();
+});
+
+beforeEach(() => {
+  clearBridgeMessages();
+});
+
+function paste(files) {
+  const event = new Event('paste', { bubbles: true, cancelable: true });
+  event.clipboardData = { files, getData: () => '' };
+  view().contentDOM.dispatchEvent(event);
+  return event;
+}
+
+describe('image widget', () => {
+  it('renders images when the cursor is off the line', () => {
+    load('![cat](/Users/me/cat.png)\n\ntext');
+    const images = widgetsOf(markdownDecos(), editor.ImageWidget);
+    expect(images).toHaveLength(1);
+    expect(images[0].widget.alt).toBe('cat');
+    const img = images[0].widget.toDOM(view()).querySelector('img');
+    expect(img.getAttribute('src')).toBe('attachment:///Users/me/cat.png');
+  });
+
+  it('loads file URLs through the attachment scheme', () => {
+    load('![cat](file:///Users/me/cat%201.png)\n\ntext');
+    const img = widgetsOf(markdownDecos(), editor.ImageWidget)[0].widget.toDOM(view()).querySelector('img');
+    expect(img.getAttribute('src')).toBe('attachment:///Users/me/cat%201.png');
+  });
+
+  it('passes data URIs through untouched', () => {
+    const uri = 'data:image/png;base64,iVBORw0KGgo=';
+    load(`![](${uri})\n\ntext`);
+    const img = widgetsOf(markdownDecos(), editor.ImageWidget)[0].widget.toDOM(view()).querySelector('img');
+    expect(img.getAttribute('src')).toBe(uri);
+  });
+
+  it('shows the source on the cursor line', () => {
+    load('![cat](cat.png)', 3);
+    expect(widgetsOf(markdownDecos(), editor.ImageWidget)).toHaveLength(0);
+  });
+});
+
+describe('image paste', () => {
+  it('sends saveAttachment and swaps the placeholder for the saved path', async () => {
+    load('before ', 7);
+    const file = new File([new Uint8Array([1, 2, 3])], 'shot.png', { type: 'image/png' });
+    const event = paste([file]);
+    expect(event.defaultPrevented).toBe(true);
+    expect(window.getContent()).toMatch(/^before !\[Saving image…\]\(attachment-pending:\S+\)$/);
+
+    await vi.waitFor(() => expect(bridgeMessages('saveAttachment')).toHaveLength(1));
+    const [msg] = bridgeMessages('saveAttachment');
+    expect(msg).toMatchObject({ filename: 'shot.png', mimeType: 'image/png', data: 'AQID' });
+
+    window.attachmentSaved(msg.requestId, '/tmp/My Shots/a.png', 'shot');
+    await vi.waitFor(() => expect(window.getContent()).toBe('before ![shot](</tmp/My Shots/a.png>)'));
+  });
+
+  it('removes the placeholder when saving fails', async () => {
+    load('', 0);
+    paste([new File([new Uint8Array([1])], 'a.gif', { type: 'image/gif' })]);
+    const id = window.getContent().match(/attachment-pending:(\S+)\)/)[1];
+    window.attachmentFailed(id, 'disk full');
+    expect(window.getContent()).toBe('');
+    expect(bridgeMessages('error').at(-1).message).toContain('disk full');
+    // Let the file read finish before jsdom is torn down
+    await vi.waitFor(() => expect(bridgeMessages('saveAttachment')).toHaveLength(1));
+  });
+
+  it('escapes brackets in the alt text', () => {
+    load('', 0);
+    paste([new File([new Uint8Array([1])], 'a.png', { type: 'image/png' })]);
+    const id = window.getContent().match(/attachment-pending:(\S+)\)/)[1];
+    window.attachmentSaved(id, '/tmp/a.png', 'shot [1] \\ final]');
+    expect(window.getContent()).toBe('![shot \\[1\\] \\\\ final\\]](/tmp/a.png)');
+  });
+
+  it('swaps the placeholder in its own note after a switch', () => {
+    window.setCurrentNoteId('IMG-A');
+    load('a: ', 3);
+    paste([new File([new Uint8Array([1])], 'a.png', { type: 'image/png' })]);
+    const id = window.getContent().match(/attachment-pending:(\S+)\)/)[1];
+    const stateA = window.serializeState();
+
+    window.setCurrentNoteId('IMG-B');
+    load('b');
+    clearBridgeMessages();
+    window.attachmentSaved(id, '/tmp/a.png', 'a');
+    expect(window.getContent()).toBe('b');
+    const [delta] = bridgeMessages('contentChanged');
+    expect(delta).toMatchObject({ noteId: 'IMG-A', length: 'a: ![a](/tmp/a.png)'.length });
+
+    // Swift's serialized copy still has the placeholder
+    window.setCurrentNoteId('IMG-A');
+    window.restoreState(stateA);
+    expect(window.getContent()).toBe('a: ![a](/tmp/a.png)');
+  });
+
+  it('swaps the placeholder once a note without editor state is loaded', () => {
+    window.setCurrentNoteId('IMG-C');
+    load('', 0);
+    paste([new File([new Uint8Array([1])], 'c.png', { type: 'image/png' })]);
+    const text = window.getContent();
+    const id = text.match(/attachment-pending:(\S+)\)/)[1];
+    window.discardNoteState('IMG-C');
+
+    window.setCurrentNoteId('IMG-D');
+    load('d');
+    window.attachmentSaved(id, '/tmp/c.png', 'c');
+    window.setCurrentNoteId('IMG-C');
+    window.setContent(text);
+    expect(window.getContent()).toBe('![c](/tmp/c.png)');
+  });
+
+  it('ignores pastes without image files', () => {
+    load('', 0);
+    paste([new File(['x'], 'notes.txt', { type: 'text/plain' })]);
+    expect(window.getContent()).not.toContain('attachment-pending');
+    expect(bridgeMessages('saveAttachment')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { getSearchQuery, searchPanelOpen, closeSearchPanel } from '@codemirror/search';
+import { Vim, getCM } from '@replit/codemirror-vim';
+import { bootEditor, load, view } from './helpers.js';
+
+beforeAll(async () => {
+  await bootEditor();
+});
+
+afterEach(() => {
+  window.setKeybindingMode('default');
+});
+
+function keys(...sequence) {
+  const cm = getCM(view());
+  for (const key of sequence) Vim.handleKey(cm, key, 'user');
+}
+
+function ex(command) {
+  Vim.handleEx(getCM(view()), command);
+}
+
+function doc() {
+  return view().state.doc.toString();
+}
+
+function modeBadge() {
+  return view().dom.querySelector('.cm-vim-mode');
+}
+
+describe('vim mode', () => {
+  it('switches on and off with a mode badge', () => {
+    load('hello', 0);
+    window.setKeybindingMode('vim');
+    expect(window.getKeybindingMode()).toBe('vim');
+    expect(getCM(view())).not.toBeNull();
+    expect(modeBadge().textContent).toBe('NORMAL');
+
+    keys('i');
+    expect(modeBadge().textContent).toBe('INSERT');
+    keys('<Esc>', 'V');
+    expect(modeBadge().textContent).toBe('VISUAL LINE');
+    keys('<Esc>');
+
+    window.setKeybindingMode('default');
+    expect(getCM(view())).toBeNull();
+    expect(modeBadge()).toBeNull();
+  });
+
+  it('keeps the mode across note switches', () => {
+    window.setKeybindingMode('vim');
+    load('another note', 0);
+    expect(getCM(view())).not.toBeNull();
+    expect(modeBadge()).not.toBeNull();
+  });
+
+  it('edits with operators, text objects and registers', () => {
+    window.setKeybindingMode('vim');
+    load('one\ntwo\ncall(foo, bar)', 0);
+    keys('"', 'a', 'y', 'y', '2', 'G', 'd', 'd');
+    expect(doc()).toBe('one\ncall(foo, bar)');
+    keys('f', 'o', 'd', 'i', '(');
+    expect(doc()).toBe('one\ncall()');
+    keys('"', 'a', 'p');
+    expect(doc()).toBe('one\ncall()\none');
+  });
+
+  it('substitutes on the cursor line, or over a range', () => {
+    window.setKeybindingMode('vim');
+    load('a-a\na-a\na-a', 0);
+    ex('s/a/b/');
+    expect(doc()).toBe('b-a\na-a\na-a');
+    ex('%s/a/c/g');
+    expect(doc()).toBe('b-c\nc-c\nc-c');
+  });
+
+  it('understands vim replacement syntax', () => {
+    window.setKeybindingMode('vim');
+    load('key = value', 0);
+    ex('s/(\\w+) = (\\w+)/\\2: \\1 [&]/');
+    expect(doc()).toBe('value: key [key = value]');
+  });
+
+  it('shares the substitute query with the search panel', () => {
+    window.setKeybindingMode('vim');
+    load('foo bar foo', 0);
+    ex('s/foo/baz/g');
+    const query = getSearchQuery(view().state);
+    expect(query.search).toBe('foo');
+    expect(query.replace).toBe('baz');
+    expect(query.regexp).toBe(true);
+  });
+
+  it('continues n from the substitute pattern', () => {
+    window.setKeybindingMode('vim');
+    const text = 'foo x\nbar foo\nfoo';
+    load(text, 0);
+    ex('s/foo/baz/');
+    expect(view().state.selection.main.head).toBe(0);
+    keys('n');
+    expect(view().state.selection.main.head).toBe(text.indexOf('foo', 1));
+    keys('n');
+    expect(view().state.selection.main.head).toBe(text.lastIndexOf('foo'));
+  });
+
+  it('still substitutes when vim has no search-state hook', () => {
+    window.setKeybindingMode('vim');
+    load('foo bar foo', 0);
+    const hook = Vim.getVimGlobalState_;
+    Vim.getVimGlobalState_ = undefined;
+    try {
+      ex('s/foo/baz/g');
+    } finally {
+      Vim.getVimGlobalState_ = hook;
+    }
+    expect(doc()).toBe('baz bar baz');
+  });
+
+  it('opens the search panel for :s with the c flag instead of replacing', () => {
+    window.setKeybindingMode('vim');
+    load('foo foo', 0);
+    ex('s/foo/bar/gc');
+    expect(doc()).toBe('foo foo');
+    expect(searchPanelOpen(view().state)).toBe(true);
+    expect(getSearchQuery(view().state).replace).toBe('bar');
+    closeSearchPanel(view());
+  });
+
+  it('leaves arrow keys in insert mode to the block math keymap', () => {
+    window.setKeybindingMode('vim');
+    const text = 'intro\n$$\nx^2\n$$\noutro';
+    load(text, 0);
+    keys('i');
+    view().contentDOM.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown', bubbles: true }));
+    expect(view().state.selection.main.head).toBe(text.indexOf('outro'));
+  });
+});
+
+describe('emacs mode', () => {
+  it('replaces vim bindings', () => {
+    window.setKeybindingMode('vim');
+    window.setKeybindingMode('emacs');
+    expect(window.getKeybindingMode()).toBe('emacs');
+    expect(getCM(view())).toBeNull();
+    load('abc', 0);
+    view().contentDOM.dispatchEvent(new KeyboardEvent('keydown', { key: 'e', code: 'KeyE', ctrlKey: true, bubbles: true }));
+    expect(view().state.selection.main.head).toBe(3);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { runScopeHandlers } from '@codemirror/view';
+import { undo } from '@codemirror/commands';
+import { bootEditor, view, load, markdownDecos, widgetsOf } from './helpers.js';
+
+let editor;
+
+beforeAll(async () => {
+  editor = await bootEditor();
+});
+
+function press(key, mods = {}) {
+  return runScopeHandlers(view(), new KeyboardEvent('keydown', { key, ...mods }), 'editor');
+}
+
+function type(text) {
+  const { from, to } = view().state.selection.main;
+  view().dispatch({
+    changes: { from, to, insert: text },
+    selection: { anchor: from + text.length },
+    userEvent: 'input.type',
+  });
+}
+
+function doc() {
+  return view().state.doc.toString();
+}
+
+describe('Enter in lists', () => {
+  it('continues bullet, ordered and task markers', () => {
+    load('- apple');
+    press('Enter');
+    expect(doc()).toBe('- apple\n- ');
+
+    load('1. one');
+    press('Enter');
+    expect(doc()).toBe('1. one\n2. ');
+
+    load('- [x] done');
+    press('Enter');
+    expect(doc()).toBe('- [x] done\n- [ ] ');
+  });
+
+  it('removes an empty marker instead of continuing', () => {
+    load('- apple\n- ');
+    press('Enter');
+    expect(doc()).toBe('- apple\n');
+
+    load('- [ ] task\n- [ ] ');
+    press('Enter');
+    expect(doc()).toBe('- [ ] task\n');
+  });
+
+  it('un-nests an empty nested item', () => {
+    load('- a\n  - ');
+    press('Enter');
+    expect(doc()).toBe('- a\n- ');
+  });
+
+  it('renumbers the following items', () => {
+    load('1. a\n2. b', 4);
+    press('Enter');
+    expect(doc()).toBe('1. a\n2. \n3. b');
+  });
+});
+
+describe('Tab / Shift-Tab in lists', () => {
+  it('nests an item under its previous sibling, children included', () => {
+    load('- a\n- b\n  - c', 6);
+    press('Tab');
+    expect(doc()).toBe('- a\n  - b\n    - c');
+  });
+
+  it('aligns nested ordered items with the parent content and starts at 1', () => {
+    load('1. a\n2. b\n3. c', 8);
+    press('Tab');
+    expect(doc()).toBe('1. a\n   1. b\n2. c');
+  });
+
+  it('outdents a nested item', () => {
+    load('- a\n  - b', 9);
+    press('Tab', { shiftKey: true });
+    expect(doc()).toBe('- a\n- b');
+  });
+
+  it('keeps focus on the first item without changing it', () => {
+    load('- a', 2);
+    expect(press('Tab')).toBe(true);
+    expect(doc()).toBe('- a');
+  });
+
+  it('leaves Tab alone outside lists', () => {
+    load('plain', 0);
+    expect(press('Tab')).toBe(false);
+  });
+});
+
+describe('ordered list renumbering', () => {
+  it('renumbers after deleting an item', () => {
+    load('1. a\n2. b\n3. c');
+    const line2 = view().state.doc.line(2);
+    view().dispatch({ changes: { from: line2.from, to: line2.to + 1 }, userEvent: 'delete' });
+    expect(doc()).toBe('1. a\n2. c');
+  });
+
+  it('keeps the rendered markers in sync', () => {
+    load('1. a\n2. b\n3. c\n\nend');
+    const line2 = view().state.doc.line(2);
+    view().dispatch({ changes: { from: line2.from, to: line2.to + 1 }, userEvent: 'delete' });
+    const numbers = widgetsOf(markdownDecos(), editor.OrderedMarkerWidget).map((d) => d.widget.number);
+    expect(numbers).toEqual([1, 2]);
+  });
+
+  it('keeps a custom start number', () => {
+    load('5. a\n6. b', 4);
+    type('\n7. x');
+    expect(doc()).toBe('5. a\n6. x\n7. b');
+  });
+
+  it('undoes as one step', () => {
+    load('1. a\n2. b\n3. c');
+    const line2 = view().state.doc.line(2);
+    view().dispatch({ changes: { from: line2.from, to: line2.to + 1 }, userEvent: 'delete' });
+    expect(doc()).toBe('1. a\n2. c');
+    undo(view());
+    expect(doc()).toBe('1. a\n2. b\n3. c');
+  });
+});
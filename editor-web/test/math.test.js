@@ -0,0 +1,252 @@
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import katex from 'katex';
+import { syntaxTree } from '@codemirror/language';
+import { bootEditor, load, moveCursor, view, mathDecos, widgetsOf, lineClasses } from './helpers.js';
+
+let editor;
+
+beforeAll(async () => {
+  editor = await bootEditor();
+});
+
+describe('buildMathDecorations', () => {
+  it('renders inline math as a widget', () => {
+    const doc = 'Energy $E = mc^2$ here';
+    load(doc, 0);
+    const math = widgetsOf(mathDecos(), editor.MathWidget);
+    expect(math).toHaveLength(1);
+    expect(math[0].widget.formula).toBe('E = mc^2');
+    expect(math[0].from).toBe(doc.indexOf('$'));
+  });
+
+  it('shows inline math source when the cursor is inside', () => {
+    const doc = 'Energy $E = mc^2$ here';
+    load(doc, doc.indexOf('mc'));
+    expect(widgetsOf(mathDecos(), editor.MathWidget)).toHaveLength(0);
+  });
+
+  it('overlays block math and unfolds it for editing', () => {
+    const doc = 'intro\n$$\n\\int_0^1 x\\,dx\n$$\noutro';
+    load(doc, 0);
+    let decos = mathDecos();
+    expect(widgetsOf(decos, editor.MathOverlayWidget)).toHaveLength(1);
+    expect(lineClasses(decos, 'cm-math-source-line')).toHaveLength(3);
+
+    moveCursor(doc.indexOf('\\int') + 1);
+    decos = mathDecos();
+    expect(widgetsOf(decos, editor.MathOverlayWidget)).toHaveLength(0);
+    expect(lineClasses(decos, 'cm-math-source-line')).toHaveLength(0);
+  });
+
+  it('ignores dollar signs inside code', () => {
+    load('`$a$`\n\n```\n$$x$$\n```\n\nend', 0);
+    expect(mathDecos()).toHaveLength(0);
+  });
+});
+
+describe('math syntax', () => {
+  function nodeNames() {
+    const names = [];
+    syntaxTree(view().state).iterate({ enter: (n) => { names.push(n.name); } });
+    return names;
+  }
+
+  function ranges() {
+    return view().state.field(editor.mathRangesField).map((r) => r.formula);
+  }
+
+  it('parses $ and $$ as InlineMath / BlockMath nodes', () => {
+    load('a $x$ b\n\n$$\ny\n$$\n', 0);
+    const names = nodeNames();
+    expect(names).toContain('InlineMath');
+    expect(names).toContain('BlockMath');
+    expect(ranges()).toEqual(['x', 'y']);
+  });
+
+  it('lets block math interrupt a paragraph', () => {
+    load('intro\n$$\nz\n$$\noutro', 0);
+    expect(nodeNames().filter((n) => n === 'Paragraph')).toHaveLength(2);
+  });
+
+  it('renders $$...$$ inside a paragraph in display style', () => {
+    load('see $$x^2$$ here', 0);
+    const math = widgetsOf(mathDecos(), editor.MathWidget);
+    expect(math).toHaveLength(1);
+    expect(math[0].widget.isBlock).toBe(true);
+    expect(widgetsOf(mathDecos(), editor.MathOverlayWidget)).toHaveLength(0);
+  });
+
+  it('ignores escaped dollars', () => {
+    load('costs \\$5 or \\$6', 0);
+    expect(ranges()).toEqual([]);
+  });
+
+  it('renders block math inside a blockquote', () => {
+    load('> $$\n> a + b\n> $$\n\nend', 0);
+    expect(ranges()).toEqual(['a + b']);
+    expect(widgetsOf(mathDecos(), editor.MathOverlayWidget)).toHaveLength(1);
+  });
+
+  it('leaves unclosed block math as source', () => {
+    load('$$\nx + 1\n\nmore', 0);
+    expect(ranges()).toEqual([]);
+  });
+
+  it('keeps the cached ranges in sync as the document is edited', () => {
+    const doc = 'one $a$\n\ntwo\n\nthree $b$';
+    load(doc, 0);
+    const v = view();
+
+    // Typing elsewhere keeps formulas, only shifting them
+    v.dispatch({ changes: { from: doc.indexOf('two'), insert: 'xx ' } });
+    expect(ranges()).toEqual(['a', 'b']);
+
+    // Opening a $$ block swallows everything below until it is closed
+    const at = v.state.doc.toString().indexOf('xx two');
+    v.dispatch({ changes: { from: at, insert: '$$\n' } });
+    expect(nodeNames()).toContain('BlockMath');
+    expect(ranges()).toEqual(['a']);
+
+    const end = v.state.doc.toString().indexOf('\n\nthree');
+    v.dispatch({ changes: { from: end, insert: '\n$$' } });
+    expect(ranges()).toEqual(['a', 'xx two', 'b']);
+
+    // The cache matches a full rescan
+    const fresh = editor.mathRangesField.spec.create(v.state);
+    expect(v.state.field(editor.mathRangesField)).toEqual(fresh);
+  });
+
+  it('keeps the decoration set when the cursor moves outside math', () => {
+    const doc = 'plain line\nsecond line\n\n$x$';
+    load(doc, 0);
+    const before = view().state.field(editor.mathRenderField);
+    moveCursor(doc.indexOf('second'));
+    expect(view().state.field(editor.mathRenderField)).toBe(before);
+    moveCursor(doc.indexOf('x'));
+    expect(view().state.field(editor.mathRenderField)).not.toBe(before);
+  });
+
+  it('keeps the formula list and widgets when typing outside math', () => {
+    const doc = 'intro\n\n$a$ and $b$\n\nlast';
+    load(doc);
+    const v = view();
+    const ranges = v.state.field(editor.mathRangesField);
+    const widgets = mathDecos().filter((d) => d.widget).map((d) => d.widget);
+
+    v.dispatch({ changes: { from: doc.length, insert: ' line' } });
+    expect(v.state.field(editor.mathRangesField)).toBe(ranges);
+
+    // Typing above shifts the formulas; the same widgets just move
+    v.dispatch({ changes: { from: 0, insert: 'an ' } });
+    const moved = mathDecos().filter((d) => d.widget);
+    moved.forEach((d, i) => expect(d.widget).toBe(widgets[i]));
+    expect(moved[0].from).toBe(doc.indexOf('$a$') + 3);
+  });
+});
+
+describe('math errors and preview', () => {
+  function errorMarks() {
+    return mathDecos().filter((d) => d.class === 'cm-math-error-mark');
+  }
+
+  it('lists KaTeX errors with their source position', () => {
+    const doc = 'ok $x^2$ then $a + \\frc{1}{2}$\n\n> $$\n> \\sqrt{x\n> $$';
+    load(doc, 0);
+    const [inline, block] = window.getMathErrors();
+    expect(inline.message).toBe('Undefined control sequence: \\frc');
+    expect(doc.slice(inline.from, inline.to)).toBe('\\frc');
+    expect(inline.line).toBe(1);
+    expect(inline.column).toBe(doc.indexOf('\\frc') + 1);
+    expect(block.message).toMatch(/Expected '}'/);
+    expect(block.line).toBe(4);
+    expect(window.getMathErrors()).toHaveLength(2);
+  });
+
+  it('underlines the offending source while editing', () => {
+    const doc = 'see $a + \\frc{1}{2}$ here';
+    load(doc, doc.indexOf('a +'));
+    const [mark] = errorMarks();
+    expect(doc.slice(mark.from, mark.to)).toBe('\\frc');
+
+    moveCursor(0);
+    expect(errorMarks()).toHaveLength(0);
+    const [widget] = widgetsOf(mathDecos(), editor.MathWidget);
+    const dom = widget.widget.toDOM();
+    expect(dom.classList.contains('cm-math-error')).toBe(true);
+    expect(dom.title).toMatch(/\\frc/);
+  });
+
+  it('previews the formula being edited below it', () => {
+    const doc = 'intro\n$$\nx^2\n$$\noutro';
+    load(doc, 0);
+    expect(view().state.field(editor.mathPreviewField)).toBeNull();
+
+    moveCursor(doc.indexOf('x^2'));
+    const preview = view().state.field(editor.mathPreviewField);
+    expect(preview.tooltip.pos).toBe(doc.indexOf('\noutro'));
+    expect(preview.tooltip.create().dom.querySelector('.katex')).not.toBeNull();
+
+    // Moving within the formula keeps the same tooltip
+    moveCursor(doc.indexOf('^'));
+    expect(view().state.field(editor.mathPreviewField)).toBe(preview);
+
+    view().dispatch({ changes: { from: doc.indexOf('2'), insert: '{' } });
+    const broken = view().state.field(editor.mathPreviewField);
+    expect(broken).not.toBe(preview);
+    expect(broken.tooltip.create().dom.querySelector('.cm-math-preview-error').textContent).toMatch(/Expected '}'/);
+  });
+
+  it('renders each formula typed once for both the error check and the preview', () => {
+    const doc = 'see $y = \\frac{1}{3}$ here';
+    load(doc, doc.indexOf('3'));
+    const renderToString = vi.spyOn(katex, 'renderToString');
+    const render = vi.spyOn(katex, 'render');
+    try {
+      view().dispatch({ changes: { from: doc.indexOf('3'), insert: '2' } });
+      const { dom } = view().state.field(editor.mathPreviewField).tooltip.create();
+      expect(dom.querySelector('.katex')).not.toBeNull();
+      expect(renderToString).toHaveBeenCalledTimes(1);
+      expect(render).not.toHaveBeenCalled();
+    } finally {
+      renderToString.mockRestore();
+      render.mockRestore();
+    }
+  });
+
+  it('keeps only the most recently used formulas cached', () => {
+    const { mathCheckCache, MATH_CACHE_LIMIT } = editor;
+    const doc = Array.from({ length: MATH_CACHE_LIMIT + 20 }, (_, i) => `$x_{${i}}$`).join('\n\n');
+    load(doc, 0);
+    window.getMathErrors();
+    expect(mathCheckCache.size).toBe(MATH_CACHE_LIMIT);
+    expect(mathCheckCache.has('inline:x_{0}')).toBe(false);
+    expect(mathCheckCache.has(`inline:x_{${MATH_CACHE_LIMIT + 19}}`)).toBe(true);
+  });
+});
+
+describe('theme changes', () => {
+  let renderedHeight = 0;
+  const offsetHeight = Object.getOwnPropertyDescriptor(HTMLElement.prototype, 'offsetHeight');
+
+  afterEach(() => {
+    Object.defineProperty(HTMLElement.prototype, 'offsetHeight', offsetHeight);
+    window.setCustomTheme(null);
+  });
+
+  it('re-measures block math when the font size changes', () => {
+    // jsdom has no layout; report a height that follows the font size
+    Object.defineProperty(HTMLElement.prototype, 'offsetHeight', {
+      configurable: true,
+      get() { return renderedHeight; },
+    });
+    const doc = 'intro\n$$\n\\sum_{i=1}^{n} i^3\n$$\noutro';
+    renderedHeight = 90;
+    load(doc, 0);
+    const overlay = () => widgetsOf(mathDecos(), editor.MathOverlayWidget)[0].widget;
+    expect(overlay()._height).toBe(90);
+
+    renderedHeight = 120;
+    window.setCustomTheme({ fontSize: 20 });
+    expect(overlay()._height).toBe(120);
+  });
+});
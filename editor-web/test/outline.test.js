@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { foldable, foldEffect, foldedRanges } from '@codemirror/language';
+import { bootEditor, view, load } from './helpers.js';
+
+beforeAll(async () => {
+  await bootEditor();
+});
+
+const runbook = [
+  '# Runbook',
+  'intro',
+  '## Deploy',
+  'steps',
+  '### Rollback',
+  'undo',
+  '## Monitor ##',
+  'Setext',
+  '------',
+  '```sh',
+  '# not a heading',
+  '```',
+].join('\n');
+
+function foldRange(lineNo) {
+  const line = view().state.doc.line(lineNo);
+  return foldable(view().state, line.from, line.to);
+}
+
+describe('getOutline', () => {
+  it('returns the heading tree with positions', () => {
+    load(runbook, 0);
+    const outline = window.getOutline();
+    expect(outline).toHaveLength(1);
+    const [top] = outline;
+    expect(top).toMatchObject({ level: 1, text: 'Runbook', pos: 0, line: 1 });
+    expect(top.children.map((h) => [h.level, h.text])).toEqual([[2, 'Deploy'], [2, 'Monitor'], [2, 'Setext']]);
+    expect(top.children[0].children).toEqual([
+      expect.objectContaining({ level: 3, text: 'Rollback', line: 5, children: [] }),
+    ]);
+  });
+
+  it('is empty for notes without headings', () => {
+    load('just text', 0);
+    expect(window.getOutline()).toEqual([]);
+  });
+});
+
+describe('folding', () => {
+  it('folds a heading section up to the next heading of the same level', () => {
+    load(runbook, 0);
+    const range = foldRange(3); // ## Deploy
+    const doc = view().state.doc;
+    expect(range.from).toBe(doc.line(3).to);
+    expect(range.to).toBe(doc.line(6).to);
+  });
+
+  it('folds fenced code and blockquotes', () => {
+    load('```js\na\nb\n```\n\n> quote\n> more', 0);
+    expect(foldRange(1)).toEqual({ from: 5, to: 13 });
+    expect(foldRange(6)).not.toBeNull();
+  });
+
+  it('jumpToHeading unfolds and places the cursor on the heading', () => {
+    load(runbook, 0);
+    const deploy = window.getOutline()[0].children[0];
+    const rollback = deploy.children[0];
+    view().dispatch({ effects: foldEffect.of(foldRange(3)) });
+    expect(foldedRanges(view().state).size).toBe(1);
+
+    window.jumpToHeading(rollback.pos);
+    expect(foldedRanges(view().state).size).toBe(0);
+    expect(view().state.selection.main.head).toBe(view().state.doc.line(5).to);
+  });
+});
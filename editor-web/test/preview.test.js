@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import {
+  bootEditor, view, load, markdownDecos, mathDecos, widgetsOf, lineClasses,
+  bridgeMessages, clearBridgeMessages,
+} from './helpers.js';
+
+let editor;
+
+beforeAll(async () => {
+  editor = await bootEditor();
+});
+
+beforeEach(() => {
+  clearBridgeMessages();
+});
+
+afterEach(() => {
+  window.setMode('edit');
+  delete view().posAtCoords;
+});
+
+// Click at a document position (jsdom has no layout for posAtCoords)
+function clickAt(pos, type = 'click', init = {}) {
+  view().posAtCoords = () => pos;
+  view().dom.dispatchEvent(new MouseEvent(type, { bubbles: true, ...init }));
+}
+
+describe('setMode', () => {
+  it('renders what the cursor would unfold', () => {
+    const doc = '- [ ] todo `code`\n\n$x^2$';
+    load(doc, 3);
+    expect(widgetsOf(markdownDecos(), editor.TaskCheckboxWidget)).toHaveLength(0);
+
+    window.setMode('preview');
+    expect(window.getMode()).toBe('preview');
+    const decos = markdownDecos();
+    expect(widgetsOf(decos, editor.TaskCheckboxWidget)).toHaveLength(1);
+    expect(widgetsOf(decos, editor.InlineCodeWidget)).toHaveLength(1);
+    expect(lineClasses(decos, 'cm-cursor-line')).toHaveLength(0);
+    expect(view().dom.classList.contains('cm-preview-mode')).toBe(true);
+
+    load(doc, doc.length - 2);
+    expect(mathDecos().filter((d) => d.widget)).toHaveLength(1);
+  });
+
+  it('is read-only', () => {
+    load('text');
+    window.setMode('preview');
+    expect(view().state.readOnly).toBe(true);
+    expect(view().contentDOM.getAttribute('contenteditable')).toBe('false');
+
+    window.setMode('edit');
+    expect(view().state.readOnly).toBe(false);
+    expect(view().dom.classList.contains('cm-preview-mode')).toBe(false);
+  });
+
+  it('stays in preview across note switches', () => {
+    window.setMode('preview');
+    window.setCurrentNoteId('PREVIEW-A');
+    load('- [ ] a', 3);
+    expect(view().state.readOnly).toBe(true);
+    expect(widgetsOf(markdownDecos(), editor.TaskCheckboxWidget)).toHaveLength(1);
+  });
+
+  it('ignores unknown modes as edit', () => {
+    window.setMode('preview');
+    window.setMode('bogus');
+    expect(window.getMode()).toBe('edit');
+  });
+});
+
+describe('preview interaction', () => {
+  it('toggles task checkboxes', () => {
+    load('- [ ] todo\n');
+    window.setMode('preview');
+    const box = view().dom.querySelector('.cm-task-checkbox');
+    box.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+    expect(window.getContent()).toBe('- [x] todo\n');
+  });
+
+  it('opens links on a plain click', () => {
+    const doc = 'see [site](https://example.com) here';
+    load(doc);
+    clickAt(doc.indexOf('site'));
+    expect(bridgeMessages('openURL')).toHaveLength(0);
+
+    window.setMode('preview');
+    clickAt(doc.indexOf('site'));
+    expect(bridgeMessages('openURL')).toEqual([expect.objectContaining({ url: 'https://example.com' })]);
+  });
+
+  it('returns to editing at the double-clicked position', () => {
+    const doc = 'first line\nsecond line';
+    load(doc, 0);
+    window.setMode('preview');
+    clickAt(doc.indexOf('second') + 3, 'dblclick');
+    expect(window.getMode()).toBe('edit');
+    expect(view().state.readOnly).toBe(false);
+    expect(view().state.selection.main.head).toBe(doc.indexOf('second') + 3);
+  });
+});
@@ -0,0 +1,24 @@
+// jsdom setup for the editor suite.
+//
+// jsdom has no layout engine, so CodeMirror's measuring calls get zero-sized
+// rects. The WKWebView bridge is replaced with a recorder that tests inspect
+// through bridgeMessages() in helpers.js.
+
+import { vi } from 'vitest';
+
+const emptyRect = { top: 0, bottom: 0, left: 0, right: 0, width: 0, height: 0, x: 0, y: 0 };
+const emptyRectList = Object.assign([], { item: () => null });
+
+Range.prototype.getBoundingClientRect = () => emptyRect;
+Range.prototype.getClientRects = () => emptyRectList;
+Element.prototype.scrollIntoView = () => {};
+
+window.webkit = {
+  messageHandlers: {
+    bridge: { postMessage: vi.fn() },
+  },
+};
+
+const container = document.createElement('div');
+container.id = 'editor-container';
+document.body.appendChild(container);
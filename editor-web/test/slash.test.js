@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { CompletionContext, nextSnippetField } from '@codemirror/autocomplete';
+import { bootEditor, load, view } from './helpers.js';
+
+let editor;
+
+beforeAll(async () => {
+  editor = await bootEditor();
+});
+
+function complete(source, pos = view().state.selection.main.head) {
+  return source(new CompletionContext(view().state, pos, false));
+}
+
+function slashMenu() {
+  return complete(editor.slashCommandCompletions);
+}
+
+// Pick an entry the way the autocomplete popup does
+function pick(result, label) {
+  const option = result.options.find((o) => o.label === label);
+  const to = view().state.selection.main.head;
+  if (typeof option.apply === 'function') option.apply(view(), option, result.from, to);
+  else view().dispatch({ changes: { from: result.from, to, insert: option.apply || option.label } });
+}
+
+function doc() {
+  return view().state.doc.toString();
+}
+
+function selected() {
+  const { from, to } = view().state.selection.main;
+  return view().state.sliceDoc(from, to);
+}
+
+describe('slash commands', () => {
+  it('opens at the start of a line', () => {
+    load('intro\n/hea');
+    const result = slashMenu();
+    expect(result.from).toBe(6);
+    expect(result.options.map((o) => o.label)).toContain('Heading 2');
+  });
+
+  it('stays closed mid-line and inside code', () => {
+    load('a /path');
+    expect(slashMenu()).toBeNull();
+    load('```\n/usr\n```', 8);
+    expect(complete(editor.markdownCompletions)).toBeNull();
+  });
+
+  it('inserts a heading with its text selected', () => {
+    load('/h2');
+    pick(slashMenu(), 'Heading 2');
+    expect(doc()).toBe('## Heading');
+    expect(selected()).toBe('Heading');
+  });
+
+  it('inserts a table skeleton with tab-stops between cells', () => {
+    load('/table');
+    pick(slashMenu(), 'Table');
+    expect(doc()).toBe('| Column 1 | Column 2 |\n| --- | --- |\n|  |  |');
+    expect(selected()).toBe('Column 1');
+    nextSnippetField(view());
+    expect(selected()).toBe('Column 2');
+  });
+
+  it('opens the language picker after inserting a code block', () => {
+    load('/code');
+    pick(slashMenu(), 'Code block');
+    expect(doc()).toBe('```\n\n```');
+    expect(view().state.selection.main.head).toBe(3);
+    const languages = complete(editor.fenceLanguageCompletions);
+    expect(languages.from).toBe(3);
+    const names = languages.options.map((o) => o.label);
+    expect(names).toContain('python');
+    expect(names).toContain('mermaid');
+  });
+
+  it('keeps a horizontal rule from turning a paragraph into a heading', () => {
+    load('Some text\n/hr');
+    pick(slashMenu(), 'Horizontal rule');
+    expect(doc()).toBe('Some text\n\n---\n');
+  });
+
+  it('inserts date stamps and callouts', () => {
+    load('/date');
+    pick(slashMenu(), 'Date');
+    expect(doc()).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+
+    load('/warn');
+    pick(slashMenu(), 'Callout: warning');
+    expect(doc()).toBe('> [!warning] Title\n> ');
+    expect(selected()).toBe('Title');
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { runScopeHandlers } from '@codemirror/view';
+import { bootEditor, view, load, moveCursor, decoList, widgetsOf } from './helpers.js';
+
+let editor;
+
+beforeAll(async () => {
+  editor = await bootEditor();
+});
+
+const table = '| Name | Qty |\n|:--|--:|\n| apple | 3 |\n| kiwi | 12 |';
+
+function tableDecos() {
+  return decoList(view().state.field(editor.tableRenderField).decorations);
+}
+
+function press(key, mods = {}) {
+  const event = new KeyboardEvent('keydown', { key, ...mods });
+  return runScopeHandlers(view(), event, 'editor');
+}
+
+function selected() {
+  const { from, to } = view().state.selection.main;
+  return view().state.sliceDoc(from, to);
+}
+
+describe('table widget', () => {
+  it('renders the table when the cursor is outside', () => {
+    load('intro\n\n' + table + '\n\noutro', 0);
+    const widgets = widgetsOf(tableDecos(), editor.TableWidget);
+    expect(widgets).toHaveLength(1);
+    const { header, aligns, rows } = widgets[0].widget.table;
+    expect(header).toEqual(['Name', 'Qty']);
+    expect(aligns).toEqual(['left', 'right']);
+    expect(rows).toEqual([['apple', '3'], ['kiwi', '12']]);
+  });
+
+  it('re-reads tables on edits but not on cursor moves', () => {
+    const doc = 'intro\n\n' + table + '\n\n> quoted\n>\n> | a |\n> |---|\n> | 1 |';
+    load(doc, 0);
+    const { tables } = view().state.field(editor.tableRenderField);
+    expect(tables).toHaveLength(2);
+    moveCursor(doc.indexOf('apple'));
+    expect(view().state.field(editor.tableRenderField).tables).toBe(tables);
+    expect(widgetsOf(tableDecos(), editor.TableWidget)).toHaveLength(1);
+
+    view().dispatch({ changes: { from: 0, insert: 'x' } });
+    expect(view().state.field(editor.tableRenderField).tables.map((t) => t.from))
+      .toEqual(tables.map((t) => t.from + 1));
+  });
+
+  it('shows the source when the cursor is inside', () => {
+    const doc = 'intro\n\n' + table;
+    load(doc, doc.indexOf('apple'));
+    expect(tableDecos()).toHaveLength(0);
+  });
+
+  it('applies column alignment in the DOM', () => {
+    load(table + '\n\nend');
+    const dom = widgetsOf(tableDecos(), editor.TableWidget)[0].widget.toDOM(view());
+    const cells = dom.querySelectorAll('tbody tr:first-child td');
+    expect(cells[0].style.textAlign).toBe('left');
+    expect(cells[1].style.textAlign).toBe('right');
+  });
+});
+
+describe('table editing', () => {
+  it('realigns pipes and moves to the next cell on Tab', () => {
+    load(table, table.indexOf('apple') + 1);
+    expect(press('Tab')).toBe(true);
+    expect(view().state.doc.toString()).toBe([
+      '| Name  | Qty |',
+      '| :---- | --: |',
+      '| apple |   3 |',
+      '| kiwi  |  12 |',
+    ].join('\n'));
+    expect(selected()).toBe('3');
+  });
+
+  it('moves back with Shift-Tab', () => {
+    load(table, table.indexOf('kiwi'));
+    press('Tab', { shiftKey: true });
+    expect(selected()).toBe('3');
+  });
+
+  it('adds a row when tabbing out of the last cell', () => {
+    load(table, table.length);
+    press('Tab');
+    const lines = view().state.doc.toString().split('\n');
+    expect(lines).toHaveLength(5);
+    expect(lines[4]).toBe('|       |     |');
+    expect(view().state.doc.lineAt(view().state.selection.main.head).number).toBe(5);
+  });
+
+  it('adds and removes columns and rows', () => {
+    load(table, table.indexOf('apple'));
+    press('ArrowRight', { ctrlKey: true, altKey: true });
+    expect(view().state.doc.line(1).text).toBe('| Name  |     | Qty |');
+
+    press('Backspace', { ctrlKey: true, altKey: true, shiftKey: true });
+    expect(view().state.doc.line(1).text).toBe('| Name  | Qty |');
+
+    moveCursor(view().state.doc.line(3).from + 3);
+    press('Backspace', { ctrlKey: true, altKey: true });
+    expect(view().state.doc.toString()).not.toContain('apple');
+  });
+
+  it('counts CJK characters as double width', () => {
+    const doc = '| 이름 | x |\n|---|---|\n| a | b |';
+    load(doc, 3);
+    press('f', { ctrlKey: true, altKey: true });
+    expect(view().state.doc.line(3).text).toBe('| a    | b   |');
+  });
+
+  it('leaves Tab alone outside tables', () => {
+    load('plain text', 0);
+    expect(press('Tab')).toBe(false);
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import { runScopeHandlers } from '@codemirror/view';
+import { undo } from '@codemirror/commands';
+import { bootEditor, view, load, markdownDecos, widgetsOf, lineClasses } from './helpers.js';
+
+let editor;
+
+beforeAll(async () => {
+  editor = await bootEditor();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+function today(date) {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(date);
+}
+
+function press(key, mods = {}) {
+  return runScopeHandlers(view(), new KeyboardEvent('keydown', { key, ...mods }), 'editor');
+}
+
+function doc() {
+  return view().state.doc.toString();
+}
+
+describe('task metadata', () => {
+  it('renders due dates, priorities and people as chips', () => {
+    load('- [ ] ship it 📅 2026-10-20 !high @sam and @alex\n\nafter');
+    const chips = widgetsOf(markdownDecos(), editor.TaskChipWidget).map((d) => d.widget);
+    expect(chips.map((c) => [c.type, c.value])).toEqual([
+      ['due', '2026-10-20'], ['priority', 'high'], ['person', 'sam'], ['person', 'alex'],
+    ]);
+  });
+
+  it('shows the source of the chip under the cursor', () => {
+    const text = '- [ ] call @sam !low';
+    load(text, text.indexOf('sam') + 1);
+    const chips = widgetsOf(markdownDecos(), editor.TaskChipWidget).map((d) => d.widget.type);
+    expect(chips).toEqual(['priority']);
+  });
+
+  it('leaves emails, code and plain list items alone', () => {
+    load('- [ ] mail me@example.com about `@decorator` x!high\n- not a task @sam\n\nafter');
+    expect(widgetsOf(markdownDecos(), editor.TaskChipWidget)).toHaveLength(0);
+  });
+
+  it('highlights open tasks past their due date', () => {
+    today(new Date(2026, 9, 19));
+    load('- [ ] late 📅 2026-10-18\n- [ ] soon 📅 2026-10-20\n- [x] done 📅 2026-10-01\n\nafter');
+    const decos = markdownDecos();
+    const overdue = lineClasses(decos, 'cm-task-overdue');
+    expect(overdue.map((d) => d.from)).toEqual([0]);
+    const dueChips = widgetsOf(decos, editor.TaskChipWidget).map((d) => d.widget);
+    expect(dueChips.map((c) => c.overdue)).toEqual([true, false, false]);
+  });
+
+  it('marks tasks overdue once the date rolls over', () => {
+    vi.useFakeTimers({ toFake: ['Date', 'setTimeout', 'clearTimeout'] });
+    vi.setSystemTime(new Date(2026, 9, 19, 23, 59));
+    editor.scheduleDateRollover();
+    load('- [ ] today 📅 2026-10-19\n\nafter');
+    expect(lineClasses(markdownDecos(), 'cm-task-overdue')).toHaveLength(0);
+
+    vi.advanceTimersByTime(2 * 60 * 1000);
+    expect(lineClasses(markdownDecos(), 'cm-task-overdue').map((d) => d.from)).toEqual([0]);
+  });
+});
+
+describe('getTasks', () => {
+  it('lists every task with line, state and metadata', () => {
+    today(new Date(2026, 9, 19));
+    const text = '# Plan\n\n- [ ] write spec 📅 2026-10-01 !medium @kim\n  - [x] outline\n- plain\n1. [ ] review @lee @max';
+    load(text);
+    expect(window.getTasks()).toEqual([
+      {
+        line: 3, from: text.indexOf('[ ] write'), text: 'write spec', state: 'open',
+        due: '2026-10-01', priority: 'medium', people: ['kim'], overdue: true,
+      },
+      {
+        line: 4, from: text.indexOf('[x] outline'), text: 'outline', state: 'done',
+        due: null, priority: null, people: [], overdue: false,
+      },
+      {
+        line: 6, from: text.indexOf('[ ] review'), text: 'review', state: 'open',
+        due: null, priority: null, people: ['lee', 'max'], overdue: false,
+      },
+    ]);
+  });
+
+  it('reads a note in the background by id', () => {
+    window.setCurrentNoteId('TASKS-A');
+    load('- [ ] from a');
+    window.serializeState(); // what Swift does before switching notes
+    window.setCurrentNoteId('TASKS-B');
+    load('- [x] from b');
+    expect(window.getTasks('TASKS-A').map((t) => t.text)).toEqual(['from a']);
+    expect(window.getTasks().map((t) => t.text)).toEqual(['from b']);
+    expect(window.getTasks('TASKS-B').map((t) => t.text)).toEqual(['from b']);
+    expect(window.getTasks('TASKS-UNKNOWN')).toEqual([]);
+  });
+
+  it('parses the given content of notes without editor state', () => {
+    window.setCurrentNoteId('TASKS-C');
+    load('- [ ] live');
+    const tasks = window.getTasks('TASKS-UNOPENED', '# Later\n\n- [ ] call @sam\n- [x] done');
+    expect(tasks.map((t) => [t.text, t.state, t.people])).toEqual([
+      ['call', 'open', ['sam']], ['done', 'done', []],
+    ]);
+    // Editor state wins over Swift's copy
+    expect(window.getTasks('TASKS-C', '- [ ] stale').map((t) => t.text)).toEqual(['live']);
+  });
+});
+
+describe('moving completed tasks down', () => {
+  it('sinks done items in the list at the cursor, keeping order and children', () => {
+    load('- [x] a\n- [ ] b\n  - note\n- [x] c\n- [ ] d\n\ntext\n\n- [x] other\n- [ ] list', 2);
+    expect(press('t', { ctrlKey: true, altKey: true })).toBe(true);
+    expect(doc()).toBe('- [ ] b\n  - note\n- [ ] d\n- [x] a\n- [x] c\n\ntext\n\n- [x] other\n- [ ] list');
+    // The cursor stays on the item it was in
+    expect(view().state.doc.lineAt(view().state.selection.main.head).text).toBe('- [x] a');
+
+    undo(view());
+    expect(doc()).toBe('- [x] a\n- [ ] b\n  - note\n- [x] c\n- [ ] d\n\ntext\n\n- [x] other\n- [ ] list');
+  });
+
+  it('sorts every top-level list when the cursor is outside lists', () => {
+    load('intro\n\n- [x] a\n- [ ] b\n\ntext\n\n- [x] c\n- [ ] d', 0);
+    window.moveCompletedTasksDown();
+    expect(doc()).toBe('intro\n\n- [ ] b\n- [x] a\n\ntext\n\n- [ ] d\n- [x] c');
+  });
+
+  it('keeps ordered lists numbered', () => {
+    load('1. [x] one\n2. [ ] two\n3. [ ] three', 0);
+    window.moveCompletedTasksDown();
+    expect(doc()).toBe('1. [ ] two\n2. [ ] three\n3. [x] one');
+  });
+
+  it('leaves sorted lists untouched', () => {
+    load('- [ ] a\n- [x] b', 0);
+    const before = view().state;
+    window.moveCompletedTasksDown();
+    expect(view().state).toBe(before);
+  });
+
+  it('does nothing in preview mode', () => {
+    load('- [x] a\n- [ ] b', 0);
+    window.setMode('preview');
+    try {
+      expect(window.moveCompletedTasksDown()).toBe(false);
+      expect(doc()).toBe('- [x] a\n- [ ] b');
+    } finally {
+      window.setMode('edit');
+    }
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { bootEditor } from './helpers.js';
+
+// jsdom has no matchMedia; stand in for the system appearance
+const darkScheme = {
+  matches: false,
+  listeners: [],
+  addEventListener(type, fn) { this.listeners.push(fn); },
+  setDark(dark) {
+    this.matches = dark;
+    this.listeners.forEach((fn) => fn({ matches: dark }));
+  },
+};
+window.matchMedia = () => darkScheme;
+
+beforeAll(async () => {
+  await bootEditor();
+});
+
+afterEach(() => {
+  window.setAppearance(null);
+  window.setCustomTheme(null);
+  darkScheme.setDark(false);
+});
+
+function cssVar(name) {
+  return document.documentElement.style.getPropertyValue(name);
+}
+
+describe('appearance', () => {
+  it('starts with the light palette', () => {
+    expect(document.documentElement.dataset.appearance).toBe('light');
+    expect(cssVar('--md-text')).toBe('#1a1a1a');
+    expect(cssVar('--md-bg')).toBe('transparent');
+    expect(cssVar('--hl-keyword')).toBe('#708');
+  });
+
+  it('switches palettes with setAppearance', () => {
+    window.setAppearance('dark');
+    expect(document.documentElement.dataset.appearance).toBe('dark');
+    expect(cssVar('--md-text')).toBe('#e6e6e6');
+    expect(cssVar('--hl-keyword')).toBe('#c678dd');
+    expect(cssVar('--md-bg')).toMatch(/^hsl\(/);
+
+    window.setAppearance('light');
+    expect(cssVar('--md-text')).toBe('#1a1a1a');
+  });
+
+  it('follows prefers-color-scheme unless pinned', () => {
+    darkScheme.setDark(true);
+    expect(document.documentElement.dataset.appearance).toBe('dark');
+
+    window.setAppearance('light');
+    darkScheme.setDark(true);
+    expect(document.documentElement.dataset.appearance).toBe('light');
+
+    window.setAppearance('auto');
+    expect(document.documentElement.dataset.appearance).toBe('dark');
+  });
+
+  it('keeps the note tint in the dark background and highlight colour', () => {
+    window.setNoteColor('blue');
+    const lightHighlight = cssVar('--md-highlight');
+    window.setAppearance('dark');
+    expect(cssVar('--md-highlight')).not.toBe(lightHighlight);
+    expect(cssVar('--md-bg')).toBe('hsl(205, 14%, 15%)');
+    expect(cssVar('--md-titlebar')).toBe(cssVar('--md-bg'));
+    window.setNoteColor('yellow');
+  });
+
+  it('switches callout colours with the appearance', () => {
+    expect(cssVar('--md-callout-warning')).toBe('#bc4c00');
+    expect(cssVar('--md-callout-warning-bg')).toBe('rgba(188, 76, 0, 0.08)');
+    window.setAppearance('dark');
+    expect(cssVar('--md-callout-warning')).toBe('#db6d28');
+    expect(cssVar('--md-callout-note')).toBe('#4493f8');
+  });
+
+  it('switches math, search panel and match colours with the appearance', () => {
+    expect(cssVar('--md-math-bg')).toBe('rgba(92, 106, 196, 0.08)');
+    const lightMatch = cssVar('--md-search-match');
+    const lightPanel = cssVar('--md-panel-bg');
+    window.setAppearance('dark');
+    expect(cssVar('--md-math-bg')).toBe('rgba(139, 149, 232, 0.16)');
+    expect(cssVar('--md-error-tint')).toBe('rgba(244, 112, 103, 0.15)');
+    expect(cssVar('--md-search-match')).not.toBe(lightMatch);
+    expect(cssVar('--md-panel-bg')).not.toBe(lightPanel);
+  });
+});
+
+describe('custom theme', () => {
+  it('overrides font family, size and accent', () => {
+    window.setCustomTheme('{"fontFamily": "Georgia", "fontSize": 16, "accentColor": "#d9480f"}');
+    expect(cssVar('--md-font')).toBe('Georgia');
+    expect(cssVar('--md-font-size')).toBe('16px');
+    expect(cssVar('--md-accent')).toBe('#d9480f');
+    expect(cssVar('--md-link')).toBe('#d9480f');
+    expect(cssVar('--md-link-tint')).toBe('rgba(217, 72, 15, 0.1)');
+  });
+
+  it('survives an appearance switch', () => {
+    window.setCustomTheme({ accentColor: '#0a0' });
+    window.setAppearance('dark');
+    expect(cssVar('--md-accent')).toBe('#0a0');
+    expect(cssVar('--md-accent-tint')).toBe('rgba(0, 170, 0, 0.15)');
+  });
+
+  it('ignores invalid fields and resets on null', () => {
+    window.setCustomTheme({ fontFamily: 'Menlo', fontSize: 400, accentColor: 'red' });
+    expect(cssVar('--md-font')).toBe('Menlo');
+    expect(cssVar('--md-font-size')).toBe('');
+    expect(cssVar('--md-accent')).toBe('#5c6ac4');
+
+    window.setCustomTheme(null);
+    expect(cssVar('--md-font')).toBe('');
+  });
+});
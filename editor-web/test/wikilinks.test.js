@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { syntaxTree } from '@codemirror/language';
+import { CompletionContext } from '@codemirror/autocomplete';
+import {
+  bootEditor, view, load, markdownDecos, lineClasses, bridgeMessages, clearBridgeMessages,
+} from './helpers.js';
+
+let editor;
+
+beforeAll(async () => {
+  editor = await bootEditor();
+});
+
+beforeEach(() => {
+  clearBridgeMessages();
+  window.setCurrentNoteId('SELF');
+  window.setNoteIndex([
+    { id: 'SELF', title: 'Current' },
+    { id: 'N1', title: 'Groceries' },
+    { id: 'N2', title: 'Deploy runbook' },
+  ]);
+});
+
+function nodeNames(doc) {
+  load(doc, 0);
+  const names = [];
+  syntaxTree(view().state).iterate({ enter(n) { names.push(n.name); } });
+  return names;
+}
+
+describe('wiki links', () => {
+  it('parses [[title]] as a WikiLink, not a Link', () => {
+    const names = nodeNames('see [[Groceries]] today');
+    expect(names).toContain('WikiLink');
+    expect(names.filter((n) => n === 'WikiLinkMark')).toHaveLength(2);
+    expect(names).not.toContain('Link');
+  });
+
+  it('leaves regular links alone', () => {
+    const names = nodeNames('[site](https://example.com)');
+    expect(names).toContain('Link');
+    expect(names).not.toContain('WikiLink');
+  });
+
+  it('styles the link and hides its brackets', () => {
+    load('line\nsee [[Groceries]]', 0);
+    const decos = markdownDecos();
+    expect(lineClasses(decos, 'cm-md-wikilink')).toHaveLength(1);
+    expect(lineClasses(decos, 'cm-md-marker').map((d) => d.to - d.from)).toEqual([2, 2]);
+  });
+
+  it('completes note titles after [[ excluding the current note', () => {
+    load('link [[Dep');
+    const state = view().state;
+    const result = editor.wikiLinkCompletions(new CompletionContext(state, state.doc.length, false));
+    expect(result.from).toBe(7);
+    expect(result.options.map((o) => o.label)).toEqual(['Groceries', 'Deploy runbook']);
+    expect(result.options[0].apply).toBe('Groceries]]');
+  });
+
+  it('sends openNote with the resolved ID on Cmd+click', () => {
+    load('see [[groceries]]', 0);
+    view().posAtCoords = () => 8;
+    view().dom.dispatchEvent(new MouseEvent('click', { metaKey: true, bubbles: true }));
+    delete view().posAtCoords;
+    expect(bridgeMessages('openNote')).toEqual([
+      expect.objectContaining({ title: 'groceries', targetId: 'N1' }),
+    ]);
+    expect(bridgeMessages('openURL')).toHaveLength(0);
+  });
+});
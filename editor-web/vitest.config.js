@@ -0,0 +1,12 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./test/setup.js'],
+    include: ['test/**/*.test.js'],
+    benchmark: {
+      include: ['bench/**/*.bench.js'],
+    },
+  },
+});